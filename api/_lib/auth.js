@@ -0,0 +1,88 @@
+/**
+ * Authentication for the API routes.
+ *
+ * Admin routes: admins sign in through Supabase Auth in the app (#admin) and
+ * send their access token as `Authorization: Bearer <token>`. Only emails
+ * listed in ADMIN_EMAILS (comma-separated) are allowed.
+ *
+ * /api/update: Vercel's cron secret or an HMAC-signed token (see below).
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getAuthUser } from './supabase.js';
+
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
+
+function bearerToken(req) {
+  const header = req.headers?.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+// ==================== ADMIN ====================
+
+/**
+ * Resolve the signed-in admin, or send 401/403 and return null
+ */
+export async function requireAdmin(req, res) {
+  const user = await getAuthUser(bearerToken(req));
+  if (!user) {
+    res.status(401).json({ error: 'Sign in required' });
+    return null;
+  }
+  if (!ADMIN_EMAILS.includes(String(user.email || '').toLowerCase())) {
+    res.status(403).json({ error: 'Not an admin' });
+    return null;
+  }
+  return user;
+}
+
+// ==================== UPDATE TRIGGER ====================
+
+const CRON_SECRET = process.env.CRON_SECRET;
+const UPDATE_TOKEN_SECRET = process.env.UPDATE_TOKEN_SECRET;
+
+// Signed tokens are accepted for 5 minutes either side of their timestamp
+const TOKEN_MAX_SKEW_SECONDS = 300;
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Sign an update trigger token: "<unix seconds>.<hex HMAC-SHA256 of 'update:<unix seconds>'>"
+ * (the GitHub workflow builds the same string with openssl)
+ */
+function signUpdateToken(timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', UPDATE_TOKEN_SECRET).update(`update:${timestamp}`).digest('hex');
+  return `${timestamp}.${signature}`;
+}
+
+function verifyUpdateToken(token) {
+  if (!UPDATE_TOKEN_SECRET) return false;
+
+  const [timestamp, signature] = String(token).split('.');
+  if (!/^\d+$/.test(timestamp || '') || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOKEN_MAX_SKEW_SECONDS) return false;
+
+  return safeEqual(signUpdateToken(timestamp).split('.')[1], signature);
+}
+
+/**
+ * Check who is triggering /api/update.
+ * Vercel cron sends `Authorization: Bearer <CRON_SECRET>`; everyone else needs
+ * a signed token in the same header. Returns { source: 'cron' | 'token', tokenTs }
+ * or null; tokenTs is a signed token's timestamp, which the run claims so the
+ * token cannot be used twice (claimUpdateRun in api/_lib/supabase.js).
+ */
+export function authenticateUpdateTrigger(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+  if (CRON_SECRET && safeEqual(token, CRON_SECRET)) return { source: 'cron', tokenTs: null };
+  if (verifyUpdateToken(token)) return { source: 'token', tokenTs: Number(token.split('.')[0]) };
+  return null;
+}
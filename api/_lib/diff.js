@@ -0,0 +1,134 @@
+/**
+ * Structural diff of two tracker_data blobs.
+ * Used by the review queue (what a run proposes) and by /api/update?dryRun=1.
+ */
+
+// Fields that change on every run and must not count as an edit
+// (provenance is bookkeeping about an edit, not part of it)
+const VOLATILE_FIELDS = ['addedAt', 'recordedAt', 'lastUpdated', 'provenance'];
+
+// List sections, by where they live in the blob
+const COLLECTION_SECTIONS = {
+  iceVictims: data => data?.iceVictims,
+  lawsuits: data => data?.lawsuits,
+  brokenPromises: data => data?.brokenPromises,
+  constitutionalConcerns: data => data?.constitutionalConcerns,
+  breakingNews: data => data?.breakingNews,
+  epsteinRevelations: data => data?.epsteinFiles?.revelations,
+  pollObservations: data => data?.polls?.observations,
+};
+
+// Single-object sections (their lists are diffed above)
+const OBJECT_SECTIONS = {
+  iceStats: data => data?.iceStats,
+  polls: data => omit(data?.polls, ['observations']),
+  epsteinFiles: data => omit(data?.epsteinFiles, ['revelations']),
+};
+
+// ==================== HELPERS ====================
+
+function omit(obj, fields) {
+  if (!obj || typeof obj !== 'object') return obj;
+  const copy = { ...obj };
+  for (const field of fields) delete copy[field];
+  return copy;
+}
+
+export function stripVolatile(entity) {
+  return omit(entity, VOLATILE_FIELDS);
+}
+
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function sameEntity(a, b) {
+  return stableStringify(stripVolatile(a)) === stableStringify(stripVolatile(b));
+}
+
+/**
+ * { field: { before, after } } for every non-volatile field that differs
+ */
+export function fieldChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (VOLATILE_FIELDS.includes(field)) continue;
+    if (stableStringify(before?.[field]) !== stableStringify(after?.[field])) {
+      changes[field] = { before: before?.[field] ?? null, after: after?.[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+// ==================== COLLECTIONS ====================
+
+/**
+ * Additions and field changes between two versions of a list.
+ * An entry that replaced another in the same slot (e.g. an unnamed ICE victim
+ * later identified under a new id) is an update of the original entry.
+ */
+export function diffCollection(before, after) {
+  const beforeById = new Map(before.map(e => [e.id, e]));
+  const afterIds = new Set(after.map(e => e.id));
+  const changes = [];
+
+  after.forEach((entity, index) => {
+    const previous = beforeById.get(entity.id);
+    if (previous) {
+      if (!sameEntity(previous, entity)) {
+        changes.push({ changeType: 'update', entityId: previous.id, previous, proposed: entity });
+      }
+      return;
+    }
+
+    const replaced = before[index];
+    if (replaced && !afterIds.has(replaced.id)) {
+      changes.push({ changeType: 'update', entityId: replaced.id, previous: replaced, proposed: entity });
+    } else {
+      changes.push({ changeType: 'add', entityId: entity.id, previous: null, proposed: entity });
+    }
+  });
+
+  return changes;
+}
+
+// ==================== FULL BLOB ====================
+
+/**
+ * Machine-readable diff per section:
+ * - lists: { added, updated: [{ id, newId?, fields }], unchanged, removed } (ids)
+ * - objects: { fields } with before/after per changed field
+ */
+export function diffTrackerData(before, after) {
+  const diff = {};
+
+  for (const [section, get] of Object.entries(COLLECTION_SECTIONS)) {
+    const beforeList = Array.isArray(get(before)) ? get(before) : [];
+    const afterList = Array.isArray(get(after)) ? get(after) : [];
+    const changes = diffCollection(beforeList, afterList);
+    const touched = new Set(changes.map(c => c.entityId));
+    const afterIds = new Set(afterList.map(e => e.id));
+
+    diff[section] = {
+      added: changes.filter(c => c.changeType === 'add').map(c => c.entityId),
+      updated: changes.filter(c => c.changeType === 'update').map(c => ({
+        id: c.entityId,
+        ...(c.proposed.id !== c.entityId ? { newId: c.proposed.id } : {}),
+        fields: fieldChanges(c.previous, c.proposed),
+      })),
+      unchanged: beforeList.filter(e => afterIds.has(e.id) && !touched.has(e.id)).map(e => e.id),
+      removed: beforeList.filter(e => !afterIds.has(e.id) && !touched.has(e.id)).map(e => e.id),
+    };
+  }
+
+  for (const [section, get] of Object.entries(OBJECT_SECTIONS)) {
+    diff[section] = { fields: fieldChanges(get(before), get(after)) };
+  }
+
+  return diff;
+}
@@ -0,0 +1,357 @@
+/**
+ * Structured extraction from the LLM.
+ *
+ * The response is requested in the provider's JSON-schema mode where it has
+ * one, then checked against the schema of the pass that asked for it
+ * (passSchema - a slice of EXTRACTION_SCHEMA). Invalid JSON or schema errors
+ * trigger a bounded repair loop that sends the errors back and asks for a
+ * corrected object. Whatever still fails after that is salvaged: invalid list
+ * items are dropped, and only sections that cannot be fixed are discarded.
+ */
+
+import {
+  VALID_LAWSUIT_CATEGORIES,
+  VALID_BREAKING_CATEGORIES,
+  VALID_POLL_TOPICS,
+} from '../../src/schema.js';
+
+// A value that is not a whole number >= 0 falls back to the default rather than disabling extraction
+const configuredRepairs = Number(process.env.LLM_MAX_REPAIRS || 2);
+const MAX_REPAIR_ATTEMPTS = Number.isInteger(configuredRepairs) && configuredRepairs >= 0 ? configuredRepairs : 2;
+
+// ==================== SCHEMA ====================
+
+const str = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+// Headline IDs (resolved to { name, url } by the validators) or legacy outlet names
+const sourceList = { type: 'array', items: { type: ['string', 'object'] } };
+
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    iceIncidents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          id: str, name: str, age: nullableNumber, citizenship: nullableString, date: str,
+          location: str, agency: nullableString, details: nullableString,
+          officialResponse: nullableString, witnessAccount: nullableString, sources: sourceList,
+        },
+      },
+    },
+    lawsuits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          id: str, title: str, plaintiff: nullableString, defendant: nullableString, court: nullableString,
+          filed: nullableString, status: nullableString, statusDate: nullableString,
+          summary: nullableString, ruling: nullableString,
+          amount: nullableString, category: { type: 'string', enum: VALID_LAWSUIT_CATEGORIES }, sources: sourceList,
+        },
+      },
+    },
+    polls: {
+      type: ['object', 'null'],
+      properties: {
+        observations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['pollster', 'topic'],
+            properties: {
+              pollster: str, topic: { type: 'string', enum: VALID_POLL_TOPICS },
+              approve: nullableNumber, disapprove: nullableNumber,
+              fieldStart: nullableString, fieldEnd: nullableString,
+              sampleSize: nullableNumber, population: nullableString, source: nullableString,
+            },
+          },
+        },
+      },
+    },
+    epsteinUpdates: {
+      type: ['object', 'null'],
+      properties: {
+        newRevelations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['headline'],
+            properties: {
+              id: str, headline: str, details: nullableString, involvedPerson: nullableString,
+              date: nullableString, sources: sourceList,
+            },
+          },
+        },
+        pagesReleased: nullableNumber,
+        pagesWithheld: nullableNumber,
+        newFlightInfo: nullableString,
+        dojActions: nullableString,
+      },
+    },
+    constitutionalUpdates: {
+      type: ['object', 'null'],
+      properties: {
+        newViolations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+              id: str, amendment: nullableString, title: str, description: nullableString,
+              courtRuling: nullableString, status: nullableString, date: nullableString, sources: sourceList,
+            },
+          },
+        },
+        courtDefianceCount: nullableNumber,
+        contemptProceedings: nullableString,
+      },
+    },
+    breakingNews: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['headline', 'category', 'date'],
+        properties: {
+          id: str,
+          category: { type: 'string', enum: VALID_BREAKING_CATEGORIES },
+          date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+          headline: str,
+          summary: nullableString,
+          sources: sourceList,
+          isBreaking: { type: 'boolean' },
+        },
+      },
+    },
+    iceStatsUpdate: {
+      type: ['object', 'null'],
+      properties: {
+        totalShootings: nullableNumber,
+        shootingDeaths: nullableNumber,
+        usCitizensKilled: nullableNumber,
+        usCitizensShot: nullableNumber,
+      },
+    },
+    updateReason: str,
+  },
+};
+
+/**
+ * Schema for one extraction pass: its own sections plus breakingNews (limited
+ * to the pass's category) and updateReason
+ */
+export function passSchema(sections, breakingCategory) {
+  const { breakingNews, updateReason } = EXTRACTION_SCHEMA.properties;
+  const properties = Object.fromEntries(sections.map(section => [section, EXTRACTION_SCHEMA.properties[section]]));
+  const items = breakingNews.items;
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      breakingNews: {
+        ...breakingNews,
+        items: {
+          ...items,
+          properties: { ...items.properties, category: { type: 'string', enum: [breakingCategory] } },
+        },
+      },
+      updateReason,
+    },
+  };
+}
+
+// ==================== VALIDATION ====================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Check a value against the subset of JSON Schema used above.
+ * Returns [{ path: ['lawsuits', 2, 'category'], message }]
+ */
+export function checkSchema(value, schema, path = []) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, message: `expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of ${schema.enum.join(', ')}` }];
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    return [{ path, message: `must match ${schema.pattern}` }];
+  }
+
+  const errors = [];
+  if (schema.properties && typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: [...path, key], message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) errors.push(...checkSchema(value[key], propertySchema, [...path, key]));
+    }
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, i) => errors.push(...checkSchema(item, schema.items, [...path, i])));
+  }
+  return errors;
+}
+
+function formatPath(path) {
+  return path.reduce((out, part) => (typeof part === 'number' ? `${out}[${part}]` : out ? `${out}.${part}` : part), '') || '(root)';
+}
+
+function parseJson(text) {
+  const cleaned = String(text || '').replace(/```json\n?|\n?```/g, '').trim();
+  try {
+    return { value: JSON.parse(cleaned) };
+  } catch (err) {
+    return { error: `Response is not valid JSON: ${err.message}` };
+  }
+}
+
+// ==================== SALVAGE ====================
+
+/**
+ * Keep everything that validates: drop invalid list items (top-level lists
+ * and lists one level down, e.g. epsteinUpdates.newRevelations) and discard
+ * a section only when its own fields are wrong.
+ * Returns { parsed, dropped: { section: itemsDropped | 'section' } }
+ */
+export function salvage(parsed, errors) {
+  const result = { ...parsed };
+  const dropped = {};
+  const bySection = {};
+  for (const error of errors) {
+    if (error.path.length === 0) continue;
+    (bySection[error.path[0]] = bySection[error.path[0]] || []).push(error.path);
+  }
+
+  for (const [section, paths] of Object.entries(bySection)) {
+    const value = result[section];
+    const badItems = new Map();
+    let sectionBroken = false;
+
+    for (const path of paths) {
+      if (Array.isArray(value) && typeof path[1] === 'number') {
+        badItems.set(`${path[1]}`, [path[1]]);
+      } else if (value && typeof value === 'object' && Array.isArray(value[path[1]]) && typeof path[2] === 'number') {
+        badItems.set(`${path[1]}.${path[2]}`, [path[1], path[2]]);
+      } else {
+        sectionBroken = true;
+      }
+    }
+
+    if (sectionBroken) {
+      delete result[section];
+      dropped[section] = 'section';
+    } else if (Array.isArray(value)) {
+      const bad = new Set([...badItems.values()].map(([i]) => i));
+      result[section] = value.filter((_, i) => !bad.has(i));
+      dropped[section] = bad.size;
+    } else {
+      const copy = { ...value };
+      for (const [key, i] of badItems.values()) {
+        copy[key] = copy[key].map((item, j) => (j === i ? undefined : item));
+      }
+      for (const key of Object.keys(copy)) {
+        if (Array.isArray(copy[key])) copy[key] = copy[key].filter(item => item !== undefined);
+      }
+      result[section] = copy;
+      dropped[section] = badItems.size;
+    }
+  }
+
+  return { parsed: result, dropped };
+}
+
+// ==================== EXTRACT ====================
+
+function repairPrompt(prompt, previous, problems) {
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE:
+${String(previous || '').slice(0, 20000)}
+
+That response was rejected:
+${problems.slice(0, 25).map(p => `- ${p}`).join('\n')}
+
+Return ONLY the corrected JSON object with the same structure. Fix the listed problems and change nothing else.`;
+}
+
+/**
+ * Ask the provider for the extraction JSON, repairing up to LLM_MAX_REPAIRS times.
+ * Returns { parsed, raw, usage, repairs, dropped, errors } - parsed is the
+ * salvaged attempt with the fewest schema errors, and null only when no
+ * attempt produced a JSON object at all. A provider error on a repair request
+ * ends the loop with what the earlier attempts produced; it is only thrown
+ * when there is nothing to salvage.
+ */
+export async function extractStructured(llm, prompt, schema = EXTRACTION_SCHEMA) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let currentPrompt = prompt;
+  let best = null;
+  let raw = '';
+  let problems = [];
+  let repairs = 0;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    let response;
+    try {
+      response = await llm.complete(currentPrompt, { schema });
+    } catch (err) {
+      if (!best) throw err;
+      console.warn(`Extraction repair request failed (${err.message}), salvaging the closest attempt`);
+      break;
+    }
+    raw = response.text;
+    for (const key of Object.keys(usage)) usage[key] += response.usage?.[key] || 0;
+
+    const { value, error } = parseJson(raw);
+    if (error) {
+      problems = [error];
+    } else if (typeOf(value) !== 'object') {
+      problems = [`Response must be a JSON object, got ${typeOf(value)}`];
+    } else {
+      const errors = checkSchema(value, schema);
+      // A repair can make things worse; salvage whichever attempt came closest
+      if (!best || errors.length < best.errors.length) best = { value, errors };
+      if (errors.length === 0) break;
+      problems = errors.map(e => `${formatPath(e.path)} ${e.message}`);
+    }
+
+    if (attempt === MAX_REPAIR_ATTEMPTS) break;
+    repairs++;
+    console.warn(`Extraction attempt ${attempt + 1} rejected (${problems.length} problem(s)), requesting repair`);
+    currentPrompt = repairPrompt(prompt, raw, problems);
+  }
+
+  if (!best) {
+    return { parsed: null, raw, usage, repairs, dropped: {}, errors: problems };
+  }
+
+  const { parsed, dropped } = salvage(best.value, best.errors);
+  if (Object.keys(dropped).length > 0) {
+    console.warn('Salvaged extraction, dropped:', JSON.stringify(dropped));
+  }
+  return {
+    parsed,
+    raw,
+    usage,
+    repairs,
+    dropped,
+    errors: best.errors.map(e => `${formatPath(e.path)} ${e.message}`),
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Feed health from the per-query stats each run logs (update_logs.query_stats,
+ * written by api/update.js). Shared by /api/status and the admin query list.
+ */
+
+// A query whose last this-many runs all failed to fetch is flagged as failing
+export const FAILING_STREAK = Number(process.env.FEED_FAILING_STREAK) || 3;
+
+/**
+ * Did the fetch itself fail? Budget skips are the run's doing, not the feed's,
+ * and entries logged before fetch status was recorded count as fetched.
+ */
+export function isFetchFailure(entry) {
+  if (entry.status === undefined || entry.status === null || entry.status === 'skipped') return false;
+  return typeof entry.status !== 'number' || entry.status < 200 || entry.status >= 300;
+}
+
+function queryKey(entry) {
+  return entry.id != null ? `id:${entry.id}` : `${entry.section}:${entry.template || entry.query}`;
+}
+
+/**
+ * Per-query totals over the given runs (newest first, as listRecentRuns returns them):
+ * [{ id, section, template, query, runs, fetched, kept, cited, failures, skipped,
+ *    streak, avgMs, lastStatus, lastError, failing }]
+ * streak counts the failed fetches since the last one that worked. Runs that
+ * did not log query stats are ignored.
+ */
+export function summarizeQueries(runs) {
+  const byKey = new Map();
+
+  for (const run of runs) {
+    for (const entry of Array.isArray(run.query_stats) ? run.query_stats : []) {
+      if (!entry || typeof entry !== 'object') continue;
+      const key = queryKey(entry);
+      let summary = byKey.get(key);
+      if (!summary) {
+        // The newest run seen first sets the labels and the last status
+        summary = {
+          id: entry.id ?? null,
+          section: entry.section,
+          template: entry.template || entry.query,
+          query: entry.query,
+          runs: 0, fetched: 0, kept: 0, cited: 0, failures: 0, skipped: 0,
+          streak: 0, streakOpen: true, totalMs: 0, timedRuns: 0,
+          lastStatus: entry.status ?? null,
+          lastError: entry.error || null,
+        };
+        byKey.set(key, summary);
+      }
+
+      summary.runs += 1;
+      summary.fetched += Number(entry.fetched) || 0;
+      summary.kept += Number(entry.kept) || 0;
+      summary.cited += Number(entry.cited) || 0;
+      if (entry.status === 'skipped') summary.skipped += 1;
+      if (typeof entry.ms === 'number' && entry.status !== 'skipped') {
+        summary.totalMs += entry.ms;
+        summary.timedRuns += 1;
+      }
+
+      const failed = isFetchFailure(entry);
+      if (failed) summary.failures += 1;
+      // Skipped runs neither break nor extend a streak
+      if (summary.streakOpen && entry.status !== 'skipped') {
+        if (failed) summary.streak += 1;
+        else summary.streakOpen = false;
+      }
+    }
+  }
+
+  return [...byKey.values()].map(({ streakOpen, totalMs, timedRuns, ...summary }) => ({
+    ...summary,
+    avgMs: timedRuns > 0 ? Math.round(totalMs / timedRuns) : null,
+    failing: summary.streak >= FAILING_STREAK,
+  }));
+}
+
+// ==================== ERRORS ====================
+// Logged error messages quote provider and database responses, so the public
+// status report only says what kind of failure it was (admins see the message)
+
+const ERROR_CATEGORIES = [
+  ['extraction', /could not parse ai response/i],
+  ['llm', /gemini|openai|llm_provider|_api_key/i],
+  ['database', /supabase|tracker data changed|tracker revision|failed to (read|save|update|list|queue|delete)/i],
+];
+
+/**
+ * { category, status } for a logged error: category 'extraction', 'llm',
+ * 'database' or 'internal', status the HTTP status the message cites (or null)
+ */
+export function classifyError(message) {
+  if (!message) return null;
+  const text = String(message);
+  const category = ERROR_CATEGORIES.find(([, pattern]) => pattern.test(text))?.[0] || 'internal';
+  // 'Failed to read lawsuits: 503', 'Gemini error: 429 - ...', 'HTTP 404'
+  return { category, status: Number(text.match(/(?::|HTTP) ([45]\d\d)\b/)?.[1]) || null };
+}
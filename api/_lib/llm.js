@@ -0,0 +1,163 @@
+/**
+ * LLM providers for news extraction.
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, complete(prompt, { schema }) -> { text, usage: { promptTokens, completionTokens, totalTokens } } }
+ *
+ * `schema` (JSON Schema) switches on the provider's structured-output mode
+ * where it has one; the caller still validates the result.
+ *
+ * Selected by environment:
+ * - LLM_PROVIDER: 'gemini' (default) | 'openai' | 'mock'
+ * - LLM_MODEL: overrides the provider's default model
+ * - gemini: GEMINI_API_KEY
+ * - openai: OPENAI_API_KEY (optional for local servers), OPENAI_BASE_URL
+ *   (default https://api.openai.com/v1 - point it at llama.cpp / Ollama, e.g. http://localhost:11434/v1),
+ *   OPENAI_RESPONSE_FORMAT: 'json_schema' (default) | 'json_object' | 'off' for servers without schema support
+ * - mock: MOCK_LLM_RESPONSE (optional JSON string to return instead of an empty extraction)
+ */
+
+const GENERATION = { temperature: 0.1, maxOutputTokens: 8192 };
+
+function usageOf(promptTokens, completionTokens) {
+  const prompt = Number(promptTokens) || 0;
+  const completion = Number(completionTokens) || 0;
+  return { promptTokens: prompt, completionTokens: completion, totalTokens: prompt + completion };
+}
+
+// ==================== GEMINI ====================
+
+function geminiProvider(model = 'gemini-2.5-pro') {
+  return {
+    name: 'gemini',
+    model,
+    async complete(prompt, { schema } = {}) {
+      const apiKey = process.env.GEMINI_API_KEY;
+      if (!apiKey) throw new Error('GEMINI_API_KEY is not set');
+
+      const response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+              ...GENERATION,
+              ...(schema ? { responseMimeType: 'application/json', responseJsonSchema: schema } : {}),
+            },
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        const err = await response.text();
+        throw new Error(`Gemini error: ${response.status} - ${err}`);
+      }
+
+      const data = await response.json();
+      return {
+        text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+        usage: usageOf(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount),
+      };
+    },
+  };
+}
+
+// ==================== OPENAI-COMPATIBLE ====================
+
+function openAiResponseFormat(schema) {
+  const mode = (process.env.OPENAI_RESPONSE_FORMAT || 'json_schema').toLowerCase();
+  if (!schema || mode === 'off') return {};
+  if (mode === 'json_object') return { response_format: { type: 'json_object' } };
+  return { response_format: { type: 'json_schema', json_schema: { name: 'tracker_extraction', schema } } };
+}
+
+function openAiProvider(model = 'gpt-4o-mini') {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  return {
+    name: 'openai',
+    model,
+    async complete(prompt, { schema } = {}) {
+      const apiKey = process.env.OPENAI_API_KEY;
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          // Local servers usually run without a key
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: GENERATION.temperature,
+          max_tokens: GENERATION.maxOutputTokens,
+          ...openAiResponseFormat(schema),
+        }),
+      });
+
+      if (!response.ok) {
+        const err = await response.text();
+        throw new Error(`OpenAI-compatible error (${baseUrl}): ${response.status} - ${err}`);
+      }
+
+      const data = await response.json();
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: usageOf(data.usage?.prompt_tokens, data.usage?.completion_tokens),
+      };
+    },
+  };
+}
+
+// ==================== MOCK ====================
+
+const EMPTY_EXTRACTION = {
+  iceIncidents: [],
+  lawsuits: [],
+  polls: { observations: [] },
+  epsteinUpdates: null,
+  constitutionalUpdates: null,
+  breakingNews: [],
+  iceStatsUpdate: null,
+  updateReason: 'Mock provider - nothing extracted',
+};
+
+/**
+ * Deterministic provider for running the pipeline without any API key.
+ * Token usage is estimated at 4 characters per token.
+ */
+function mockProvider(model = 'mock') {
+  return {
+    name: 'mock',
+    model,
+    async complete(prompt) {
+      const text = process.env.MOCK_LLM_RESPONSE || JSON.stringify(EMPTY_EXTRACTION);
+      return {
+        text,
+        usage: usageOf(Math.ceil(prompt.length / 4), Math.ceil(text.length / 4)),
+      };
+    },
+  };
+}
+
+// ==================== SELECTION ====================
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openAiProvider,
+  mock: mockProvider,
+};
+
+/**
+ * Provider chosen by LLM_PROVIDER / LLM_MODEL
+ */
+export function createProvider() {
+  const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(process.env.LLM_MODEL || undefined);
+}
@@ -0,0 +1,721 @@
+/**
+ * Merging an extraction into the tracker data, for api/update.js.
+ *
+ * Each section's merge validates what the LLM reported, folds repeats and
+ * near-duplicates into the stored record (adding their sources) instead of
+ * adding them again, looks reported stories up among the archived ones, stamps
+ * provenance and counts corroborating publishers. applyExtraction runs them all;
+ * everything it stamps is dated by the run, never read off the clock.
+ */
+
+import {
+  MAX_POLL_HISTORY,
+  MAX_PROVENANCE_CHANGES,
+  MAX_STATUS_HISTORY,
+  VALID_POLL_TOPICS,
+  sanitizeString,
+  knownDate,
+  mergeWithCurated,
+  validateIceIncident,
+  validateLawsuit,
+  validatePollData,
+  validatePromise,
+  validateIceStats,
+  validateEpsteinUpdates,
+  validateEpsteinRevelation,
+  validateConstitutionalViolation,
+  validateConstitutionalUpdates,
+  validateBreakingNewsItem,
+} from '../../src/schema.js';
+import { computePollingAverage } from '../../src/pollAverage.js';
+import { CURATED_BROKEN_PROMISES, CURATED_CONSTITUTIONAL_CONCERNS } from '../../src/curatedData.js';
+import { lookupSourceByDomain, domainOf } from '../../src/sourceRegistry.js';
+import { REVIEW_MODE, recordKey } from './review.js';
+import { fieldChanges, stableStringify } from './diff.js';
+import { findNearDuplicate, sameEntity } from './similarity.js';
+
+// ==================== BREAKING NEWS ====================
+
+/**
+ * Merge breaking news, newest first; a repeat of a stored story only adds its sources
+ */
+function mergeBreakingNews(existing, newItems, run) {
+  const combined = (existing || []).map(validateBreakingNewsItem).filter(Boolean);
+  // addedAt is the pipeline's to set, not the LLM's
+  const validNew = (newItems || [])
+    .map(item => validateBreakingNewsItem(run ? { ...item, addedAt: run.at } : item, { citations: run?.citations }))
+    .filter(Boolean);
+  
+  let added = 0;
+  for (const item of validNew) {
+    const index = findExistingOrArchived(combined, item, 'breakingNews', run);
+    if (index >= 0) {
+      combined[index] = { ...combined[index], sources: mergeSources(combined[index].sources, item.sources) };
+    } else {
+      combined.push(item);
+      added++;
+    }
+  }
+  
+  if (added > 0) {
+    console.log(`Adding ${added} new breaking news item(s)`);
+  }
+  
+  // Sort by date (newest first); older items move to the archive (api/_lib/retention.js)
+  return combined.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Headlines behind a record, matched through the article URLs its sources resolved to
+ */
+function citedHeadlines(entity, run) {
+  const urls = new Set((entity.sources || []).map(s => s?.url).filter(Boolean));
+  return run.news
+    .filter(n => n.link && urls.has(n.link))
+    .map(n => ({ id: n.id, title: n.title, url: n.link, pubDate: n.pubDate, publisher: publisherOf(n) }));
+}
+
+/**
+ * Fields the pipeline owns - never taken from the LLM's output
+ */
+function fromExtraction(entity) {
+  const { provenance, corroboration, statusHistory, ...fields } = entity;
+  return fields;
+}
+
+/**
+ * Stamp a record first reported on this run (replaces anything the LLM put there)
+ */
+function withNewProvenance(entity, run) {
+  return {
+    ...entity,
+    provenance: {
+      origin: 'pipeline',
+      runId: run.runId,
+      headlines: citedHeadlines(entity, run),
+      firstSeen: run.at,
+      lastUpdated: run.at,
+      changes: [],
+    },
+  };
+}
+
+/**
+ * Stamp an existing record this run changed: which fields, on which run, from which headlines.
+ * Records stored before provenance existed start an 'unknown' trail.
+ */
+function withUpdatedProvenance(before, after, run) {
+  const fields = Object.keys(fieldChanges(before, after));
+  const previous = before.provenance || { origin: 'unknown', runId: null, headlines: [], firstSeen: null, changes: [] };
+  if (fields.length === 0) return { ...after, ...(before.provenance ? { provenance: before.provenance } : {}) };
+
+  const known = new Set(previous.headlines.map(h => h.id));
+  return {
+    ...after,
+    provenance: {
+      ...previous,
+      headlines: [...previous.headlines, ...citedHeadlines(after, run).filter(h => !known.has(h.id))].slice(-10),
+      lastUpdated: run.at,
+      changes: [...previous.changes, { at: run.at, runId: run.runId, origin: 'pipeline', fields }].slice(-MAX_PROVENANCE_CHANGES),
+    },
+  };
+}
+
+// ==================== CORROBORATION ====================
+// ICE incidents and Epstein revelations stay 'unconfirmed' until enough independent
+// publishers (by RSS source domain) have reported them; later runs can promote them.
+
+const CORROBORATION_MIN_PUBLISHERS = Number(process.env.CORROBORATION_MIN_PUBLISHERS) || 2;
+
+/**
+ * Publisher of a headline: its registry domain (so news.gallup.com and gallup.com count once),
+ * else its <source url> domain, else the outlet name
+ */
+function publisherOf(newsItem) {
+  return lookupSourceByDomain(newsItem.source?.url)?.domain ||
+    domainOf(newsItem.source?.url) ||
+    normalizeForComparison(newsItem.source?.name || '');
+}
+
+/**
+ * Union of two source lists (by URL, else name); a bare outlet name gives way to a link from the same outlet
+ */
+function mergeSources(existing, added) {
+  const all = [...(existing || []), ...(added || [])];
+  const linked = new Set(all.filter(s => s && typeof s === 'object').map(s => s.name));
+  const seen = new Set();
+  return all.filter(s => {
+    if (typeof s === 'string' && linked.has(s)) return false;
+    const key = typeof s === 'string' ? s : s?.url || s?.name;
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, 10);
+}
+
+// ==================== DEDUPE ====================
+// A record matches a stored one by id or normalized title/headline/name, else by
+// similarity (api/_lib/similarity.js) - wording, shared entities and date proximity.
+// Sections with a sameRecord rule match by id or that rule only. Records past the
+// retention window are matched too, among the archived ones run.archived holds.
+
+/**
+ * Normalize a string for comparison (removes punctuation, extra spaces, lowercase)
+ * This helps dedupe items that are the same but phrased slightly differently
+ */
+function normalizeForComparison(str) {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '') // Remove punctuation
+    .replace(/\s+/g, ' ')    // Normalize whitespace
+    .trim();
+}
+
+const DUPLICATE_RULES = {
+  breakingNews: {
+    keyOf: n => n.headline,
+    describe: n => ({ text: n.headline, date: n.date, category: n.category }),
+    maxDays: 3,
+  },
+  lawsuits: {
+    keyOf: l => l.title,
+    // Nearly every case names the same defendant, so only the plaintiff and court tell cases apart
+    describe: l => ({ text: l.title, date: l.filed, entities: [l.plaintiff, l.court] }),
+    // "New Jersey v. Trump" and "ACLU v. Trump" over the same order read alike but are separate cases
+    compatible: (a, b) => Boolean((a.plaintiff && b.plaintiff && sameEntity(a.plaintiff, b.plaintiff)) ||
+      (a.court && b.court && sameEntity(a.court, b.court))),
+    maxDays: 30,
+  },
+  epsteinRevelations: {
+    keyOf: r => r.headline,
+    describe: r => ({ text: r.headline, date: r.date, entities: [r.involvedPerson] }),
+    maxDays: 14,
+  },
+  constitutionalConcerns: {
+    keyOf: c => c.title,
+    describe: c => ({ text: c.title, date: c.date }),
+    maxDays: 30,
+  },
+  iceVictims: {
+    keyOf: v => v.name,
+    // A name is an identity, not wording: named victims match on the exact name, and date
+    // plus place only stands in while one of the two has not been named
+    sameRecord: (a, b) => (isUnnamedVictim(a) || isUnnamedVictim(b)
+      ? compatibleDates(a.date, b.date) && normalizeForComparison(a.location) === normalizeForComparison(b.location)
+      : normalizeForComparison(a.name) === normalizeForComparison(b.name)),
+  },
+};
+
+/**
+ * Index of the stored record `item` duplicates, or -1 when it is a new story
+ */
+function findExisting(list, item, section) {
+  const { keyOf, describe, maxDays, compatible, sameRecord } = DUPLICATE_RULES[section];
+  if (sameRecord) return list.findIndex(e => (item.id && e.id === item.id) || sameRecord(e, item));
+
+  const key = normalizeForComparison(keyOf(item));
+  const exact = list.findIndex(e => (item.id && e.id === item.id) || normalizeForComparison(keyOf(e)) === key);
+  if (exact >= 0) return exact;
+
+  const near = findNearDuplicate(list, item, describe, { maxDays, compatible });
+  if (near >= 0) {
+    console.log(`Folding near-duplicate "${keyOf(item)}" into "${keyOf(list[near])}"`);
+  }
+  return near;
+}
+
+/**
+ * findExisting, then the section's archived records (run.archived). An archived
+ * match is moved back into `list` so the report updates it rather than adding
+ * it again; retention archives it again if it is still past the window.
+ */
+function findExistingOrArchived(list, item, section, run) {
+  const index = findExisting(list, item, section);
+  if (index >= 0) return index;
+
+  const archived = run?.archived?.[section] || [];
+  const match = findExisting(archived, item, section);
+  if (match < 0) return -1;
+  console.log(`Reported again after archiving: "${DUPLICATE_RULES[section].keyOf(item)}"`);
+  list.push(archived[match]);
+  return list.length - 1;
+}
+
+// Where a parsed extraction holds each section's reported records
+const REPORTED_RECORDS = {
+  iceVictims: parsed => parsed.iceIncidents,
+  lawsuits: parsed => parsed.lawsuits,
+  epsteinRevelations: parsed => parsed.epsteinUpdates?.newRevelations,
+  constitutionalConcerns: parsed => parsed.constitutionalUpdates?.newViolations,
+  breakingNews: parsed => parsed.breakingNews,
+};
+
+/**
+ * The ids and keys to look the reported records up by in the archive (findArchivedRecords)
+ */
+export function archiveLookups(parsed) {
+  const lookups = {};
+  for (const [section, reported] of Object.entries(REPORTED_RECORDS)) {
+    const records = (Array.isArray(reported(parsed)) ? reported(parsed) : []).filter(r => r && typeof r === 'object');
+    lookups[section] = {
+      ids: [...new Set(records.map(r => r.id).filter(id => typeof id === 'string' && id))],
+      keys: [...new Set(records.map(r => recordKey(section, r)).filter(Boolean))],
+    };
+  }
+  return lookups;
+}
+
+/**
+ * Recount the publishers behind a new or still-unconfirmed record.
+ * `previous` is the stored record (null when new); confirmed records and
+ * records stored before corroboration existed are left alone.
+ */
+export function corroborate(entity, previous, run) {
+  if (previous && previous.corroboration?.status !== 'unconfirmed') return entity;
+
+  const publishers = [...new Set([
+    ...(previous?.corroboration?.publishers || []),
+    ...(entity.provenance?.headlines || []).map(h => h.publisher).filter(Boolean),
+  ])];
+  const confirmed = publishers.length >= CORROBORATION_MIN_PUBLISHERS;
+  if (confirmed && previous) {
+    console.log(`Corroborated by ${publishers.length} publishers: ${entity.name || entity.headline}`);
+  }
+
+  return {
+    ...entity,
+    corroboration: {
+      status: confirmed ? 'confirmed' : 'unconfirmed',
+      publishers,
+      required: CORROBORATION_MIN_PUBLISHERS,
+      confirmedAt: confirmed ? run.at : null,
+    },
+  };
+}
+
+/**
+ * A queued addition reported again: the proposal takes this report's sources and
+ * headlines, and while it is unconfirmed its new publishers count towards
+ * corroboration, so a second outlet can confirm it before anyone reviews it.
+ * Returns { proposed, headlines } for the pending change, or null if nothing is new.
+ */
+export function foldIntoQueued(queued, proposal, run) {
+  const before = queued.proposed;
+  const reported = proposal.proposed;
+  const known = new Set((before.provenance?.headlines || []).map(h => h.id));
+  const added = (reported.provenance?.headlines || []).filter(h => !known.has(h.id));
+  const merged = {
+    ...before,
+    sources: mergeSources(before.sources, reported.sources),
+    ...(before.provenance ? { provenance: { ...before.provenance, headlines: [...before.provenance.headlines, ...added].slice(-10) } } : {}),
+  };
+  // Only sections that are corroborated carry the status on their proposals
+  const proposed = before.corroboration ? corroborate(merged, before, run) : merged;
+
+  const listed = new Set((queued.headlines || []).map(h => h.url));
+  const headlines = [...(queued.headlines || []), ...(proposal.headlines || []).filter(h => !listed.has(h.url))];
+  if (stableStringify(proposed) === stableStringify(before) && headlines.length === (queued.headlines || []).length) return null;
+  return { proposed, headlines };
+}
+
+// ==================== SMART ICE INCIDENT MERGE ====================
+
+/**
+ * Same day, or one normalized date contains the other ('2026-01' and '2026-01-07')
+ */
+function compatibleDates(a, b) {
+  if (!a || !b) return false;
+  return a === b || a.startsWith(`${b}-`) || b.startsWith(`${a}-`);
+}
+
+function isUnnamedVictim(victim) {
+  const name = String(victim.name || '').toLowerCase();
+  return !name || name.includes('unnamed') || name.includes('unknown') || name.includes('unidentified');
+}
+
+// Which incident a record is: never replaced by a re-report, only a date may get more precise
+const ICE_IDENTITY_FIELDS = new Set(['id', 'name', 'date', 'datePrecision', 'location']);
+
+export function mergeIceIncidents(existing, newIncidents, run) {
+  // Validate all existing incidents
+  let result = existing
+    .map(validateIceIncident)
+    .filter(Boolean);
+  
+  // Validate and filter new incidents, resolving cited headline IDs
+  const validNew = newIncidents
+    .map(incident => validateIceIncident(incident, { citations: run.citations }))
+    .filter(Boolean)
+    .map(fromExtraction);
+  
+  for (const newInc of validNew) {
+    // Check if this matches an existing unnamed incident by date/location
+    const matchIndex = result.findIndex(ex => {
+      const sameDate = compatibleDates(ex.date, newInc.date);
+      const sameLocation = normalizeForComparison(ex.location) === normalizeForComparison(newInc.location);
+      return sameDate && sameLocation && isUnnamedVictim(ex) && !isUnnamedVictim(newInc);
+    });
+    
+    if (matchIndex >= 0) {
+      // Update unnamed incident with new name and details
+      console.log(`Updating unnamed incident with: ${newInc.name}`);
+      const before = result[matchIndex];
+      const after = { ...before, ...newInc, sources: mergeSources(before.sources, newInc.sources) };
+      result[matchIndex] = corroborate(withUpdatedProvenance(before, after, run), before, run);
+    } else {
+      // ID or normalized name match; unnamed reports by date and place
+      const exactMatch = findExistingOrArchived(result, newInc, 'iceVictims', run);
+      
+      if (exactMatch >= 0) {
+        // Update existing with longer/newer info
+        const before = result[exactMatch];
+        const ex = { ...before };
+        for (const field in newInc) {
+          if (ICE_IDENTITY_FIELDS.has(field)) continue;
+          if (newInc[field] && (!ex[field] || String(newInc[field]).length > String(ex[field]).length)) {
+            ex[field] = newInc[field];
+          }
+        }
+        // A longer normalized date containing the stored one is the more precise one
+        if (newInc.date.length > before.date.length && compatibleDates(before.date, newInc.date)) {
+          ex.date = newInc.date;
+          ex.datePrecision = newInc.datePrecision;
+        }
+        // Every outlet that reported it stays cited (and counts towards corroboration)
+        ex.sources = mergeSources(before.sources, newInc.sources);
+        result[exactMatch] = corroborate(withUpdatedProvenance(before, ex, run), before, run);
+        console.log(`Updated existing ICE incident: ${newInc.name}`);
+      } else {
+        // Truly new incident
+        console.log(`Adding new ICE incident: ${newInc.name}`);
+        result.push(corroborate(withNewProvenance(newInc, run), null, run));
+      }
+    }
+  }
+  
+  return result;
+}
+
+// ==================== MERGE LAWSUITS ====================
+
+/**
+ * A procedural event in the shape validateLawsuit keeps in statusHistory
+ */
+function lawsuitEvent(lawsuit, date) {
+  return {
+    status: lawsuit.status,
+    date,
+    court: lawsuit.court,
+    ruling: lawsuit.ruling,
+    source: lawsuit.sources?.[0] || null,
+  };
+}
+
+/**
+ * Fold a re-reported case into the stored one. A status change is added to the
+ * history and becomes the current status unless it predates the latest event
+ * on record (old news surfacing late). 'Pending' is the validator's fallback,
+ * not an event, and an event already in the history is not recorded twice.
+ */
+export function applyLawsuitEvent(before, reported, date) {
+  const sources = mergeSources(before.sources, reported.sources);
+  if (reported.status === before.status || reported.status === 'Pending') return { ...before, sources };
+
+  // Cases stored before status history existed start from their current status, date unknown
+  const history = before.statusHistory || [lawsuitEvent(before, '')];
+  const known = history.some(e => e.status === reported.status && (e.date === date || (reported.ruling && e.ruling === reported.ruling)));
+  if (known) return { ...before, sources };
+
+  const latest = history.reduce((max, e) => (e.date > max ? e.date : max), '');
+  const event = lawsuitEvent({ ...reported, court: reported.court || before.court }, date);
+  const statusHistory = [...history, event]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-MAX_STATUS_HISTORY);
+
+  if (date < latest) {
+    return { ...before, sources, statusHistory };
+  }
+  console.log(`Lawsuit "${before.title}": ${before.status} → ${reported.status}`);
+  return { ...before, status: reported.status, ruling: reported.ruling || before.ruling, sources, statusHistory };
+}
+
+export function mergeLawsuits(existing, newLawsuits, run) {
+  // Validate all
+  const validExisting = existing.map(validateLawsuit).filter(Boolean);
+  // statusDate only dates the reported event - it is not stored on the case
+  const validNew = newLawsuits
+    .map(raw => ({ lawsuit: validateLawsuit(raw, { citations: run.citations }), statusDate: knownDate(raw?.statusDate) }))
+    .filter(r => r.lawsuit)
+    .map(r => ({ ...r, lawsuit: fromExtraction(r.lawsuit) }));
+  
+  const result = [...validExisting];
+  let added = 0;
+  for (const { lawsuit, statusDate } of validNew) {
+    const index = findExistingOrArchived(result, lawsuit, 'lawsuits', run);
+    if (index < 0) {
+      const date = statusDate || knownDate(lawsuit.filed) || run.at.slice(0, 10);
+      result.push(withNewProvenance({ ...lawsuit, statusHistory: [lawsuitEvent(lawsuit, date)] }, run));
+      added++;
+    } else {
+      // Same case again: a new ruling/appeal/dismissal, or just coverage from another outlet
+      const before = result[index];
+      const after = applyLawsuitEvent(before, lawsuit, statusDate || run.at.slice(0, 10));
+      result[index] = withUpdatedProvenance(before, after, run);
+    }
+  }
+  
+  if (added > 0) {
+    console.log(`Adding ${added} new lawsuit(s)`);
+  }
+  
+  return result;
+}
+
+// ==================== MERGE EPSTEIN REVELATIONS ====================
+
+/**
+ * Add new revelations; further coverage of a stored one adds its sources
+ * and, while it is unconfirmed, counts towards its corroboration
+ */
+function mergeEpsteinRevelations(existing, newRevelations, run) {
+  const result = [...(existing || [])];
+  let added = 0;
+
+  for (const revelation of (newRevelations || []).map(fromExtraction)) {
+    const index = findExistingOrArchived(result, revelation, 'epsteinRevelations', run);
+    if (index < 0) {
+      result.push(corroborate(withNewProvenance(revelation, run), null, run));
+      added++;
+    } else {
+      const before = result[index];
+      const after = { ...before, sources: mergeSources(before.sources, revelation.sources) };
+      result[index] = corroborate(withUpdatedProvenance(before, after, run), before, run);
+    }
+  }
+
+  if (added > 0) {
+    console.log(`Adding ${added} new Epstein revelation(s)`);
+  }
+  return result;
+}
+
+// ==================== MERGE POLLS ====================
+
+/**
+ * Append new poll observations to the history - one observation per pollster/topic/field end date
+ */
+function mergePollObservations(existing, newObservations) {
+  const byId = new Map();
+  for (const obs of existing || []) byId.set(obs.id, obs);
+  
+  let added = 0;
+  for (const obs of newObservations || []) {
+    if (!byId.has(obs.id)) added++;
+    // A re-reported poll keeps its original recordedAt
+    byId.set(obs.id, { ...obs, recordedAt: byId.get(obs.id)?.recordedAt || obs.recordedAt });
+  }
+  
+  if (added > 0) {
+    console.log(`Adding ${added} new poll observation(s)`);
+  }
+  
+  // Oldest first, so the history reads as a time series
+  return [...byId.values()]
+    .sort((a, b) => a.fieldEnd.localeCompare(b.fieldEnd))
+    .slice(-MAX_POLL_HISTORY);
+}
+
+/**
+ * Latest reading per topic, in the legacy { approve, disapprove, source, date } shape
+ */
+function latestPollReadings(observations) {
+  const latest = {};
+  for (const topic of VALID_POLL_TOPICS) {
+    const newest = observations.filter(o => o.topic === topic).pop();
+    if (newest) {
+      latest[topic] = {
+        approve: newest.approve,
+        disapprove: newest.disapprove,
+        source: newest.pollster,
+        date: newest.fieldEnd,
+      };
+    }
+  }
+  return latest;
+}
+
+// ==================== MERGE CURATED + REPORTED ENTRIES ====================
+
+/**
+ * Merge constitutional concerns: baseline + earlier reported violations + new ones
+ */
+function mergeConstitutionalConcerns(stored, newViolations, run) {
+  const baselineIds = new Set(getConstitutionalConcerns().map(c => c.id));
+  const current = mergeWithCurated(getConstitutionalConcerns(), stored)
+    .map(c => baselineIds.has(c.id) ? c : validateConstitutionalViolation(c))
+    .filter(Boolean);
+  
+  let added = 0;
+  for (const violation of (newViolations || []).map(fromExtraction)) {
+    const index = findExistingOrArchived(current, violation, 'constitutionalConcerns', run);
+    if (index < 0) {
+      current.push(withNewProvenance(violation, run));
+      added++;
+    } else if (!baselineIds.has(current[index].id)) {
+      // Curated entries are rebuilt from getConstitutionalConcerns() every run - only reported ones take new sources
+      const before = current[index];
+      const after = { ...before, sources: mergeSources(before.sources, violation.sources) };
+      current[index] = withUpdatedProvenance(before, after, run);
+    }
+  }
+  
+  if (added > 0) {
+    console.log(`Added ${added} new constitutional concerns`);
+  }
+  
+  return current;
+}
+
+// ==================== CURATED BASELINE ====================
+// The entries the app shows as curated (src/curatedData.js), in their validated shape
+
+function getBrokenPromises() {
+  return CURATED_BROKEN_PROMISES.map(p => validatePromise(p, { curated: true })).filter(Boolean);
+}
+
+function getConstitutionalConcerns() {
+  return CURATED_CONSTITUTIONAL_CONCERNS.map(v => validateConstitutionalViolation(v, { curated: true })).filter(Boolean);
+}
+
+// ==================== APPLY EXTRACTION ====================
+
+/**
+ * Merge one parsed extraction into `currentData`. Everything it stamps is dated
+ * run.at rather than read off the clock, so a run whose save lost a race can
+ * apply the same extraction again to the fresh data and get the same result.
+ * (Records the LLM sent without an id still get a clock-based one from their
+ * validator; a re-apply matches them to the first attempt by title instead.)
+ * publishedData is what gets saved: updatedData, or in staging mode updatedData
+ * with the reviewable sections left as they were.
+ */
+export function applyExtraction(currentData, parsed, run) {
+  // Merge ICE incidents with VALIDATION
+  const mergedIce = mergeIceIncidents(
+    currentData.iceVictims || [],
+    parsed.iceIncidents || [],
+    run
+  );
+
+  // Merge lawsuits with VALIDATION
+  const mergedLawsuits = mergeLawsuits(
+    currentData.lawsuits || [],
+    parsed.lawsuits || [],
+    run
+  );
+
+  // Update stats if provided - VALIDATED (absent when the ICE pass failed, so the stored numbers stay)
+  const currentStats = currentData.iceStats || {};
+  const newStats = validateIceStats(parsed.iceStatsUpdate) || {};
+  const updatedStats = {
+    ...currentStats,
+    ...(newStats.totalShootings != null ? { totalShootings: newStats.totalShootings } : {}),
+    ...(newStats.shootingDeaths != null ? { shootingDeaths: newStats.shootingDeaths } : {}),
+    ...(newStats.usCitizensKilled != null ? { usCitizensKilled: newStats.usCitizensKilled } : {}),
+    ...(newStats.usCitizensShot != null ? { usCitizensShot: newStats.usCitizensShot } : {}),
+  };
+
+  // Update polls if provided - VALIDATED
+  // Every extracted poll is appended to the dated history instead of overwriting the last reading
+  const currentPolls = validatePollData(currentData.polls) || {};
+  const newPolls = validatePollData(parsed.polls);
+  const previousObservations = currentPolls.observations || [];
+  const newObservations = (newPolls?.observations || []).map(o => ({ ...o, recordedAt: run.at }));
+  const pollHistory = mergePollObservations(previousObservations, newObservations);
+  const newPollCount = pollHistory.length - previousObservations.length;
+  const updatedPolls = {
+    ...currentData.polls,
+    ...latestPollReadings(pollHistory),
+    observations: pollHistory,
+    // Net approval comes from our own rolling average, never a headline figure
+    netApproval: computePollingAverage(pollHistory, { topic: 'overall' })?.net ?? currentPolls.netApproval ?? null,
+    lastUpdated: run.at,
+  };
+
+  // Update Epstein data if provided - VALIDATED
+  // Stored revelations are re-validated like every other section (normalizes legacy dates)
+  const currentEpstein = {
+    ...(currentData.epsteinFiles || {}),
+    revelations: (currentData.epsteinFiles?.revelations || []).map(r => validateEpsteinRevelation(r)).filter(Boolean),
+  };
+  const newEpstein = validateEpsteinUpdates(parsed.epsteinUpdates, { citations: run.citations });
+  let updatedEpstein = currentEpstein;
+
+  if (newEpstein) {
+    updatedEpstein = {
+      ...currentEpstein,
+      revelations: mergeEpsteinRevelations(currentEpstein.revelations, newEpstein.newRevelations, run),
+      ...(newEpstein.pagesReleased !== null ? { pagesReleased: newEpstein.pagesReleased } : {}),
+      ...(newEpstein.pagesWithheld !== null ? { pagesWithheld: newEpstein.pagesWithheld } : {}),
+      ...(newEpstein.newFlightInfo ? { latestFlightInfo: newEpstein.newFlightInfo } : {}),
+      ...(newEpstein.dojActions ? { latestDojAction: newEpstein.dojActions } : {}),
+      lastUpdated: run.at,
+    };
+  }
+
+  // Update Constitutional data if provided - VALIDATED
+  // Keeps violations reported on earlier runs instead of resetting to the baseline
+  const previousConstitutional = mergeConstitutionalConcerns(currentData.constitutionalConcerns, []);
+  const newConstitutional = validateConstitutionalUpdates(parsed.constitutionalUpdates, { citations: run.citations });
+  const mergedConstitutional = mergeConstitutionalConcerns(
+    currentData.constitutionalConcerns,
+    newConstitutional?.newViolations || [],
+    run
+  );
+
+  // Update Breaking News - VALIDATED
+  const currentBreakingNews = currentData.breakingNews || [];
+  const newBreakingNews = Array.isArray(parsed.breakingNews) ? parsed.breakingNews : [];
+  const mergedBreakingNews = mergeBreakingNews(currentBreakingNews, newBreakingNews, run);
+
+  // Build updated data
+  const updatedData = {
+    ...currentData,
+    iceVictims: mergedIce,
+    iceStats: updatedStats,
+    lawsuits: mergedLawsuits,
+    polls: updatedPolls,
+    epsteinFiles: updatedEpstein,
+    brokenPromises: mergeWithCurated(getBrokenPromises(), currentData.brokenPromises),
+    constitutionalConcerns: mergedConstitutional,
+    breakingNews: mergedBreakingNews,
+    lastUpdated: run.at,
+    lastUpdateReason: sanitizeString(parsed.updateReason, 500) || 'Automated update',
+  };
+
+  // Staging mode: reviewable sections stay as they were (the proposals go to the queue)
+  const publishedData = REVIEW_MODE !== 'staging' ? updatedData : {
+    ...updatedData,
+    iceVictims: mergeIceIncidents(currentData.iceVictims || [], [], run),
+    lawsuits: mergeLawsuits(currentData.lawsuits || [], [], run),
+    epsteinFiles: currentEpstein,
+    constitutionalConcerns: previousConstitutional,
+    breakingNews: mergeBreakingNews(currentBreakingNews, [], run),
+  };
+
+  return { updatedData, publishedData, currentEpstein, previousConstitutional, currentBreakingNews, newPollCount };
+}
+
+/**
+ * Curated promises and constitutional concerns refreshed, everything else as stored
+ * (runs with no news or no usable extraction); dated `at`, the run's time
+ */
+export function refreshCuratedSections(data, at, extra = {}) {
+  return {
+    ...data,
+    brokenPromises: mergeWithCurated(getBrokenPromises(), data.brokenPromises),
+    constitutionalConcerns: mergeConstitutionalConcerns(data.constitutionalConcerns, []),
+    lastUpdated: at,
+    ...extra,
+  };
+}
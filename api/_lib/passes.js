@@ -0,0 +1,276 @@
+/**
+ * The LLM extraction passes api/update.js runs on each run's headlines.
+ */
+
+import { sanitizeString, isUnconfirmed } from '../../src/schema.js';
+import { extractStructured, passSchema } from './extraction.js';
+
+// ==================== EXTRACTION PASSES ====================
+// One focused LLM call per section instead of one prompt for everything. Each pass
+// sees only the headlines its section's search queries found, has its own schema
+// (passSchema in api/_lib/extraction.js), existing-records context and rules, and
+// fails on its own: a pass that returns nothing usable leaves its sections as stored.
+
+const EXTRACTION_PASSES = [
+  {
+    id: 'ice',
+    label: 'ICE, Border Patrol and CBP shootings and deaths',
+    sections: ['iceIncidents', 'iceStatsUpdate'],
+    breakingCategory: 'ice',
+    context: data => {
+      const existing = (data.iceVictims || []).map(v => `${v.name} (${v.date}, ${v.location})`).join('; ');
+      const unconfirmed = (data.iceVictims || []).filter(isUnconfirmed)
+        .map(v => `ICE incident [${v.id}]: ${v.name} (${v.date}, ${v.location})`);
+      return [`EXISTING ICE VICTIMS IN DATABASE: ${existing || 'None'}`, awaitingCorroboration(unconfirmed)];
+    },
+    format: `  "iceIncidents": [
+    {
+      "id": "firstname-lastname or date-location-unnamed",
+      "name": "Full Name or 'Unnamed victim' if not yet identified",
+      "age": 0,
+      "citizenship": "US Citizen / Legal Resident / Undocumented / Unknown",
+      "date": "YYYY-MM-DD (YYYY-MM or YYYY if only that is known)",
+      "location": "City, State",
+      "agency": "ICE / Border Patrol / CBP",
+      "details": "What happened - be specific",
+      "officialResponse": "Government's statement if any",
+      "witnessAccount": "Witness statements if any",
+      "sources": ["n-1a2b3c4d", "n-5e6f7a8b"]
+    }
+  ],
+  "iceStatsUpdate": {
+    "totalShootings": null,
+    "shootingDeaths": null,
+    "usCitizensKilled": null,
+    "usCitizensShot": null
+  },`,
+    rules: [
+      'Include shootings/deaths by ICE, Border Patrol, or CBP agents',
+      'If a victim\'s name is unknown, use "Unnamed victim" but STILL include the incident with date/location',
+      'If you find a NAME for someone who was previously "Unnamed", include them so we can update the record',
+      'Do NOT duplicate incidents already in the database',
+    ],
+  },
+  {
+    id: 'lawsuits',
+    label: 'lawsuits',
+    sections: ['lawsuits'],
+    breakingCategory: 'lawsuit',
+    context: data => {
+      const existing = (data.lawsuits || []).map(l => `${l.title || l.id} [${l.id}] (${l.status})`).join('; ');
+      return [`EXISTING LAWSUITS IN DATABASE: ${existing || 'None'}`];
+    },
+    format: `  "lawsuits": [
+    {
+      "id": "short-id",
+      "title": "Case name or description",
+      "plaintiff": "Who is suing",
+      "defendant": "Who is being sued",
+      "court": "Which court",
+      "filed": "YYYY-MM-DD filed (YYYY-MM or YYYY if only that is known)",
+      "status": "Pending / Ruling / Dismissed / Appealed / Blocked",
+      "statusDate": "YYYY-MM-DD of the event that gave it this status",
+      "summary": "What the case is about",
+      "ruling": "Court ruling if any",
+      "amount": "Dollar amount if specified",
+      "category": "against-admin / by-trump / against-trump-personal",
+      "sources": ["n-1a2b3c4d"]
+    }
+  ],`,
+    rules: [
+      'Include cases against Trump personally, the Trump administration, federal agencies under Trump, AND cases filed BY Trump',
+      'Report a case already in the database again ONLY for a new procedural event (ruling, appeal, dismissal, block): reuse its id and title, and give the new status, statusDate, the court that acted and the ruling',
+      'Do NOT duplicate lawsuits already in the database otherwise',
+    ],
+  },
+  {
+    id: 'polls',
+    label: 'approval polls',
+    sections: ['polls'],
+    breakingCategory: 'poll',
+    context: () => [],
+    format: `  "polls": {
+    "observations": [
+      {
+        "pollster": "Pollster name (e.g. Reuters/Ipsos)",
+        "topic": "overall / immigration / economy",
+        "approve": 39,
+        "disapprove": 56,
+        "fieldStart": "YYYY-MM-DD",
+        "fieldEnd": "YYYY-MM-DD",
+        "sampleSize": 1200,
+        "population": "Adults / Registered Voters / Likely Voters",
+        "source": "Outlet that reported it"
+      }
+    ]
+  },`,
+    rules: [
+      'Add one observation per poll AND topic (overall, immigration, economy) with approval numbers. Include field dates; use null for unknown sample size. Skip polls with no numbers.',
+    ],
+  },
+  {
+    id: 'epstein',
+    label: 'the Epstein files',
+    sections: ['epsteinUpdates'],
+    breakingCategory: 'epstein',
+    context: data => {
+      const unconfirmed = (data.epsteinFiles?.revelations || []).filter(isUnconfirmed)
+        .map(r => `Epstein revelation [${r.id}]: ${r.headline}`);
+      return [awaitingCorroboration(unconfirmed)];
+    },
+    format: `  "epsteinUpdates": {
+    "newRevelations": [
+      {
+        "id": "short-id",
+        "headline": "Brief headline",
+        "details": "What was revealed",
+        "involvedPerson": "Trump / Musk / Bannon / Maxwell / etc",
+        "date": "YYYY-MM-DD (YYYY-MM or YYYY if only that is known)",
+        "sources": ["n-1a2b3c4d"]
+      }
+    ],
+    "pagesReleased": null,
+    "pagesWithheld": null,
+    "newFlightInfo": null,
+    "dojActions": null
+  },`,
+    rules: [
+      'Track any NEW revelations about Trump, Musk, Bannon, or other Trump circle members. Track DOJ release actions.',
+    ],
+  },
+  {
+    id: 'constitutional',
+    label: 'constitutional violations and court defiance',
+    sections: ['constitutionalUpdates'],
+    breakingCategory: 'constitutional',
+    context: () => [],
+    format: `  "constitutionalUpdates": {
+    "newViolations": [
+      {
+        "id": "short-id",
+        "amendment": "e.g. '5TH AMENDMENT' or 'ARTICLE I' or 'SEPARATION OF POWERS'",
+        "title": "Brief title of violation",
+        "description": "What happened",
+        "courtRuling": "Judge name and ruling if any",
+        "status": "RULED UNCONSTITUTIONAL / ONGOING / IN COURTS / CONTEMPT",
+        "date": "YYYY-MM-DD (YYYY-MM or YYYY if only that is known)",
+        "sources": ["n-1a2b3c4d"]
+      }
+    ],
+    "courtDefianceCount": null,
+    "contemptProceedings": null
+  },`,
+    rules: [
+      'Track court rulings that find executive actions unconstitutional, contempt proceedings, and administration defiance of court orders',
+    ],
+  },
+];
+
+// Items waiting for more coverage - the model re-reports them when other outlets do
+function awaitingCorroboration(lines) {
+  if (lines.length === 0) return '';
+  return `AWAITING CORROBORATION (reported by too few outlets so far):
+${lines.join('\n')}
+If any headline above reports one of these, include it again with the SAME id and cite those headlines.`;
+}
+
+function buildPassPrompt(pass, headlines, currentData) {
+  const list = headlines
+    .map(n => `- [${n.id}] ${n.title} (${n.pubDate})${n.source.tier ? '' : ' (unverified outlet)'}`)
+    .join('\n');
+  const context = pass.context(currentData).filter(Boolean).join('\n\n');
+  const rules = [
+    ...pass.rules,
+    `For Breaking News: flag major developments about ${pass.label} from today or yesterday as breaking (category "${pass.breakingCategory}")`,
+    'Set stats/numbers to null if no specific numbers found',
+    'Return empty arrays [] if nothing new found - this is fine!',
+    '"sources" lists the [headline IDs] of the headlines above that report the item - cite IDs only, never outlet names or URLs, and never IDs that are not in the list',
+    'Headlines marked "(unverified outlet)" come from sources we have not vetted - do not add an item on their word alone',
+  ];
+
+  return `Analyze these news headlines for the Trump Accountability Tracker. This pass covers ${pass.label} only - ignore headlines about anything else.
+
+NEWS HEADLINES (each starts with its [headline ID]):
+${list}
+${context ? `\n${context}\n` : ''}
+Return ONLY valid JSON (no markdown, no backticks) with this exact structure:
+{
+${pass.format}
+  "breakingNews": [
+    {
+      "id": "${pass.breakingCategory}-brief-desc-date",
+      "category": "${pass.breakingCategory}",
+      "date": "YYYY-MM-DD",
+      "headline": "Short headline (max 80 chars)",
+      "summary": "2-3 sentence summary of what happened",
+      "sources": ["n-1a2b3c4d"],
+      "isBreaking": true
+    }
+  ],
+  "updateReason": "Brief description of what was found"
+}
+
+CRITICAL RULES:
+${rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n')}`;
+}
+
+/**
+ * Run every pass that has headlines, one after another, and combine what they
+ * return into the single `parsed` shape the merges expect. A pass that throws or
+ * produces no JSON object is recorded in `passes` and contributes nothing.
+ * parsed is null when no pass produced anything; if every pass that ran threw
+ * (provider down, bad key), the first error is rethrown.
+ */
+export async function runExtractionPasses(llm, news, currentData) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const passes = {};
+  const dropped = {};
+  const errors = [];
+  const raw = [];
+  const reasons = [];
+  let parsed = null;
+  let repairs = 0;
+  let firstError = null;
+
+  for (const pass of EXTRACTION_PASSES) {
+    const headlines = news.filter(n => n.groups.includes(pass.id));
+    if (headlines.length === 0) continue;
+
+    let extraction;
+    try {
+      extraction = await extractStructured(llm, buildPassPrompt(pass, headlines, currentData), passSchema(pass.sections, pass.breakingCategory));
+    } catch (err) {
+      console.error(`Extraction pass "${pass.id}" failed:`, err.message);
+      passes[pass.id] = { headlines: headlines.length, ok: false, error: sanitizeString(err.message, 300) };
+      firstError = firstError || err;
+      continue;
+    }
+
+    for (const key of Object.keys(usage)) usage[key] += extraction.usage[key];
+    repairs += extraction.repairs;
+    errors.push(...extraction.errors.map(e => `[${pass.id}] ${e}`));
+    passes[pass.id] = { headlines: headlines.length, ok: Boolean(extraction.parsed), repairs: extraction.repairs };
+
+    if (!extraction.parsed) {
+      console.error(`Extraction pass "${pass.id}" returned nothing usable:`, extraction.raw.substring(0, 500));
+      raw.push(`[${pass.id}] ${extraction.raw}`);
+      continue;
+    }
+
+    // A pass only fills its own sections; breaking news accumulates across passes
+    parsed = parsed || { breakingNews: [] };
+    for (const section of pass.sections) {
+      if (extraction.parsed[section] !== undefined) parsed[section] = extraction.parsed[section];
+    }
+    if (Array.isArray(extraction.parsed.breakingNews)) parsed.breakingNews.push(...extraction.parsed.breakingNews);
+    if (extraction.parsed.updateReason) reasons.push(extraction.parsed.updateReason);
+    for (const [section, count] of Object.entries(extraction.dropped)) {
+      dropped[section] = typeof count === 'number' && typeof dropped[section] === 'number' ? dropped[section] + count : count;
+    }
+  }
+
+  const results = Object.values(passes);
+  if (results.length > 0 && results.every(p => p.error)) throw firstError;
+  if (parsed) parsed.updateReason = reasons.join('; ');
+  return { parsed, passes, usage, repairs, dropped, errors, raw: raw.join('\n\n') };
+}
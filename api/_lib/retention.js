@@ -0,0 +1,105 @@
+/**
+ * Retention policy for the public tracker tables.
+ *
+ * Every visitor loads each list in full, so each list keeps a recent window.
+ * Records that fall out of it are written to the tracker_archive table before
+ * the data is saved without them, and the app pages through the archive with
+ * "Load older". When the archive write fails the lists keep everything -
+ * nothing a reader once saw is dropped. A story reported again after it was
+ * archived is found by id or match_key and updated, not added again (api/_lib/merge.js).
+ */
+
+import { MAX_ARRAY_LENGTH, knownDate, isReportedEntry } from '../../src/schema.js';
+import { archiveRecords } from './supabase.js';
+import { recordKey } from './review.js';
+
+// ==================== POLICY ====================
+
+/**
+ * keep: records left in the live list; dateOf: what "recent" means for the section;
+ * pinned: records that never leave the live list (curated baseline entries)
+ */
+export const RETENTION = {
+  iceVictims: {
+    keep: MAX_ARRAY_LENGTH,
+    dateOf: v => v.date,
+  },
+  lawsuits: {
+    keep: MAX_ARRAY_LENGTH,
+    // A case with a fresh ruling is recent even if it was filed long ago
+    dateOf: l => l.statusHistory?.[l.statusHistory.length - 1]?.date || l.filed,
+  },
+  epsteinRevelations: {
+    keep: 100,
+    dateOf: r => r.date,
+    get: data => data.epsteinFiles?.revelations,
+    set: (data, list) => ({ ...data, epsteinFiles: { ...data.epsteinFiles, revelations: list } }),
+  },
+  constitutionalConcerns: {
+    keep: 50,
+    dateOf: c => c.date,
+    pinned: c => !isReportedEntry(c),
+  },
+  breakingNews: {
+    keep: 20,
+    dateOf: n => n.date,
+  },
+};
+
+/**
+ * Sortable ISO date for a record; undated records fall back to when the tracker first saw them
+ */
+function recencyOf(record, policy) {
+  return knownDate(policy.dateOf(record)) ||
+    String(record.provenance?.firstSeen || record.addedAt || '').slice(0, 10);
+}
+
+// ==================== APPLY ====================
+
+/**
+ * Split each list into the recent window and the records past it.
+ * Returns { data, archived: [{ section, entity_id, match_key, record, record_date }] };
+ * kept records stay in their original order.
+ */
+export function applyRetention(data) {
+  let retained = data;
+  const archived = [];
+
+  for (const [section, policy] of Object.entries(RETENTION)) {
+    const list = (policy.get ? policy.get(data) : data[section]) || [];
+    if (!Array.isArray(list) || list.length <= policy.keep) continue;
+
+    const isPinned = record => Boolean(policy.pinned?.(record));
+    // Newest first; on equal dates the later-added record is the newer one
+    const ranked = list
+      .map((record, index) => ({ record, index, date: recencyOf(record, policy) }))
+      .filter(({ record }) => !isPinned(record))
+      .sort((a, b) => b.date.localeCompare(a.date) || b.index - a.index);
+    const room = Math.max(policy.keep - list.filter(isPinned).length, 0);
+
+    const kept = new Set(ranked.slice(0, room).map(r => r.record));
+    for (const { record, date } of ranked.slice(room)) {
+      archived.push({ section, entity_id: record.id, match_key: recordKey(section, record) || null, record, record_date: date || null });
+    }
+    const next = list.filter(record => isPinned(record) || kept.has(record));
+    retained = policy.set ? policy.set(retained, next) : { ...retained, [section]: next };
+  }
+
+  return { data: retained, archived };
+}
+
+/**
+ * Archive what falls out of the window, then return the data to save:
+ * the trimmed one, or the full one if the archive could not be written.
+ */
+export async function retainAndArchive(data, runId) {
+  const { data: retained, archived } = applyRetention(data);
+  if (archived.length === 0) return { data, archived: 0 };
+
+  if (!(await archiveRecords(archived, runId))) {
+    console.error(`Could not archive ${archived.length} record(s) - keeping them in the live lists`);
+    return { data, archived: 0 };
+  }
+  console.log(`Archived ${archived.length} record(s) past the retention window`);
+  return { data: retained, archived: archived.length };
+}
@@ -0,0 +1,257 @@
+/**
+ * Human review queue for AI-proposed changes.
+ *
+ * In staging mode the cron does not publish new or changed ICE incidents,
+ * lawsuits, Epstein revelations/file counts, constitutional violations or
+ * breaking news. Each proposal is written to the pending_changes table with
+ * the headlines that most likely triggered it, and only goes into the public
+ * tracker tables once an admin approves it (see api/review.js).
+ */
+
+import { createHash } from 'crypto';
+import {
+  MAX_PROVENANCE_CHANGES,
+  validateIceIncident,
+  validateLawsuit,
+  validateEpsteinRevelation,
+  validateEpsteinFiles,
+  validateConstitutionalViolation,
+  validateBreakingNewsItem,
+} from '../../src/schema.js';
+import { stripVolatile, stableStringify, diffCollection, fieldChanges } from './diff.js';
+
+// 'direct' (default) publishes proposals immediately; 'staging' queues them for review
+export const REVIEW_MODE = process.env.REVIEW_MODE === 'staging' ? 'staging' : 'direct';
+if (process.env.REVIEW_MODE && process.env.REVIEW_MODE !== REVIEW_MODE) {
+  console.warn(`Unknown REVIEW_MODE "${process.env.REVIEW_MODE}" - publishing directly (expected 'direct' or 'staging')`);
+}
+
+const EPSTEIN_SUMMARY_FIELDS = ['pagesReleased', 'pagesWithheld', 'latestFlightInfo', 'latestDojAction'];
+
+// ==================== SECTIONS ====================
+
+/**
+ * Reviewable sections of the blob.
+ * Collections are lists of entities; the Epstein summary is a single object of counts/notes.
+ * `provenance` sections record approvals in each entity's provenance trail.
+ */
+export const REVIEW_SECTIONS = {
+  iceVictims: {
+    label: 'ICE incident',
+    validate: validateIceIncident,
+    keyOf: e => e.name,
+    provenance: true,
+  },
+  lawsuits: {
+    label: 'Lawsuit',
+    validate: validateLawsuit,
+    keyOf: e => e.title,
+    provenance: true,
+  },
+  epsteinRevelations: {
+    label: 'Epstein revelation',
+    validate: validateEpsteinRevelation,
+    keyOf: e => e.headline,
+    provenance: true,
+    get: data => data.epsteinFiles?.revelations,
+    set: (data, list) => ({ ...data, epsteinFiles: { ...data.epsteinFiles, revelations: list } }),
+  },
+  epsteinSummary: {
+    label: 'Epstein files summary',
+    summary: true,
+  },
+  constitutionalConcerns: {
+    label: 'Constitutional violation',
+    validate: v => validateConstitutionalViolation(v),
+    keyOf: e => e.title,
+    provenance: true,
+  },
+  breakingNews: {
+    label: 'Breaking news',
+    validate: validateBreakingNewsItem,
+    keyOf: e => e.headline,
+    // Newest first, like mergeBreakingNews
+    order: list => [...list].sort((a, b) => new Date(b.date) - new Date(a.date)),
+  },
+};
+
+function getSection(data, section) {
+  const config = REVIEW_SECTIONS[section];
+  return (config.get ? config.get(data) : data[section]) || [];
+}
+
+function setSection(data, section, list) {
+  const config = REVIEW_SECTIONS[section];
+  return config.set ? config.set(data, list) : { ...data, [section]: list };
+}
+
+// ==================== HELPERS ====================
+
+function normalizeKey(str) {
+  return String(str || '').toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The normalized name/title/headline a collection's records are matched on.
+ * Archived records keep it as match_key, so a story reported again after it
+ * was archived is still recognized (api/_lib/retention.js).
+ */
+export function recordKey(section, record) {
+  return normalizeKey(REVIEW_SECTIONS[section].keyOf(record));
+}
+
+/**
+ * Identify a proposal across runs. Additions are keyed by their name/title/headline
+ * (the AI may return a fresh id every time), field changes by entity id + new content.
+ */
+function fingerprintOf(section, change) {
+  const config = REVIEW_SECTIONS[section];
+  const identity = change.changeType === 'add'
+    ? `add|${normalizeKey(config.keyOf(change.proposed))}`
+    : `update|${change.entityId}|${stableStringify(stripVolatile(change.proposed))}`;
+  return createHash('sha1').update(`${section}|${identity}`).digest('hex');
+}
+
+/**
+ * Headlines sharing the most significant words with the proposed entity
+ */
+function relatedHeadlines(entity, news, max = 5) {
+  const words = new Set(
+    normalizeKey(Object.values(stripVolatile(entity)).filter(v => typeof v === 'string').join(' '))
+      .split(' ')
+      .filter(w => w.length > 3)
+  );
+
+  return news
+    .map(n => ({
+      title: n.title,
+      pubDate: n.pubDate,
+      url: n.link,
+      score: normalizeKey(n.title).split(' ').filter(w => words.has(w)).length,
+    }))
+    .filter(n => n.score >= 2)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, max)
+    .map(({ title, pubDate, url }) => ({ title, pubDate, url }));
+}
+
+/**
+ * The Epstein summary has no text to match on - use what the Epstein searches returned
+ */
+function epsteinHeadlines(news, max = 5) {
+  return news
+    .filter(n => (n.groups || []).includes('epstein'))
+    .slice(0, max)
+    .map(({ title, pubDate, link }) => ({ title, pubDate, url: link }));
+}
+
+// ==================== DIFF ====================
+
+function diffEpsteinSummary(before, after) {
+  const previous = {};
+  const proposed = {};
+  for (const field of EPSTEIN_SUMMARY_FIELDS) {
+    if (after?.[field] !== undefined && after[field] !== before?.[field]) {
+      previous[field] = before?.[field] ?? null;
+      proposed[field] = after[field];
+    }
+  }
+  if (Object.keys(proposed).length === 0) return [];
+  return [{ changeType: 'update', entityId: 'epsteinFiles', previous, proposed }];
+}
+
+/**
+ * Build pending_changes rows for everything the run would publish.
+ * `before` and `after` are blobs in which the reviewable sections were merged
+ * without and with the AI's output respectively.
+ */
+export function buildPendingChanges(before, after, news) {
+  const rows = [];
+
+  for (const section of Object.keys(REVIEW_SECTIONS)) {
+    const changes = REVIEW_SECTIONS[section].summary
+      ? diffEpsteinSummary(before.epsteinFiles, after.epsteinFiles)
+      : diffCollection(getSection(before, section), getSection(after, section));
+
+    for (const change of changes) {
+      rows.push({
+        section,
+        change_type: change.changeType,
+        entity_id: change.entityId,
+        proposed: change.proposed,
+        previous: change.previous,
+        headlines: REVIEW_SECTIONS[section].summary
+          ? epsteinHeadlines(news)
+          : relatedHeadlines(change.proposed, news),
+        fingerprint: fingerprintOf(section, change),
+        status: 'pending',
+      });
+    }
+  }
+
+  return rows;
+}
+
+// ==================== APPLY ====================
+
+/**
+ * Add the approval - or the admin's edit - to the entity's provenance trail
+ */
+function withReviewProvenance(entity, previous, change) {
+  const at = new Date().toISOString();
+  const trail = entity.provenance || previous?.provenance ||
+    { origin: 'unknown', runId: null, headlines: [], firstSeen: at, changes: [] };
+  const entry = {
+    at,
+    runId: `review-${change.id}`,
+    origin: change.edited_by ? 'manual-edit' : 'review',
+    fields: previous ? Object.keys(fieldChanges(previous, entity)) : [],
+  };
+  return {
+    ...entity,
+    provenance: { ...trail, lastUpdated: at, changes: [...trail.changes, entry].slice(-MAX_PROVENANCE_CHANGES) },
+  };
+}
+
+/**
+ * Merge one approved change into the tracker blob.
+ * The proposal (possibly edited by the admin) is re-validated; throws if it
+ * no longer passes the schema.
+ */
+export function applyPendingChange(data, change) {
+  const config = REVIEW_SECTIONS[change.section];
+  if (!config) {
+    throw new Error(`Unknown section: ${change.section}`);
+  }
+
+  if (config.summary) {
+    const proposed = {};
+    for (const field of EPSTEIN_SUMMARY_FIELDS) {
+      if (change.proposed?.[field] !== undefined) proposed[field] = change.proposed[field];
+    }
+    const files = validateEpsteinFiles({ ...data.epsteinFiles, ...proposed, lastUpdated: new Date().toISOString() });
+    return { ...data, epsteinFiles: { ...data.epsteinFiles, ...files, revelations: data.epsteinFiles?.revelations || [] } };
+  }
+
+  const entity = config.validate(change.proposed);
+  if (!entity) {
+    throw new Error(`Proposed ${config.label.toLowerCase()} does not pass validation`);
+  }
+
+  const list = [...getSection(data, change.section)];
+  const key = normalizeKey(config.keyOf(entity));
+  const index = list.findIndex(e =>
+    e.id === change.entity_id || e.id === entity.id || normalizeKey(config.keyOf(e)) === key
+  );
+  // Compare against the validated stored copy so absent vs empty fields don't count as edits
+  const previous = index >= 0 ? (config.validate(list[index]) || list[index]) : null;
+  const reviewed = config.provenance ? withReviewProvenance(entity, previous, change) : entity;
+  if (index >= 0) {
+    list[index] = reviewed;
+  } else {
+    list.push(reviewed);
+  }
+
+  // No cap here - the caller archives whatever falls outside the retention window
+  return setSection(data, change.section, config.order ? config.order(list) : list);
+}
@@ -0,0 +1,140 @@
+/**
+ * Near-duplicate detection for the merge functions in api/_lib/merge.js.
+ *
+ * Exact normalized equality misses rephrasings ("Judge blocks Trump birthright
+ * order" vs "Federal judge blocks birthright citizenship EO"). Records are
+ * compared by token overlap (stemmed, stopwords removed, one-letter typos
+ * tolerated), nudged up when they name the same people/courts/places, and
+ * ruled out when their categories differ or their dates are too far apart.
+ */
+
+// Score (0-1) at which two records count as the same story
+export const SIMILARITY_THRESHOLD = Number(process.env.DEDUPE_SIMILARITY_THRESHOLD) || 0.65;
+
+// Added when both records share an entity (plaintiff, person, location...)
+const ENTITY_BONUS = 0.15;
+
+// Words on nearly every headline in this tracker - they say nothing about which story it is
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with', 'and', 'or', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'its', 'it', 'that', 'this', 'after', 'over', 'into',
+  'new', 'says', 'said', 'us', 'trump', 'trumps', 'administration', 'admin', 'president', 'federal',
+]);
+
+const ABBREVIATIONS = {
+  eo: 'executive order',
+  scotus: 'supreme court',
+  doj: 'justice department',
+  dhs: 'homeland security',
+};
+
+// ==================== TOKENS ====================
+
+function stem(word) {
+  const stripped = word.replace(/(ing|ed|es|s)$/, '');
+  const base = stripped.length >= 3 ? stripped : word;
+  return base.length > 3 ? base.replace(/e$/, '') : base;
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .split(/\s+/)
+    .flatMap(w => (ABBREVIATIONS[w] || w).split(' '))
+    .filter(w => w && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+// Short words differ by one letter too often ("fire"/"hire") to allow typos or prefixes there
+function tokensMatch(a, b) {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) < 5) return false;
+  return editDistance(a, b) <= 1 || a.startsWith(b) || b.startsWith(a);
+}
+
+/**
+ * Dice coefficient over tokens, pairing each token at most once
+ */
+function tokenSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const unused = [...b];
+  let matches = 0;
+  for (const token of a) {
+    const index = unused.findIndex(other => tokensMatch(token, other));
+    if (index >= 0) {
+      matches++;
+      unused.splice(index, 1);
+    }
+  }
+  return (2 * matches) / (a.length + b.length);
+}
+
+// ==================== SCORING ====================
+
+function daysApart(a, b) {
+  const ta = Date.parse(a);
+  const tb = Date.parse(b);
+  if (Number.isNaN(ta) || Number.isNaN(tb)) return null;
+  return Math.abs(ta - tb) / 86400000;
+}
+
+/**
+ * Do two entity names (plaintiffs, courts, people) refer to the same one? Tolerates
+ * rewording like "12 states" / "twelve states" but not a different name.
+ */
+export function sameEntity(a, b) {
+  return sharesEntity([a], [b]);
+}
+
+function sharesEntity(a, b) {
+  const tokensA = a.filter(Boolean).map(tokenize).filter(t => t.length > 0);
+  const tokensB = b.filter(Boolean).map(tokenize).filter(t => t.length > 0);
+  return tokensA.some(x => tokensB.some(y => tokenSimilarity(x, y) >= 0.5));
+}
+
+/**
+ * Similarity of two described records, 0 when they cannot be the same story.
+ * A description is { text, date?, category?, entities? }; maxDays bounds the date gap.
+ */
+export function similarity(a, b, { maxDays = 14 } = {}) {
+  if (a.category && b.category && a.category !== b.category) return 0;
+  const gap = daysApart(a.date, b.date);
+  if (gap !== null && gap > maxDays) return 0;
+
+  const score = tokenSimilarity(tokenize(a.text), tokenize(b.text));
+  const bonus = sharesEntity(a.entities || [], b.entities || []) ? ENTITY_BONUS : 0;
+  return Math.min(1, score + bonus);
+}
+
+/**
+ * Index of the record in `list` most similar to `item` at or above the threshold, else -1.
+ * `describe` maps a record to { text, date, category, entities }; `compatible(candidate, item)`,
+ * when given, rules out candidates that cannot be the same record however alike they read.
+ */
+export function findNearDuplicate(list, item, describe, { threshold = SIMILARITY_THRESHOLD, maxDays, compatible } = {}) {
+  const target = describe(item);
+  let best = -1;
+  let bestScore = 0;
+  list.forEach((candidate, i) => {
+    if (compatible && !compatible(candidate, item)) return;
+    const score = similarity(describe(candidate), target, { maxDays });
+    if (score >= threshold && score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
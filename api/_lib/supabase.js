@@ -0,0 +1,514 @@
+/**
+ * Supabase REST helpers shared by the API routes.
+ * Files under api/_lib are not deployed as routes.
+ */
+
+import { TRACKER_TABLES, STATS_TABLE, splitTrackerData, assembleTrackerData } from '../../src/trackerTables.js';
+import { stableStringify } from './diff.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+function serviceHeaders(extra = {}) {
+  return {
+    'apikey': SUPABASE_SERVICE_KEY,
+    'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
+    ...extra,
+  };
+}
+
+// ==================== TRACKER TABLES ====================
+// One table per list plus tracker_stats (src/trackerTables.js). Callers still
+// read and write the whole tracker_data shape; only changed rows are sent.
+
+async function readTable(table, select) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/${table}?select=${select}`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read ${table}: ${response.status}`);
+  }
+  return response.json();
+}
+
+async function readTrackerRows() {
+  const tables = Object.values(TRACKER_TABLES).map(config => config.table);
+  const [stats, ...lists] = await Promise.all([
+    readTable(STATS_TABLE, 'key,value'),
+    ...tables.map(table => readTable(table, 'id,position,record')),
+  ]);
+  return { stats, tables: Object.fromEntries(tables.map((table, i) => [table, lists[i]])) };
+}
+
+/**
+ * Current data, assembled from the tables. Throws when a table cannot be read -
+ * a partial read must never be mistaken for deleted records.
+ */
+export async function getCurrentData() {
+  return (await readCurrentData()).data;
+}
+
+/**
+ * Current data plus the revision it was read at, for a conditional write.
+ * The revision is read before the rows. A save committing in between can show
+ * up in the rows without being in the revision; the conditional save then
+ * conflicts and is rebuilt on a fresh read, so the gap costs a retry, never a
+ * lost write. Saves commit in one transaction, so the rows are never half-written.
+ */
+export async function readCurrentData() {
+  const revision = await getRevision();
+  return { data: assembleTrackerData(await readTrackerRows()), revision };
+}
+
+/**
+ * Rows of `next` that are new or differ from `stored`, and the keys the table keeps
+ * (the save deletes every other row)
+ */
+function rowChanges(stored = [], next, key, fields) {
+  const signature = row => stableStringify(fields.map(field => row[field]));
+  const before = new Map(stored.map(row => [row[key], signature(row)]));
+  return {
+    upserts: next.filter(row => before.get(row[key]) !== signature(row)),
+    keep: next.map(row => row[key]),
+  };
+}
+
+/**
+ * Write a new version of the data through save_tracker_data (see
+ * supabase/migrations/20261019110000_save_tracker_data.sql), which runs as one
+ * transaction: with meta.expectedRevision (from readCurrentData) it writes only
+ * if nobody else wrote since, and WriteConflictError is thrown otherwise;
+ * without it the write is unconditional. It stores a full snapshot (see
+ * SNAPSHOTS below), upserts new/changed rows, deletes rows the new version no
+ * longer has and moves the revision forward - all of it, or nothing.
+ * Untouched records are never rewritten.
+ * meta: { runId, source: 'cron' | 'review' | 'rollback' | 'migration', actor, expectedRevision }
+ */
+export async function updateSupabase(data, meta = {}) {
+  let result;
+  try {
+    const stored = await readTrackerRows();
+    // Stored rows keep their positions, so adding or dropping one record does not move the rest
+    const next = splitTrackerData(data, stored);
+    const changes = [
+      ...Object.entries(next.tables).map(([table, rows]) => ({
+        table, ...rowChanges(stored.tables[table], rows, 'id', ['position', 'record']),
+      })),
+      { table: STATS_TABLE, ...rowChanges(stored.stats, next.stats, 'key', ['value']) },
+    ];
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/save_tracker_data`, {
+      method: 'POST',
+      headers: serviceHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        p_changes: changes,
+        p_snapshot: { source: meta.source || 'cron', created_by: meta.actor || null, counts: countSections(data), data },
+        p_run_id: meta.runId || null,
+        p_expected_revision: meta.expectedRevision ?? null,
+        p_check_revision: meta.expectedRevision !== undefined,
+      }),
+    });
+    if (!response.ok) {
+      console.error(`Failed to save tracker data: ${response.status} ${await response.text()}`);
+      return false;
+    }
+    result = await response.json();
+  } catch (err) {
+    console.error('Failed to save tracker data:', err);
+    return false;
+  }
+
+  if (result.conflict) {
+    throw new WriteConflictError(meta.expectedRevision);
+  }
+  console.log(`Wrote ${result.written} row(s), removed ${result.removed} (snapshot ${result.snapshot_id})`);
+  return true;
+}
+
+// Conditional writes re-read and rebuild this many times before giving up
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Read, build and save until the save is not beaten by another writer.
+ * build(current) returns { data, ... } - it runs again on the fresh data after
+ * a conflict, so both writers' changes survive. Throws WriteConflictError when
+ * every attempt conflicted.
+ * Returns { saved, result: the last build's return value, conflicts }.
+ */
+export async function saveWithRetry(build, meta = {}, { initial, attempts = MAX_WRITE_ATTEMPTS } = {}) {
+  let { data, revision } = initial || await readCurrentData();
+  let conflicts = 0;
+
+  for (;;) {
+    const result = await build(data);
+    try {
+      const saved = await updateSupabase(result.data, { ...meta, expectedRevision: revision });
+      return { saved, result, conflicts };
+    } catch (err) {
+      if (!(err instanceof WriteConflictError)) throw err;
+      conflicts++;
+      if (conflicts >= attempts) {
+        throw new WriteConflictError(revision, conflicts);
+      }
+      console.warn(`Write conflict (${conflicts}/${attempts}) - re-reading and applying the changes again`);
+      ({ data, revision } = await readCurrentData());
+    }
+  }
+}
+
+// ==================== REVISION ====================
+// tracker_revision holds one timestamp that every save moves forward, in the
+// same transaction as its rows. A conditional save only goes through if the
+// value is still the one it read; otherwise nothing is written.
+
+export class WriteConflictError extends Error {
+  constructor(revision, attempts = 1) {
+    super(`Tracker data changed since it was read (revision ${revision ?? 'none'}${attempts > 1 ? `, ${attempts} attempts` : ''})`);
+    this.name = 'WriteConflictError';
+    this.attempts = attempts;
+  }
+}
+
+async function getRevision() {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/tracker_revision?id=eq.main&select=updated_at`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read tracker revision: ${response.status}`);
+  }
+  const rows = await response.json();
+  return rows[0]?.updated_at || null;
+}
+
+// ==================== SNAPSHOTS ====================
+
+/**
+ * Item counts per section, stored with each snapshot so a run that wiped
+ * out a section stands out in the admin listing
+ */
+export function countSections(data) {
+  const length = list => (Array.isArray(list) ? list.length : 0);
+  return {
+    iceVictims: length(data?.iceVictims),
+    lawsuits: length(data?.lawsuits),
+    brokenPromises: length(data?.brokenPromises),
+    constitutionalConcerns: length(data?.constitutionalConcerns),
+    breakingNews: length(data?.breakingNews),
+    epsteinRevelations: length(data?.epsteinFiles?.revelations),
+    pollObservations: length(data?.polls?.observations),
+  };
+}
+
+export async function listSnapshots(limit = 50) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/tracker_snapshots?select=id,run_id,source,created_by,counts,created_at&order=created_at.desc&limit=${limit}`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to list snapshots: ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function getSnapshot(id) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/tracker_snapshots?select=*&id=eq.${encodeURIComponent(id)}`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read snapshot: ${response.status}`);
+  }
+  const rows = await response.json();
+  return rows[0] || null;
+}
+
+// ==================== ARCHIVE ====================
+
+/**
+ * Store records that aged out of the blob (see api/_lib/retention.js).
+ * Upserts on (section, entity_id), so archiving a record again just refreshes it;
+ * archived_at is left at the first time, so the app's pages never shift.
+ * rows: [{ section, entity_id, match_key, record, record_date }]
+ */
+export async function archiveRecords(rows, runId) {
+  if (rows.length === 0) return true;
+
+  try {
+    const response = await fetch(
+      `${SUPABASE_URL}/rest/v1/tracker_archive?on_conflict=section,entity_id`,
+      {
+        method: 'POST',
+        headers: serviceHeaders({
+          'Content-Type': 'application/json',
+          'Prefer': 'resolution=merge-duplicates,return=minimal',
+        }),
+        body: JSON.stringify(rows.map(row => ({ ...row, run_id: runId || null }))),
+      }
+    );
+    return response.ok;
+  } catch (err) {
+    console.error('Failed to archive records:', err);
+    return false;
+  }
+}
+
+// PostgREST in.(...) list, each value quoted
+function inList(values) {
+  return `(${values.map(v => `"${String(v).replace(/[\\"]/g, '\\$&')}"`).join(',')})`;
+}
+
+/**
+ * Archived records that new reports may be repeating: per section, the rows
+ * whose entity_id or match_key is one of the given ones.
+ * lookups: { [section]: { ids, keys } }; returns { [section]: [record] }.
+ * Throws when the archive cannot be read - without it an archived story
+ * would be added back as a new one.
+ */
+export async function findArchivedRecords(lookups) {
+  const sections = Object.entries(lookups).filter(([, { ids, keys }]) => ids.length > 0 || keys.length > 0);
+  const found = await Promise.all(sections.map(async ([section, { ids, keys }]) => {
+    const match = [
+      ...(ids.length > 0 ? [`entity_id.in.${inList(ids)}`] : []),
+      ...(keys.length > 0 ? [`match_key.in.${inList(keys)}`] : []),
+    ];
+    const params = new URLSearchParams({ select: 'record', section: `eq.${section}`, or: `(${match.join(',')})` });
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/tracker_archive?${params}`, { headers: serviceHeaders() });
+    if (!response.ok) {
+      throw new Error(`Failed to read archived ${section}: ${response.status}`);
+    }
+    return [section, (await response.json()).map(row => row.record)];
+  }));
+  return Object.fromEntries(found);
+}
+
+// ==================== UPDATE LOGS ====================
+
+export async function logUpdate(logEntry) {
+  try {
+    const response = await fetch(
+      `${SUPABASE_URL}/rest/v1/update_logs`,
+      {
+        method: 'POST',
+        headers: serviceHeaders({
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal',
+        }),
+        body: JSON.stringify({
+          timestamp: new Date().toISOString(),
+          ...logEntry,
+        }),
+      }
+    );
+    return response.ok;
+  } catch (err) {
+    console.error('Failed to write update log:', err);
+    return false;
+  }
+}
+
+/**
+ * Record the start of a run before it does any work (update_runs, see the
+ * migration). Returns { claimed: true }, or { claimed: false, reason } with
+ * reason 'replayed' (the signed token was used before) or 'too_soon' (a run
+ * started within minIntervalMinutes; next_allowed says when the next may).
+ * Checked and recorded in one transaction, so two triggers cannot both pass.
+ */
+export async function claimUpdateRun({ runId, trigger, tokenTs = null, dryRun = false, minIntervalMinutes }) {
+  const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/claim_update_run`, {
+    method: 'POST',
+    headers: serviceHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({
+      p_run_id: runId,
+      p_trigger: trigger,
+      p_token_ts: tokenTs,
+      p_dry_run: dryRun,
+      p_min_interval_minutes: minIntervalMinutes,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to claim update run: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * The most recent runs (rejected triggers left out), newest first, with their
+ * outcome, fetch timing and per-query stats
+ */
+export async function listRecentRuns(limit = 20) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/update_logs?select=run_id,timestamp,success,news_count,error,news_fetch_ms,query_stats&auth_failure=eq.false&order=timestamp.desc&limit=${limit}`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read update logs: ${response.status}`);
+  }
+  return response.json();
+}
+
+// ==================== PENDING CHANGES ====================
+
+/**
+ * Proposals already waiting or already turned down, by fingerprint, so the
+ * cron does not queue the same proposal on every run:
+ * Map<fingerprint, { id, status, proposed, headlines }>
+ */
+export async function getKnownProposals(fingerprints) {
+  if (fingerprints.length === 0) return new Map();
+
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/pending_changes?select=id,fingerprint,status,proposed,headlines&status=in.(pending,rejected)&fingerprint=in.(${fingerprints.join(',')})`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read pending changes: ${response.status}`);
+  }
+  const rows = await response.json();
+  return new Map(rows.map(({ fingerprint, ...row }) => [fingerprint, row]));
+}
+
+export async function insertPendingChanges(rows) {
+  if (rows.length === 0) return true;
+
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/pending_changes`,
+    {
+      method: 'POST',
+      headers: serviceHeaders({
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal',
+      }),
+      body: JSON.stringify(rows),
+    }
+  );
+  return response.ok;
+}
+
+export async function listPendingChanges(status = 'pending') {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/pending_changes?select=*&status=eq.${encodeURIComponent(status)}&order=created_at.asc&limit=200`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to list pending changes: ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function getPendingChange(id) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/pending_changes?select=*&id=eq.${encodeURIComponent(id)}`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read pending change: ${response.status}`);
+  }
+  const rows = await response.json();
+  return rows[0] || null;
+}
+
+/**
+ * Patch a change only while it is still pending - the one admin whose patch
+ * lands gets the updated row back, anyone racing them gets null
+ */
+export async function updatePendingChangeIfPending(id, patch) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/pending_changes?id=eq.${encodeURIComponent(id)}&status=eq.pending`,
+    {
+      method: 'PATCH',
+      headers: serviceHeaders({
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation',
+      }),
+      body: JSON.stringify(patch),
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to update pending change: ${response.status}`);
+  }
+  const rows = await response.json();
+  return rows[0] || null;
+}
+
+export async function updatePendingChange(id, patch) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/pending_changes?id=eq.${encodeURIComponent(id)}`,
+    {
+      method: 'PATCH',
+      headers: serviceHeaders({
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal',
+      }),
+      body: JSON.stringify(patch),
+    }
+  );
+  return response.ok;
+}
+
+// ==================== SEARCH QUERIES ====================
+
+/**
+ * Every stored query (enabled or not), grouped by section. Throws when the table cannot be read.
+ */
+export async function listSearchQueries() {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/search_queries?select=*&order=section.asc,id.asc`,
+    { headers: serviceHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read search queries: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Insert (no id) or update (id) one query; returns the stored row, or null if the id does not exist
+ */
+export async function saveSearchQuery(id, row) {
+  const response = await fetch(
+    id
+      ? `${SUPABASE_URL}/rest/v1/search_queries?id=eq.${encodeURIComponent(id)}`
+      : `${SUPABASE_URL}/rest/v1/search_queries`,
+    {
+      method: id ? 'PATCH' : 'POST',
+      headers: serviceHeaders({
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation',
+      }),
+      body: JSON.stringify({ ...row, updated_at: new Date().toISOString() }),
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to save search query: ${response.status}`);
+  }
+  const rows = await response.json();
+  return rows[0] || null;
+}
+
+export async function deleteSearchQuery(id) {
+  const response = await fetch(
+    `${SUPABASE_URL}/rest/v1/search_queries?id=eq.${encodeURIComponent(id)}`,
+    { method: 'DELETE', headers: serviceHeaders({ 'Prefer': 'return=minimal' }) }
+  );
+  return response.ok;
+}
+
+// ==================== AUTH ====================
+
+/**
+ * Resolve a Supabase Auth access token to its user, or null if invalid/expired
+ */
+export async function getAuthUser(accessToken) {
+  if (!accessToken) return null;
+
+  const response = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
+    headers: {
+      'apikey': SUPABASE_SERVICE_KEY,
+      'Authorization': `Bearer ${accessToken}`,
+    },
+  });
+  if (!response.ok) return null;
+  return response.json();
+}
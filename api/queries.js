@@ -0,0 +1,88 @@
+/**
+ * Vercel API: Search queries the cron runs
+ *
+ * GET  /api/queries - every stored query with today's expansion, and its yield and fetch health over recent runs
+ * POST /api/queries { action: 'create', section, query, enabled, max_items }
+ * POST /api/queries { action: 'update', id, section, query, enabled, max_items }
+ * POST /api/queries { action: 'delete', id }
+ *
+ * Admin only - see api/_lib/auth.js.
+ */
+
+import { sanitizeString } from '../src/schema.js';
+import { SEARCH_SECTIONS, QUERY_PLACEHOLDERS, MAX_ITEMS_LIMIT, expandQuery, validateSearchQuery } from '../src/searchQueries.js';
+import { requireAdmin } from './_lib/auth.js';
+import { listSearchQueries, saveSearchQuery, deleteSearchQuery, listRecentRuns } from './_lib/supabase.js';
+import { summarizeQueries } from './_lib/health.js';
+
+// How many recent runs the yield shown next to each query covers
+const STATS_RUNS = 20;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const [queries, runs] = await Promise.all([listSearchQueries(), listRecentRuns(STATS_RUNS)]);
+      const logged = runs.filter(run => Array.isArray(run.query_stats));
+      const stats = new Map(summarizeQueries(logged).filter(q => q.id != null).map(q => [String(q.id), q]));
+      return res.status(200).json({
+        queries: queries.map(q => ({ ...q, preview: expandQuery(q.query), stats: stats.get(String(q.id)) || null })),
+        sections: SEARCH_SECTIONS,
+        placeholders: Object.keys(QUERY_PLACEHOLDERS),
+        maxItemsLimit: MAX_ITEMS_LIMIT,
+        runs: logged.length,
+      });
+    }
+
+    const { action, id, ...fields } = req.body || {};
+
+    if (action === 'delete') {
+      if (!id) {
+        return res.status(400).json({ error: 'id is required' });
+      }
+      if (!(await deleteSearchQuery(id))) {
+        throw new Error('Failed to delete search query');
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    if (action === 'create' || action === 'update') {
+      if (action === 'update' && !id) {
+        return res.status(400).json({ error: 'id is required' });
+      }
+      let row;
+      try {
+        row = validateSearchQuery(fields);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      const existing = await listSearchQueries();
+      if (action === 'update' && !existing.some(q => String(q.id) === String(id))) {
+        return res.status(404).json({ error: 'Query not found' });
+      }
+      if (existing.some(q => q.section === row.section && q.query === row.query && String(q.id) !== String(id))) {
+        return res.status(409).json({ error: 'That query already exists in this section' });
+      }
+      const saved = await saveSearchQuery(action === 'update' ? id : null, {
+        ...row,
+        updated_by: sanitizeString(admin.email, 200),
+      });
+      if (!saved) {
+        return res.status(404).json({ error: 'Query not found' });
+      }
+      return res.status(200).json({ success: true, query: { ...saved, preview: expandQuery(saved.query) } });
+    }
+
+    return res.status(400).json({ error: 'Unknown action' });
+
+  } catch (error) {
+    console.error('Search queries error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Vercel API: Review queue for AI-proposed changes
+ *
+ * GET  /api/review?status=pending          - list queued changes (pending / approved / rejected)
+ * POST /api/review { id, action: 'approve' } - merge the proposal into the public data
+ * POST /api/review { id, action: 'edit', proposed } - replace the proposal, stays pending
+ * POST /api/review { id, action: 'reject' } - drop the proposal (it will not be queued again)
+ *
+ * Admin only - see api/_lib/auth.js.
+ */
+
+import { sanitizeString } from '../src/schema.js';
+import { requireAdmin } from './_lib/auth.js';
+import {
+  readCurrentData,
+  saveWithRetry,
+  WriteConflictError,
+  listPendingChanges,
+  getPendingChange,
+  updatePendingChange,
+  updatePendingChangeIfPending,
+} from './_lib/supabase.js';
+import { REVIEW_SECTIONS, applyPendingChange } from './_lib/review.js';
+import { retainAndArchive } from './_lib/retention.js';
+
+const VALID_REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const status = VALID_REVIEW_STATUSES.includes(req.query?.status) ? req.query.status : 'pending';
+      const changes = await listPendingChanges(status);
+      return res.status(200).json({
+        changes: changes.map(c => ({ ...c, label: REVIEW_SECTIONS[c.section]?.label || c.section })),
+      });
+    }
+
+    const { id, action, proposed } = req.body || {};
+    const change = id ? await getPendingChange(id) : null;
+    if (!change) {
+      return res.status(404).json({ error: 'Change not found' });
+    }
+    if (change.status !== 'pending') {
+      return res.status(409).json({ error: `Change already ${change.status}` });
+    }
+
+    const reviewed = {
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: sanitizeString(admin.email, 200),
+    };
+
+    // Every action below only lands while the change is still pending - when two
+    // admins act on it at once, the second one gets this instead
+    const alreadyHandled = () => res.status(409).json({ error: 'Change was already handled by another reviewer' });
+
+    if (action === 'reject') {
+      if (!(await updatePendingChangeIfPending(change.id, { status: 'rejected', ...reviewed }))) return alreadyHandled();
+      return res.status(200).json({ success: true, status: 'rejected' });
+    }
+
+    if (action === 'edit') {
+      if (!proposed || typeof proposed !== 'object') {
+        return res.status(400).json({ error: 'Edited proposal must be an object' });
+      }
+      // Validate now so a broken edit is caught before anyone approves it
+      try {
+        applyPendingChange({}, { ...change, proposed });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (!(await updatePendingChangeIfPending(change.id, { proposed, edited_by: reviewed.reviewed_by, edited_at: reviewed.reviewed_at }))) {
+        return alreadyHandled();
+      }
+      return res.status(200).json({ success: true, status: 'pending' });
+    }
+
+    if (action === 'approve') {
+      // Claim the change first so only one approval applies it; it goes back to
+      // pending if it cannot be applied after all
+      const claimed = await updatePendingChangeIfPending(change.id, { status: 'approved', ...reviewed });
+      if (!claimed) return alreadyHandled();
+      const release = () => updatePendingChange(change.id, { status: 'pending', reviewed_at: null, reviewed_by: null });
+
+      let outcome;
+      try {
+        const current = await readCurrentData();
+        try {
+          applyPendingChange(current.data, claimed);
+        } catch (err) {
+          await release();
+          return res.status(400).json({ error: err.message });
+        }
+
+        // Conditional save: if a run wrote meanwhile, the change is applied again to its data
+        const runId = `review-${change.id}`;
+        outcome = await saveWithRetry(async latest => {
+          const { data, archived } = await retainAndArchive(applyPendingChange(latest, claimed), runId);
+          return { data: { ...data, lastUpdated: new Date().toISOString() }, archived };
+        }, { runId, source: 'review', actor: reviewed.reviewed_by }, { initial: current });
+      } catch (err) {
+        await release();
+        if (!(err instanceof WriteConflictError)) throw err;
+        return res.status(409).json({ error: 'The data kept changing while this was approved - try again' });
+      }
+      if (!outcome.saved) {
+        await release();
+        throw new Error('Failed to save to Supabase');
+      }
+      return res.status(200).json({ success: true, status: 'approved', archivedRecords: outcome.result.archived });
+    }
+
+    return res.status(400).json({ error: 'Unknown action' });
+
+  } catch (error) {
+    console.error('Review error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
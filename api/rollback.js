@@ -0,0 +1,66 @@
+/**
+ * Vercel API: Snapshots and rollback of the tracker data
+ *
+ * GET  /api/rollback                 - list recent snapshots with per-section item counts
+ * POST /api/rollback?snapshot=<id>   - restore that snapshot as the current data
+ *
+ * A restore is itself a write, so it gets its own snapshot and can be undone
+ * the same way. It is conditional on the revision read when it starts: if a run
+ * or an approval saves meanwhile, the restore is refused (409) rather than
+ * overwriting that write unseen. Records past the retention window go to the
+ * archive, as with every other write. Admin only - see api/_lib/auth.js.
+ */
+
+import { requireAdmin } from './_lib/auth.js';
+import { saveWithRetry, WriteConflictError, listSnapshots, getSnapshot } from './_lib/supabase.js';
+import { retainAndArchive } from './_lib/retention.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const snapshots = await listSnapshots();
+      return res.status(200).json({ snapshots });
+    }
+
+    const snapshotId = req.query?.snapshot;
+    if (!snapshotId || !/^\d+$/.test(String(snapshotId))) {
+      return res.status(400).json({ error: 'snapshot query parameter must be a snapshot id' });
+    }
+
+    const snapshot = await getSnapshot(snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    console.log(`Rolling back to snapshot ${snapshot.id} (run ${snapshot.run_id}) for ${admin.email}`);
+    const runId = `rollback-${snapshot.id}`;
+    let outcome;
+    try {
+      // One attempt: the snapshot cannot be merged with a write that landed meanwhile
+      outcome = await saveWithRetry(
+        () => retainAndArchive(snapshot.data, runId),
+        { runId, source: 'rollback', actor: admin.email },
+        { attempts: 1 }
+      );
+    } catch (err) {
+      if (!(err instanceof WriteConflictError)) throw err;
+      return res.status(409).json({ error: 'The data changed while restoring - check the latest snapshot and try again' });
+    }
+    if (!outcome.saved) {
+      throw new Error('Failed to save to Supabase');
+    }
+
+    return res.status(200).json({ success: true, restored: snapshot.id, runId: snapshot.run_id, archivedRecords: outcome.result.archived });
+
+  } catch (error) {
+    console.error('Rollback error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Vercel API: Pipeline health
+ *
+ * GET /api/status - the last run, how long its news fetch took, and each
+ * search query's fetch record over recent runs (api/_lib/health.js). Queries
+ * whose last FAILING_STREAK fetches all failed are listed under `failing`.
+ *
+ * status: 'ok'; 'degraded' when the last run failed or a feed is failing;
+ * 'down' (HTTP 503, for uptime monitors) when nothing has succeeded for
+ * STATUS_STALE_HOURS (by default six run intervals, 3 hours). Public and read-only - the search terms are the only
+ * configuration it shows. Errors are reported as a category and HTTP status
+ * (api/_lib/health.js classifyError); the messages themselves quote provider
+ * and database responses and are only included for an admin's token.
+ */
+
+import { listRecentRuns } from './_lib/supabase.js';
+import { summarizeQueries, classifyError, FAILING_STREAK } from './_lib/health.js';
+import { requireAdmin } from './_lib/auth.js';
+
+const STATUS_RUNS = 20;
+
+// .github/workflows/update-tracker.yml triggers a run every 30 minutes (the Vercel cron
+// in vercel.json is a daily backstop)
+const RUN_INTERVAL_MINUTES = Number(process.env.UPDATE_RUN_INTERVAL_MINUTES) || 30;
+
+// Six missed runs in a row - GitHub delays scheduled workflows, but not by that much - means it is not running
+const STALE_AFTER_HOURS = Number(process.env.STATUS_STALE_HOURS) || (RUN_INTERVAL_MINUTES * 6) / 60;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Anonymous callers get the public report; a token must belong to an admin
+    const signedIn = Boolean(req.headers?.authorization);
+    const admin = signedIn ? await requireAdmin(req, res) : null;
+    if (signedIn && !admin) return;
+
+    const runs = await listRecentRuns(STATUS_RUNS);
+    const queries = summarizeQueries(runs).map(({ lastError, ...q }) => (admin ? { ...q, lastError } : q));
+    const failing = queries.filter(q => q.failing);
+
+    const last = runs[0] || null;
+    const lastError = classifyError(last?.error);
+    const lastSuccess = runs.find(run => run.success) || null;
+    const stale = !lastSuccess || Date.now() - new Date(lastSuccess.timestamp).getTime() > STALE_AFTER_HOURS * 3600 * 1000;
+    const status = stale ? 'down' : (!last.success || failing.length > 0) ? 'degraded' : 'ok';
+
+    res.setHeader('Cache-Control', admin ? 'private, no-store' : 's-maxage=60, stale-while-revalidate=300');
+    return res.status(status === 'down' ? 503 : 200).json({
+      status,
+      checkedAt: new Date().toISOString(),
+      lastRun: last && {
+        runId: last.run_id,
+        timestamp: last.timestamp,
+        success: last.success,
+        newsCount: last.news_count,
+        newsFetchMs: last.news_fetch_ms ?? null,
+        errorCategory: lastError?.category || null,
+        errorStatus: lastError?.status || null,
+        ...(admin ? { error: last.error || null } : {}),
+      },
+      lastSuccess: lastSuccess?.timestamp || null,
+      runs: runs.length,
+      failingAfter: FAILING_STREAK,
+      failing: failing.map(({ id, section, template, query, streak, lastStatus, lastError }) => ({ id, section, template, query, streak, lastStatus, ...(admin ? { lastError } : {}) })),
+      queries,
+    });
+
+  } catch (error) {
+    console.error('Status error:', error);
+    return res.status(500).json({ status: 'unknown', error: 'Status check failed' });
+  }
+}
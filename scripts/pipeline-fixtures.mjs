@@ -0,0 +1,348 @@
+/**
+ * Record/replay harness for the /api/update pipeline.
+ *
+ *   node scripts/pipeline-fixtures.mjs record <name> [--current data.json]
+ *   node scripts/pipeline-fixtures.mjs replay [name] [--update]
+ *   (add --verbose to see the pipeline's own logging)
+ *
+ * record: runs the real handler against live Google News and the configured
+ * LLM provider (LLM_PROVIDER / LLM_MODEL and its key), reading the current
+ * tracker_data from Supabase or from --current. Nothing is written to
+ * Supabase. Saves to fixtures/pipeline/<name>/:
+ *   meta.json     recording time, provider, model
+ *   rss.json      raw RSS response per Google News URL
+ *   llm.json      raw HTTP responses from the LLM provider, in call order
+ *   current.json  tracker_data the run started from
+ *   expected.json tracker_data the run produced
+ *
+ * The scenarios checked in are hand-written, not recorded: each one's RSS and
+ * LLM bodies were composed to exercise one behaviour of the merges, which
+ * meta.json's `scenario` describes. Instead of a full current.json they start
+ * from fixtures/pipeline/base-current.json, with the top-level sections in
+ * their overrides.json replacing the base's.
+ *
+ * replay: feeds those fixtures back through fetchNewsRSS, the LLM provider,
+ * the validators and the merges - offline, with the clock frozen at the
+ * recording time - and compares the result with expected.json. Exits 1 on
+ * any difference. --update rewrites expected.json instead.
+ *
+ * Both modes force REVIEW_MODE=direct so merge results land in the output.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES_DIR = path.join(ROOT, 'fixtures', 'pipeline');
+const REPLAY_SUPABASE_URL = 'http://supabase.fixture';
+const VERBOSE = process.argv.includes('--verbose');
+const trackerTables = await import('../src/trackerTables.js');
+
+// ==================== HELPERS ====================
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+async function writeJson(file, value) {
+  await fs.writeFile(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * The tracker_data a fixture starts from: its own current.json when recorded,
+ * otherwise the shared base with the scenario's overrides.json applied
+ */
+async function readCurrent(dir) {
+  try {
+    return await readJson(path.join(dir, 'current.json'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const base = await readJson(path.join(FIXTURES_DIR, 'base-current.json'));
+  const overrides = await readJson(path.join(dir, 'overrides.json')).catch(err => {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  });
+  return { ...base, ...overrides };
+}
+
+// API keys must never end up in a fixture
+function redactUrl(url) {
+  return String(url).replace(/([?&]key=)[^&]+/, '$1REDACTED');
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Run IDs are random per run (provenance stores them); fixtures keep a placeholder
+ */
+function withoutRunId(data, runId) {
+  if (!data || !runId) return data ?? null;
+  return JSON.parse(JSON.stringify(data).split(runId).join('<run-id>'));
+}
+
+/**
+ * Pin Date to the recording time so ids, addedAt and lastUpdated are reproducible
+ */
+function freezeTime(iso) {
+  const RealDate = Date;
+  const fixed = new RealDate(iso).getTime();
+  class FixedDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [fixed]));
+    }
+    static now() {
+      return fixed;
+    }
+  }
+  globalThis.Date = FixedDate;
+}
+
+/**
+ * Supabase stand-in: serves the starting data from in-memory tracker tables,
+ * applies the saves the run sends through save_tracker_data - revision check,
+ * upserts, deletes and revision bump, like the real function - and captures
+ * the data those tables hold afterwards. Every other write is accepted.
+ */
+function fakeSupabase(currentData, captured) {
+  const { STATS_TABLE, splitTrackerData, assembleTrackerData } = trackerTables;
+  const { tables, stats } = splitTrackerData(currentData || {});
+  const store = { ...tables, [STATS_TABLE]: stats };
+  const keyOf = table => (table === STATS_TABLE ? 'key' : 'id');
+  let revision = '2026-01-01T00:00:00.000Z';
+  let snapshots = 0;
+
+  function save({ p_changes, p_check_revision, p_expected_revision }) {
+    if (p_check_revision && revision !== p_expected_revision) return { conflict: true, revision };
+    let written = 0;
+    let removed = 0;
+    for (const { table, upserts, keep } of p_changes) {
+      const key = keyOf(table);
+      const byKey = new Map((store[table] || []).map(row => [row[key], row]));
+      for (const row of upserts) byKey.set(row[key], row);
+      const kept = new Set(keep);
+      const rows = [...byKey.values()];
+      store[table] = rows.filter(row => kept.has(row[key]));
+      written += upserts.length;
+      removed += rows.length - store[table].length;
+    }
+    revision = new Date(Date.parse(revision) + 1000).toISOString();
+    captured.data = assembleTrackerData({ tables: store, stats: store[STATS_TABLE] });
+    return { conflict: false, revision, snapshot_id: ++snapshots, written, removed };
+  }
+
+  return async (url, options = {}) => {
+    const method = (options.method || 'GET').toUpperCase();
+    const { pathname } = new URL(url);
+    const table = pathname.replace('/rest/v1/', '');
+
+    if (table === 'rpc/save_tracker_data') return jsonResponse(save(JSON.parse(options.body)));
+    if (table === 'rpc/claim_update_run') return jsonResponse({ claimed: true });
+    if (table === 'tracker_revision' && method === 'GET') return jsonResponse([{ updated_at: revision }]);
+    if (method === 'GET' && store[table]) return jsonResponse(store[table]);
+    // Logs, review queue and search query reads: nothing recorded, nothing to
+    // report (no stored queries means the run uses DEFAULT_SEARCH_QUERIES)
+    return method === 'GET' ? jsonResponse([]) : new Response(null, { status: 201 });
+  };
+}
+
+async function runHandler() {
+  const secret = randomUUID();
+  process.env.CRON_SECRET = secret;
+  process.env.REVIEW_MODE = 'direct';
+
+  const { default: handler } = await import('../api/update.js');
+  const res = {
+    statusCode: 0,
+    body: null,
+    headers: {},
+    setHeader(key, value) { this.headers[key] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+
+  // The pipeline narrates every merge and warns about every repair and salvage;
+  // keep the harness output readable (the result is checked against expected.json)
+  const { log, warn } = console;
+  if (!VERBOSE) console.log = console.warn = () => {};
+  try {
+    await handler({ method: 'POST', query: {}, headers: { authorization: `Bearer ${secret}` } }, res);
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+  return res;
+}
+
+// ==================== RECORD ====================
+
+async function record(name, currentFile) {
+  const realFetch = globalThis.fetch;
+  const recordedAt = new Date().toISOString();
+  const dir = path.join(FIXTURES_DIR, name);
+
+  let currentData;
+  if (currentFile) {
+    currentData = await readJson(path.resolve(currentFile));
+    process.env.SUPABASE_URL = REPLAY_SUPABASE_URL;
+  } else {
+    const { getCurrentData } = await import('../api/_lib/supabase.js');
+    currentData = await getCurrentData();
+  }
+  const supabaseUrl = process.env.SUPABASE_URL;
+
+  const rss = {};
+  const llm = [];
+  const captured = {};
+  const supabase = fakeSupabase(currentData, captured);
+
+  globalThis.fetch = async (input, options = {}) => {
+    const url = String(input);
+    if (url.startsWith(supabaseUrl)) return supabase(url, options);
+
+    const response = await realFetch(input, options);
+    const body = await response.text();
+    if (url.includes('news.google.com')) {
+      rss[url] = body;
+    } else {
+      llm.push({ url: redactUrl(url), status: response.status, body });
+    }
+    return new Response(body, { status: response.status });
+  };
+
+  freezeTime(recordedAt);
+  const res = await runHandler();
+  if (res.statusCode !== 200) {
+    throw new Error(`Run failed (${res.statusCode}): ${JSON.stringify(res.body)}`);
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  await writeJson(path.join(dir, 'meta.json'), {
+    recordedAt,
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    model: process.env.LLM_MODEL || null,
+    openAiBaseUrl: process.env.OPENAI_BASE_URL || null,
+  });
+  await writeJson(path.join(dir, 'rss.json'), rss);
+  await writeJson(path.join(dir, 'llm.json'), llm);
+  await writeJson(path.join(dir, 'current.json'), currentData);
+  await writeJson(path.join(dir, 'expected.json'), withoutRunId(captured.data, res.body.runId));
+  console.log(`Recorded ${Object.keys(rss).length} RSS responses and ${llm.length} LLM call(s) to ${path.relative(ROOT, dir)}`);
+}
+
+// ==================== REPLAY ====================
+
+/**
+ * Replay one fixture. The handler reads env at import time, so `replay`
+ * without a name runs each fixture in its own process.
+ */
+async function replayOne(name, update) {
+  const dir = path.join(FIXTURES_DIR, name);
+  const meta = await readJson(path.join(dir, 'meta.json'));
+  const rss = await readJson(path.join(dir, 'rss.json'));
+  const llm = await readJson(path.join(dir, 'llm.json'));
+  const currentData = await readCurrent(dir);
+
+  process.env.SUPABASE_URL = REPLAY_SUPABASE_URL;
+  process.env.SUPABASE_SERVICE_KEY = 'replay';
+  process.env.LLM_PROVIDER = meta.provider;
+  if (meta.model) process.env.LLM_MODEL = meta.model;
+  if (meta.openAiBaseUrl) process.env.OPENAI_BASE_URL = meta.openAiBaseUrl;
+  process.env.GEMINI_API_KEY = 'REDACTED';
+
+  const captured = {};
+  const supabase = fakeSupabase(currentData, captured);
+  const pendingLlm = [...llm];
+
+  globalThis.fetch = async (input, options = {}) => {
+    const url = String(input);
+    if (url.startsWith(REPLAY_SUPABASE_URL)) return supabase(url, options);
+    if (url.includes('news.google.com')) {
+      // A query with no recorded response behaves like an empty feed
+      return new Response(rss[url] ?? '<rss></rss>', { status: 200 });
+    }
+    const next = pendingLlm.shift();
+    if (!next || next.url !== redactUrl(url)) {
+      throw new Error(`Replay is offline: no recorded response for ${redactUrl(url)}`);
+    }
+    return new Response(next.body, { status: next.status });
+  };
+
+  freezeTime(meta.recordedAt);
+  const res = await runHandler();
+  if (res.statusCode !== 200) {
+    throw new Error(`Replay failed (${res.statusCode}): ${JSON.stringify(res.body)}`);
+  }
+
+  const expectedFile = path.join(dir, 'expected.json');
+  const actual = withoutRunId(captured.data, res.body.runId);
+  if (update) {
+    await writeJson(expectedFile, actual);
+    console.log(`${name}: expected.json updated`);
+    return true;
+  }
+
+  const { stableStringify, diffTrackerData } = await import('../api/_lib/diff.js');
+  const expected = await readJson(expectedFile);
+  if (stableStringify(expected) === stableStringify(actual)) {
+    console.log(`${name}: OK`);
+    return true;
+  }
+
+  console.log(`${name}: output differs from expected.json`);
+  const diff = diffTrackerData(expected || {}, actual || {});
+  for (const [section, changes] of Object.entries(diff)) {
+    const { unchanged, ...rest } = changes;
+    const touched = Object.values(rest).some(v => (Array.isArray(v) ? v.length : Object.keys(v).length));
+    if (touched) console.log(`  ${section}: ${JSON.stringify(rest, null, 2).replace(/\n/g, '\n  ')}`);
+  }
+  return false;
+}
+
+async function replay(name, update) {
+  if (name) {
+    const ok = await replayOne(name, update);
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+
+  const { spawnSync } = await import('child_process');
+  const names = (await fs.readdir(FIXTURES_DIR, { withFileTypes: true }))
+    .filter(d => d.isDirectory())
+    .map(d => d.name)
+    .sort();
+
+  let failed = 0;
+  for (const fixture of names) {
+    const args = [fileURLToPath(import.meta.url), 'replay', fixture, ...process.argv.slice(2).filter(a => a.startsWith('--'))];
+    const child = spawnSync(process.execPath, ['--no-warnings', ...args], { stdio: 'inherit', env: process.env });
+    if (child.status !== 0) failed++;
+  }
+  console.log(`${names.length - failed}/${names.length} fixture(s) passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+// ==================== CLI ====================
+
+const [command, ...rest] = process.argv.slice(2);
+const flags = rest.filter(a => a.startsWith('--'));
+const positional = rest.filter((a, i) => !a.startsWith('--') && rest[i - 1] !== '--current');
+const currentIndex = rest.indexOf('--current');
+
+try {
+  if (command === 'record' && positional[0]) {
+    await record(positional[0], currentIndex >= 0 ? rest[currentIndex + 1] : null);
+  } else if (command === 'replay') {
+    await replay(positional[0], flags.includes('--update'));
+  } else {
+    console.log('Usage: node scripts/pipeline-fixtures.mjs record <name> [--current data.json]');
+    console.log('       node scripts/pipeline-fixtures.mjs replay [name] [--update] [--verbose]');
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
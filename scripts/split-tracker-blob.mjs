@@ -0,0 +1,68 @@
+/**
+ * One-off copy of the tracker_data blob into the per-entity tables
+ * (supabase/migrations/20261019060000_entity_tables.sql).
+ *
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... node scripts/split-tracker-blob.mjs [--dry-run] [--force]
+ *
+ * Reads tracker_data (id = main), splits it with src/trackerTables.js and
+ * writes it through updateSupabase, so the blob is snapshotted first and can
+ * be restored with /api/rollback. Stops if the tables already hold data -
+ * the split would overwrite whatever the cron has written since - unless
+ * --force is given. --dry-run prints the rows per table and writes nothing.
+ */
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FORCE = process.argv.includes('--force');
+
+const { SUPABASE_URL, SUPABASE_SERVICE_KEY } = process.env;
+
+async function readBlob() {
+  const response = await fetch(`${SUPABASE_URL}/rest/v1/tracker_data?id=eq.main&select=data`, {
+    headers: { apikey: SUPABASE_SERVICE_KEY, Authorization: `Bearer ${SUPABASE_SERVICE_KEY}` },
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to read tracker_data: ${response.status}`);
+  }
+  const rows = await response.json();
+  return rows[0]?.data || null;
+}
+
+async function main() {
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+  }
+
+  const { splitTrackerData } = await import('../src/trackerTables.js');
+  const { getCurrentData, updateSupabase } = await import('../api/_lib/supabase.js');
+
+  const blob = await readBlob();
+  if (!blob || Object.keys(blob).length === 0) {
+    console.log('tracker_data is empty - nothing to split');
+    return;
+  }
+
+  const { tables, stats } = splitTrackerData(blob);
+  for (const [table, rows] of Object.entries(tables)) {
+    console.log(`${table}: ${rows.length} row(s)`);
+  }
+  console.log(`tracker_stats: ${stats.map(s => s.key).join(', ')}`);
+  if (DRY_RUN) return;
+
+  const existing = await getCurrentData();
+  if (Object.keys(existing).length > 0 && !FORCE) {
+    throw new Error('The tracker tables already hold data; re-run with --force to overwrite them with the blob');
+  }
+
+  const saved = await updateSupabase(blob, { runId: `split-${Date.now()}`, source: 'migration', actor: 'split-tracker-blob' });
+  if (!saved) {
+    throw new Error('Failed to write the tracker tables');
+  }
+  console.log('Split complete');
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,505 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { supabase } from './supabaseClient';
+
+/**
+ * Admin view (/#admin)
+ *
+ * Sign in with a Supabase Auth account listed in ADMIN_EMAILS, then:
+ * - Review: approve publishes what the cron proposed, edit replaces the
+ *   proposed JSON, reject drops it
+ * - Snapshots: every stored version of the tracker data with item counts, and restore
+ * - Search queries: the Google News searches the cron runs per section, with
+ *   how many headlines each one fetched, kept and got cited in recent runs,
+ *   and feeds that keep failing to fetch
+ */
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const SNAPSHOT_COLUMNS = [
+  { key: 'iceVictims', label: 'ICE' },
+  { key: 'lawsuits', label: 'Suits' },
+  { key: 'constitutionalConcerns', label: 'Const.' },
+  { key: 'brokenPromises', label: 'Prom.' },
+  { key: 'epsteinRevelations', label: 'Epst.' },
+  { key: 'breakingNews', label: 'News' },
+  { key: 'pollObservations', label: 'Polls' },
+];
+
+// ==================== API ====================
+
+async function adminFetch(session, path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      ...options.headers,
+    },
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed (${response.status})`);
+  }
+  return body;
+}
+
+function formatTimestamp(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// ==================== SHARED UI ====================
+
+const Card = ({ children, style }) => (
+  <div style={{ background: '#13131a', borderRadius: '16px', padding: '20px', border: '1px solid #1e1e28', marginBottom: '16px', ...style }}>{children}</div>
+);
+
+const Button = ({ onClick, children, color = '#a855f7', disabled }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled}
+    style={{
+      padding: '8px 14px',
+      background: `${color}15`,
+      border: `1px solid ${color}40`,
+      borderRadius: '8px',
+      color,
+      fontSize: '12px',
+      fontWeight: '600',
+      cursor: disabled ? 'default' : 'pointer',
+      opacity: disabled ? 0.5 : 1,
+      fontFamily: 'inherit',
+    }}
+  >{children}</button>
+);
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '10px 12px',
+  marginBottom: '10px',
+  background: '#0a0a0f',
+  border: '1px solid #1e1e28',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+};
+
+// ==================== SIGN IN ====================
+
+function SignIn() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  const signIn = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const { error: authError } = await supabase.auth.signInWithPassword({ email, password });
+    if (authError) setError(authError.message);
+  };
+
+  return (
+    <Card style={{ maxWidth: '360px', margin: '80px auto' }}>
+      <div style={{ fontSize: '16px', color: '#fff', fontWeight: '700', marginBottom: '16px' }}>Admin sign in</div>
+      <form onSubmit={signIn}>
+        <input type="email" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} style={inputStyle} />
+        <input type="password" placeholder="Password" value={password} onChange={e => setPassword(e.target.value)} style={inputStyle} />
+        {error && <div style={{ fontSize: '12px', color: '#ef4444', marginBottom: '10px' }}>{error}</div>}
+        <button type="submit" style={{ ...inputStyle, marginBottom: 0, background: '#ef4444', border: 'none', fontWeight: '600', cursor: 'pointer' }}>Sign in</button>
+      </form>
+    </Card>
+  );
+}
+
+// ==================== REVIEW QUEUE ====================
+
+function PendingChange({ change, onAction }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(() => JSON.stringify(change.proposed, null, 2));
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, extra = {}) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onAction({ id: change.id, action, ...extra });
+      if (action === 'edit') setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const saveEdit = () => {
+    let proposed;
+    try {
+      proposed = JSON.parse(draft);
+    } catch (err) {
+      setError(`Invalid JSON: ${err.message}`);
+      return;
+    }
+    run('edit', { proposed });
+  };
+
+  const title = change.proposed?.name || change.proposed?.title || change.proposed?.headline || change.entity_id;
+
+  return (
+    <Card>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '8px' }}>
+        <span style={{ fontSize: '9px', fontWeight: '700', padding: '3px 8px', borderRadius: '4px', background: change.change_type === 'add' ? 'rgba(34,197,94,0.15)' : 'rgba(245,158,11,0.15)', color: change.change_type === 'add' ? '#22c55e' : '#f59e0b', letterSpacing: '0.5px' }}>
+          {change.change_type === 'add' ? 'NEW' : 'CHANGE'}
+        </span>
+        <span style={{ fontSize: '11px', color: '#6b6b7b' }}>{change.label}</span>
+        <span style={{ fontSize: '11px', color: '#4a4a5a', marginLeft: 'auto' }}>{formatTimestamp(change.created_at)}</span>
+      </div>
+      <div style={{ fontSize: '14px', color: '#fff', fontWeight: '600', marginBottom: '12px' }}>{title}</div>
+
+      {change.headlines?.length > 0 && (
+        <div style={{ marginBottom: '12px' }}>
+          <div style={{ fontSize: '10px', letterSpacing: '1px', color: '#4a4a5a', fontWeight: '600', marginBottom: '4px' }}>TRIGGERED BY</div>
+          {change.headlines.map((h, i) => (
+            <div key={i} style={{ fontSize: '12px', color: '#a8a8b8', marginBottom: '2px' }}>
+              • {h.url ? <a href={h.url} target="_blank" rel="noopener noreferrer" style={{ color: '#a8a8b8' }}>{h.title}</a> : h.title} <span style={{ color: '#4a4a5a' }}>{h.pubDate}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing ? (
+        <textarea value={draft} onChange={e => setDraft(e.target.value)} rows={14} style={{ ...inputStyle, fontFamily: 'monospace', fontSize: '12px' }} />
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: change.previous ? '1fr 1fr' : '1fr', gap: '8px', marginBottom: '12px' }}>
+          {change.previous && (
+            <pre style={{ margin: 0, padding: '10px', background: '#0a0a0f', borderRadius: '8px', fontSize: '11px', color: '#6b6b7b', overflowX: 'auto', whiteSpace: 'pre-wrap' }}>{JSON.stringify(change.previous, null, 2)}</pre>
+          )}
+          <pre style={{ margin: 0, padding: '10px', background: '#0a0a0f', borderRadius: '8px', fontSize: '11px', color: '#a8a8b8', overflowX: 'auto', whiteSpace: 'pre-wrap' }}>{JSON.stringify(change.proposed, null, 2)}</pre>
+        </div>
+      )}
+
+      {change.edited_by && <div style={{ fontSize: '11px', color: '#4a4a5a', marginBottom: '8px' }}>Edited by {change.edited_by} {formatTimestamp(change.edited_at)}</div>}
+      {change.reviewed_by && <div style={{ fontSize: '11px', color: '#4a4a5a', marginBottom: '8px' }}>{change.status === 'approved' ? 'Approved' : 'Rejected'} by {change.reviewed_by} {formatTimestamp(change.reviewed_at)}</div>}
+      {error && <div style={{ fontSize: '12px', color: '#ef4444', marginBottom: '8px' }}>{error}</div>}
+
+      {change.status === 'pending' && (
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          {editing ? <>
+            <Button onClick={saveEdit} disabled={busy} color="#22c55e">Save edit</Button>
+            <Button onClick={() => { setEditing(false); setDraft(JSON.stringify(change.proposed, null, 2)); }} disabled={busy} color="#6b6b7b">Cancel</Button>
+          </> : <>
+            <Button onClick={() => run('approve')} disabled={busy} color="#22c55e">Approve</Button>
+            <Button onClick={() => setEditing(true)} disabled={busy} color="#3b82f6">Edit</Button>
+            <Button onClick={() => run('reject')} disabled={busy} color="#ef4444">Reject</Button>
+          </>}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function ReviewQueue({ session }) {
+  const [status, setStatus] = useState('pending');
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const body = await adminFetch(session, `/api/review?status=${status}`);
+      setChanges(body.changes || []);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [session, status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const onAction = async (payload) => {
+    await adminFetch(session, '/api/review', { method: 'POST', body: JSON.stringify(payload) });
+    await load();
+  };
+
+  return (
+    <>
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+        {REVIEW_STATUSES.map(s => (
+          <Button key={s} onClick={() => setStatus(s)} color={status === s ? '#ef4444' : '#6b6b7b'}>{s}</Button>
+        ))}
+      </div>
+      {error && <Card style={{ color: '#ef4444', fontSize: '13px' }}>{error}</Card>}
+      {loading ? (
+        <div style={{ fontSize: '13px', color: '#6b6b7b' }}>Loading...</div>
+      ) : changes.length === 0 ? (
+        <div style={{ fontSize: '13px', color: '#6b6b7b' }}>Nothing {status}.</div>
+      ) : (
+        changes.map(change => <PendingChange key={change.id} change={change} onAction={onAction} />)
+      )}
+    </>
+  );
+}
+
+// ==================== SNAPSHOTS ====================
+
+function Snapshots({ session }) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const body = await adminFetch(session, '/api/rollback');
+      setSnapshots(body.snapshots || []);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [session]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const restore = async (snapshot) => {
+    if (!window.confirm(`Restore snapshot #${snapshot.id} from ${formatTimestamp(snapshot.created_at)}? This replaces the live data.`)) return;
+    setError(null);
+    setMessage(null);
+    try {
+      await adminFetch(session, `/api/rollback?snapshot=${snapshot.id}`, { method: 'POST' });
+      setMessage(`Restored snapshot #${snapshot.id}`);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) return <div style={{ fontSize: '13px', color: '#6b6b7b' }}>Loading...</div>;
+
+  return (
+    <>
+      {error && <Card style={{ color: '#ef4444', fontSize: '13px' }}>{error}</Card>}
+      {message && <Card style={{ color: '#22c55e', fontSize: '13px' }}>{message}</Card>}
+      <Card style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ color: '#4a4a5a', textAlign: 'left' }}>
+              <th style={{ padding: '6px' }}>#</th>
+              <th style={{ padding: '6px' }}>When</th>
+              <th style={{ padding: '6px' }}>Source</th>
+              {SNAPSHOT_COLUMNS.map(c => <th key={c.key} style={{ padding: '6px', textAlign: 'right' }}>{c.label}</th>)}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {snapshots.map((snapshot, i) => {
+              // Listing is newest first, so the next row is the version this one replaced
+              const older = snapshots[i + 1];
+              return (
+                <tr key={snapshot.id} style={{ borderTop: '1px solid #1e1e28' }}>
+                  <td style={{ padding: '6px', color: '#6b6b7b' }}>{snapshot.id}</td>
+                  <td style={{ padding: '6px', whiteSpace: 'nowrap' }} title={snapshot.run_id || ''}>{formatTimestamp(snapshot.created_at)}</td>
+                  <td style={{ padding: '6px', color: '#6b6b7b' }}>{snapshot.source}{snapshot.created_by ? ` • ${snapshot.created_by}` : ''}</td>
+                  {SNAPSHOT_COLUMNS.map(c => {
+                    const count = snapshot.counts?.[c.key] ?? 0;
+                    const dropped = older && count < (older.counts?.[c.key] ?? 0);
+                    return (
+                      <td key={c.key} style={{ padding: '6px', textAlign: 'right', color: dropped ? '#ef4444' : '#a8a8b8', fontWeight: dropped ? '700' : '400' }}>{count}</td>
+                    );
+                  })}
+                  <td style={{ padding: '6px', textAlign: 'right' }}>
+                    {i > 0 && <Button onClick={() => restore(snapshot)} color="#f59e0b">Restore</Button>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {snapshots.length === 0 && <div style={{ fontSize: '13px', color: '#6b6b7b' }}>No snapshots yet.</div>}
+      </Card>
+    </>
+  );
+}
+
+// ==================== SEARCH QUERIES ====================
+
+// A query that has run this often without a single cited headline is a pruning candidate
+const DEAD_QUERY_RUNS = 5;
+
+function QueryRow({ query, limit, onSave, onDelete }) {
+  const [draft, setDraft] = useState({ query: query.query, enabled: query.enabled, max_items: query.max_items });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const dirty = draft.query !== query.query || draft.enabled !== query.enabled || Number(draft.max_items) !== query.max_items;
+  const stats = query.stats;
+  const dead = stats && stats.runs >= DEAD_QUERY_RUNS && stats.cited === 0;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div style={{ padding: '10px 0', borderTop: '1px solid #1e1e28', opacity: draft.enabled ? 1 : 0.6 }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <input type="checkbox" checked={draft.enabled} onChange={e => setDraft({ ...draft, enabled: e.target.checked })} title="Enabled" />
+        <input value={draft.query} onChange={e => setDraft({ ...draft, query: e.target.value })} style={{ ...inputStyle, marginBottom: 0, flex: 1 }} />
+        <input type="number" min={1} max={limit} value={draft.max_items} onChange={e => setDraft({ ...draft, max_items: e.target.value })} title="Max headlines per run" style={{ ...inputStyle, marginBottom: 0, width: '64px' }} />
+        {dirty && <Button onClick={() => run(() => onSave({ action: 'update', id: query.id, section: query.section, ...draft, max_items: Number(draft.max_items) }))} disabled={busy} color="#22c55e">Save</Button>}
+        <Button onClick={() => window.confirm(`Delete "${query.query}"?`) && run(() => onDelete(query))} disabled={busy} color="#ef4444">Delete</Button>
+      </div>
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '11px', color: '#4a4a5a', marginTop: '6px', paddingLeft: '22px' }}>
+        {query.preview !== query.query && <span>Runs as: {query.preview}</span>}
+        {stats ? <>
+          <span style={{ color: dead ? '#ef4444' : '#4a4a5a', fontWeight: dead ? '700' : '400' }}>
+            Last {stats.runs} run(s): {stats.fetched} fetched • {stats.kept} kept • {stats.cited} cited{dead ? ' - consider pruning' : ''}
+          </span>
+          {stats.avgMs !== null && <span>~{stats.avgMs}ms</span>}
+          {stats.failures > 0 && (
+            <span style={{ color: stats.failing ? '#ef4444' : '#f59e0b', fontWeight: stats.failing ? '700' : '400' }} title={stats.lastError || ''}>
+              {stats.failing ? `Failing: last ${stats.streak} fetches failed (${stats.lastStatus})` : `${stats.failures} failed fetch(es)`}
+            </span>
+          )}
+        </> : (
+          <span>No runs recorded yet</span>
+        )}
+      </div>
+      {error && <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '6px' }}>{error}</div>}
+    </div>
+  );
+}
+
+function NewQuery({ section, limit, onSave }) {
+  const [query, setQuery] = useState('');
+  const [maxItems, setMaxItems] = useState(5);
+  const [error, setError] = useState(null);
+
+  const add = async () => {
+    setError(null);
+    try {
+      await onSave({ action: 'create', section, query, enabled: true, max_items: Number(maxItems) });
+      setQuery('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ paddingTop: '10px', borderTop: '1px solid #1e1e28' }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <input placeholder="New query, e.g. ICE raid {month} {year}" value={query} onChange={e => setQuery(e.target.value)} style={{ ...inputStyle, marginBottom: 0, flex: 1 }} />
+        <input type="number" min={1} max={limit} value={maxItems} onChange={e => setMaxItems(e.target.value)} title="Max headlines per run" style={{ ...inputStyle, marginBottom: 0, width: '64px' }} />
+        <Button onClick={add} disabled={!query.trim()} color="#3b82f6">Add</Button>
+      </div>
+      {error && <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '6px' }}>{error}</div>}
+    </div>
+  );
+}
+
+function SearchQueries({ session }) {
+  const [body, setBody] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    setError(null);
+    try {
+      setBody(await adminFetch(session, '/api/queries'));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [session]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const onSave = async (payload) => {
+    await adminFetch(session, '/api/queries', { method: 'POST', body: JSON.stringify(payload) });
+    await load();
+  };
+
+  const onDelete = async (query) => {
+    await adminFetch(session, '/api/queries', { method: 'POST', body: JSON.stringify({ action: 'delete', id: query.id }) });
+    await load();
+  };
+
+  if (error) return <Card style={{ color: '#ef4444', fontSize: '13px' }}>{error}</Card>;
+  if (!body) return <div style={{ fontSize: '13px', color: '#6b6b7b' }}>Loading...</div>;
+
+  return (
+    <>
+      <div style={{ fontSize: '12px', color: '#6b6b7b', marginBottom: '16px' }}>
+        Google News searches the cron runs. {body.placeholders.map(p => `{${p}}`).join(' and ')} are filled in at run time;
+        the number is the most headlines taken per search. Yield covers the last {body.runs} run(s).
+        {body.queries.length === 0 && ' No queries stored yet - the built-in defaults are used.'}
+      </div>
+      {Object.entries(body.sections).map(([section, label]) => (
+        <Card key={section}>
+          <div style={{ fontSize: '14px', color: '#fff', fontWeight: '600', marginBottom: '6px' }}>{label}</div>
+          {body.queries.filter(q => q.section === section).map(q => (
+            <QueryRow key={`${q.id}-${q.updated_at}`} query={q} limit={body.maxItemsLimit} onSave={onSave} onDelete={onDelete} />
+          ))}
+          <NewQuery section={section} limit={body.maxItemsLimit} onSave={onSave} />
+        </Card>
+      ))}
+    </>
+  );
+}
+
+// ==================== ADMIN ====================
+
+export default function Admin() {
+  const [session, setSession] = useState(null);
+  const [checked, setChecked] = useState(false);
+  const [view, setView] = useState('review');
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setChecked(true);
+    });
+    const { data: listener } = supabase.auth.onAuthStateChange((_event, newSession) => setSession(newSession));
+    return () => listener.subscription.unsubscribe();
+  }, []);
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#0a0a0f', fontFamily: 'Inter, sans-serif', color: '#a8a8b8', padding: '24px 16px' }}>
+      <div style={{ maxWidth: '800px', margin: '0 auto' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '24px' }}>
+          <h1 style={{ fontSize: '20px', color: '#fff', margin: 0 }}>Admin</h1>
+          <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+            <a href="/" style={{ fontSize: '12px', color: '#6b6b7b' }}>← Tracker</a>
+            {session && <Button onClick={() => supabase.auth.signOut()} color="#6b6b7b">Sign out</Button>}
+          </div>
+        </div>
+        {session && (
+          <div style={{ display: 'flex', gap: '16px', marginBottom: '20px', borderBottom: '1px solid #1e1e28' }}>
+            {[{ id: 'review', label: 'Review Queue' }, { id: 'snapshots', label: 'Snapshots' }, { id: 'queries', label: 'Search Queries' }].map(v => (
+              <button
+                key={v.id}
+                type="button"
+                onClick={() => setView(v.id)}
+                style={{ padding: '8px 0', background: 'transparent', border: 'none', borderBottom: view === v.id ? '2px solid #ef4444' : '2px solid transparent', color: view === v.id ? '#fff' : '#6b6b7b', fontSize: '13px', fontWeight: '600', cursor: 'pointer', fontFamily: 'inherit' }}
+              >{v.label}</button>
+            ))}
+          </div>
+        )}
+        {!checked ? null
+          : !session ? <SignIn />
+          : view === 'review' ? <ReviewQueue session={session} />
+          : view === 'snapshots' ? <Snapshots session={session} />
+          : <SearchQueries session={session} />}
+      </div>
+    </div>
+  );
+}
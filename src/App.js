@@ -1,6 +1,13 @@
-import React, { useState, useEffect, useMemo, useRef, Component } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback, Component } from 'react';
 import { supabase } from './supabaseClient';
 import { INITIAL_DATA } from './initialData';
+import {
+  validateTrackerData, isUnconfirmed, isReportedEntry, mergeWithCurated, normalizeDate,
+  validateIceIncident, validateLawsuit, validateConstitutionalViolation, validateEpsteinRevelation,
+} from './schema';
+import { computePollingAverage } from './pollAverage';
+import { lookupSource, RELIABILITY_TIERS } from './sourceRegistry';
+import { TRACKER_TABLES, STATS_TABLE, assembleTrackerData } from './trackerTables';
 
 // ==================== DATE FORMATTING HELPERS ====================
 // For displaying relative dates on breaking news items
@@ -34,14 +41,18 @@ function formatDateShort(dateString) {
   });
 }
 
-function formatDateFull(dateString) {
+// Record dates at their precision: "January 7, 2026", "January 2026", "2026".
+// Free text that is not a single date is shown as written.
+function formatDateFull(dateString, precision) {
   if (!dateString) return '';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', { 
-    month: 'long', 
-    day: 'numeric',
-    year: 'numeric'
-  });
+  const normalized = precision && precision !== 'unknown' ? { date: dateString, precision } : normalizeDate(dateString);
+  if (normalized.precision === 'unknown') return dateString;
+  const [year, month = 1, day = 1] = normalized.date.split('-').map(Number);
+  const options = normalized.precision === 'day' ? { month: 'long', day: 'numeric', year: 'numeric' }
+    : normalized.precision === 'month' ? { month: 'long', year: 'numeric' }
+    : { year: 'numeric' };
+  // Calendar dates, not instants - format in UTC so they don't shift a day
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
 }
 
 // Get latest breaking news for a specific category
@@ -55,93 +66,19 @@ function getLatestBreakingNews(breakingNews, category) {
   return sorted[0] || null;
 }
 
-// ==================== SOURCE URL MAPPING ====================
-// Maps source names to their URLs for clickable links
-
-const SOURCE_URLS = {
-  // Major news
-  'NPR': 'https://www.npr.org',
-  'AP News': 'https://apnews.com',
-  'Reuters': 'https://www.reuters.com',
-  'Washington Post': 'https://www.washingtonpost.com',
-  'New York Times': 'https://www.nytimes.com',
-  'NYT': 'https://www.nytimes.com',
-  'CNN': 'https://www.cnn.com',
-  'CBS News': 'https://www.cbsnews.com',
-  'NBC News': 'https://www.nbcnews.com',
-  'ABC News': 'https://www.abcnews.go.com',
-  'PBS': 'https://www.pbs.org',
-  'Al Jazeera': 'https://www.aljazeera.com',
-  'Axios': 'https://www.axios.com',
-  'Politico': 'https://www.politico.com',
-  'The Hill': 'https://thehill.com',
-  'BBC': 'https://www.bbc.com',
-  
-  // Business/Finance
-  'Bloomberg': 'https://www.bloomberg.com',
-  'CNBC': 'https://www.cnbc.com',
-  'Forbes': 'https://www.forbes.com',
-  'Fortune': 'https://fortune.com',
-  'WSJ': 'https://www.wsj.com',
-  'Wall Street Journal': 'https://www.wsj.com',
-  'MarketWatch': 'https://www.marketwatch.com',
-  'Financial Times': 'https://www.ft.com',
-  'Goldman Sachs': 'https://www.goldmansachs.com',
-  'Deloitte': 'https://www.deloitte.com',
-  
-  // Government/Official
-  'Treasury Dept': 'https://home.treasury.gov',
-  'U.S. Treasury': 'https://fiscaldata.treasury.gov',
-  'BLS': 'https://www.bls.gov',
-  'EIA': 'https://www.eia.gov',
-  'Federal Reserve': 'https://www.federalreserve.gov',
-  'GAO': 'https://www.gao.gov',
-  'DOJ': 'https://www.justice.gov',
-  'DOJ Records': 'https://www.justice.gov',
-  'Supreme Court': 'https://www.supremecourt.gov',
-  'Federal Court Records': 'https://www.uscourts.gov',
-  'Senate Banking Committee': 'https://www.banking.senate.gov',
-  
-  // Legal/Watchdog
-  'ACLU': 'https://www.aclu.org',
-  'CREW': 'https://www.citizensforethics.org',
-  'Citizens for Ethics': 'https://www.citizensforethics.org',
-  'Just Security': 'https://www.justsecurity.org',
-  'SCOTUSblog': 'https://www.scotusblog.com',
-  'Ballotpedia': 'https://ballotpedia.org',
-  'PolitiFact': 'https://www.politifact.com',
-  'Vera Institute': 'https://www.vera.org',
-  'Brennan Center': 'https://www.brennancenter.org',
-  
-  // Other
-  'Wikipedia': 'https://en.wikipedia.org',
-  'Government Executive': 'https://www.govexec.com',
-  'Rutgers Law': 'https://law.rutgers.edu',
-  'House Oversight': 'https://oversight.house.gov',
-  'American Oversight': 'https://www.americanoversight.org',
-  'Center for American Progress': 'https://www.americanprogress.org',
-  'CAP': 'https://www.americanprogress.org',
-  'NAM': 'https://www.nam.org',
-  'Newsweek': 'https://www.newsweek.com',
-  'Time Magazine': 'https://time.com',
-  'HuffPost': 'https://www.huffpost.com',
-  'CBC': 'https://www.cbc.ca',
-  'Daily Beast': 'https://www.thedailybeast.com',
-  'Court Records': 'https://www.uscourts.gov',
-  'Committee to Protect Journalists': 'https://cpj.org',
-  'PEN America': 'https://pen.org',
-  'EDF': 'https://www.edf.org',
-};
+// ==================== SOURCE LINKS ====================
+// Outlet names, homepages and types come from the shared source registry
 
-// Helper to render sources as clickable links
+// Helper to render sources as clickable links, labelled with the outlet type
 function renderSourceLinks(sources, linkStyle = {}) {
   if (!sources || sources.length === 0) return null;
   
   const defaultStyle = { color: '#6b6b7b', textDecoration: 'underline', ...linkStyle };
   
   return sources.map((source, i) => {
-    const sourceName = typeof source === 'string' ? source : source.name;
-    const sourceUrl = typeof source === 'object' && source.url ? source.url : SOURCE_URLS[sourceName];
+    const entry = lookupSource(source);
+    const sourceName = entry?.name || (typeof source === 'string' ? source : source.name);
+    const sourceUrl = (typeof source === 'object' && source.url) || entry?.homepage;
     
     return (
       <span key={i}>
@@ -151,11 +88,383 @@ function renderSourceLinks(sources, linkStyle = {}) {
         ) : (
           <span style={{ color: '#6b6b7b' }}>{sourceName}</span>
         )}
+        {entry && (
+          <span
+            title={RELIABILITY_TIERS[entry.tier]}
+            style={{ fontSize: '8px', color: '#4a4a5a', marginLeft: '3px', letterSpacing: '0.5px', textTransform: 'uppercase' }}
+          >
+            {entry.type}
+          </span>
+        )}
       </span>
     );
   });
 }
 
+// ==================== LAWSUIT FILTERS ====================
+// Mirrors VALID_LAWSUIT_CATEGORIES / VALID_STATUSES in schema.js
+
+const LAWSUIT_CATEGORIES = [
+  { id: 'against-admin', label: 'Against Admin', color: '#a855f7' },
+  { id: 'by-trump', label: 'Filed by Trump', color: '#eab308' },
+  { id: 'against-trump-personal', label: 'Against Trump Personally', color: '#ef4444' },
+];
+
+const LAWSUIT_STATUS_COLORS = {
+  'Pending': '#3b82f6',
+  'Ruling': '#a855f7',
+  'Dismissed': '#6b6b7b',
+  'Appealed': '#f97316',
+  'Blocked': '#22c55e',
+  'Ongoing': '#ef4444',
+  'Mixed': '#f59e0b',
+};
+
+// Filed dates are normalized ISO ("2026-01-29", "2025-02", "2025") - free text that is not a date sorts last
+function lawsuitFiledTime(lawsuit) {
+  const { date, precision } = normalizeDate(lawsuit.filed);
+  return precision === 'unknown' ? null : Date.parse(date);
+}
+
+// ==================== LAWSUIT TIMELINE ====================
+// Procedural history recorded by the cron (statusHistory in schema.js), oldest first
+
+function LawsuitTimeline({ lawsuit }) {
+  // Cases without a recorded history show where they stand now
+  const events = lawsuit.statusHistory?.length > 0
+    ? lawsuit.statusHistory
+    : [{ status: lawsuit.status, date: '', court: lawsuit.court, ruling: '', source: null }];
+
+  return (
+    <div style={{ margin: '4px 0 10px 0' }}>
+      <div style={{ fontSize: '10px', letterSpacing: '1px', color: '#4a4a5a', fontWeight: '600', marginBottom: '6px' }}>PROCEDURAL HISTORY</div>
+      <div style={{ borderLeft: '1px solid #2a2a35', marginLeft: '4px', paddingLeft: '12px' }}>
+        {lawsuit.filed && (
+          <div style={{ position: 'relative', fontSize: '11px', color: '#6b6b7b', marginBottom: '6px' }}>
+            <span style={{ position: 'absolute', left: '-16px', top: '4px', width: '7px', height: '7px', borderRadius: '50%', background: '#2a2a35' }} />
+            Filed · {formatDateFull(lawsuit.filed, lawsuit.filedPrecision)}
+          </div>
+        )}
+        {events.map((e, i) => {
+          const color = LAWSUIT_STATUS_COLORS[e.status] || '#6b6b7b';
+          return (
+            <div key={i} style={{ position: 'relative', fontSize: '11px', color: '#a8a8b8', marginBottom: '6px' }}>
+              <span style={{ position: 'absolute', left: '-16px', top: '4px', width: '7px', height: '7px', borderRadius: '50%', background: color }} />
+              <span style={{ color, fontWeight: '600' }}>{e.status}</span>
+              <span style={{ color: '#6b6b7b' }}> · {e.date ? formatDateFull(e.date) : 'Earlier'}{e.court && <> · {e.court}</>}</span>
+              {e.ruling && <div style={{ color: '#a8a8b8', marginTop: '2px' }}>{e.ruling}</div>}
+              {e.source && <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '2px' }}>{renderSourceLinks([e.source])}</div>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ==================== PROVENANCE ====================
+// Records added or changed by the update pipeline carry a provenance trail (sanitizeProvenance in schema.js)
+
+const CURATED_IDS = new Set([
+  ...(INITIAL_DATA.iceVictims || []),
+  ...(INITIAL_DATA.lawsuits || []),
+  ...(INITIAL_DATA.constitutionalConcerns || []),
+  ...(INITIAL_DATA.epsteinFiles?.revelations || []),
+].map(e => e.id));
+
+const PROVENANCE_ORIGIN_LABELS = {
+  curated: 'Curated by the tracker editors',
+  pipeline: 'Automated news run',
+  review: 'Approved by a reviewer',
+  'manual-edit': 'Edited by a reviewer',
+  unknown: 'Recorded before provenance tracking',
+};
+
+function formatProvenanceTime(iso) {
+  const date = new Date(iso);
+  return iso && !isNaN(date.getTime()) ? date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : 'Unknown';
+}
+
+// Expandable "How we know this" panel for a card
+function ProvenancePanel({ record }) {
+  const [open, setOpen] = useState(false);
+  if (!record) return null;
+
+  const provenance = record.provenance ||
+    { origin: CURATED_IDS.has(record.id) ? 'curated' : 'unknown', headlines: [], changes: [] };
+  const rowStyle = { fontSize: '11px', color: '#a8a8b8', marginBottom: '4px' };
+  const labelStyle = { color: '#4a4a5a', display: 'inline-block', minWidth: '90px' };
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{ background: 'none', border: 'none', padding: 0, color: '#6b6b7b', fontSize: '10px', letterSpacing: '0.5px', cursor: 'pointer' }}
+      >
+        {open ? '▾' : '▸'} HOW WE KNOW THIS
+      </button>
+      {open && (
+        <div style={{ marginTop: '8px', padding: '12px 14px', background: '#0a0a0f', borderRadius: '8px', border: '1px solid #1e1e28' }}>
+          <div style={rowStyle}><span style={labelStyle}>Added by</span>{PROVENANCE_ORIGIN_LABELS[provenance.origin] || PROVENANCE_ORIGIN_LABELS.unknown}</div>
+          {provenance.runId && <div style={rowStyle}><span style={labelStyle}>Run</span><code style={{ fontSize: '10px', color: '#6b6b7b' }}>{provenance.runId}</code></div>}
+          {provenance.firstSeen && <div style={rowStyle}><span style={labelStyle}>First seen</span>{formatProvenanceTime(provenance.firstSeen)}</div>}
+          {provenance.lastUpdated && <div style={rowStyle}><span style={labelStyle}>Last updated</span>{formatProvenanceTime(provenance.lastUpdated)}</div>}
+          {record.corroboration && (
+            <div style={rowStyle}>
+              <span style={labelStyle}>Corroboration</span>
+              {record.corroboration.status === 'confirmed' ? 'Confirmed' : 'Unconfirmed'} · {record.corroboration.publishers.length}/{record.corroboration.required} independent outlets
+              {record.corroboration.publishers.length > 0 && <span style={{ color: '#6b6b7b' }}> ({record.corroboration.publishers.join(', ')})</span>}
+            </div>
+          )}
+
+          {provenance.headlines?.length > 0 && (
+            <div style={{ marginTop: '10px' }}>
+              <div style={{ fontSize: '10px', letterSpacing: '1px', color: '#4a4a5a', fontWeight: '600', marginBottom: '4px' }}>REPORTED IN</div>
+              {provenance.headlines.map((h, i) => (
+                <div key={h.id || i} style={rowStyle}>
+                  • {h.url ? <a href={h.url} target="_blank" rel="noopener noreferrer" style={{ color: '#a8a8b8' }}>{h.title}</a> : h.title}
+                  {h.pubDate && <span style={{ color: '#4a4a5a' }}> ({formatDateShort(h.pubDate)})</span>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {provenance.changes?.length > 0 && (
+            <div style={{ marginTop: '10px' }}>
+              <div style={{ fontSize: '10px', letterSpacing: '1px', color: '#4a4a5a', fontWeight: '600', marginBottom: '4px' }}>CHANGES</div>
+              {[...provenance.changes].reverse().map((c, i) => (
+                <div key={i} style={rowStyle}>
+                  {formatProvenanceTime(c.at)} · {PROVENANCE_ORIGIN_LABELS[c.origin] || PROVENANCE_ORIGIN_LABELS.unknown}
+                  {c.fields?.length > 0 && <span style={{ color: '#6b6b7b' }}> · changed {c.fields.join(', ')}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Badge for records still waiting for enough independent coverage
+function UnconfirmedBadge({ record }) {
+  if (!isUnconfirmed(record)) return null;
+  const { publishers = [], required } = record.corroboration;
+  return (
+    <span
+      title="Reported by too few independent outlets so far - shown once more coverage confirms it"
+      style={{ fontSize: '9px', fontWeight: '700', padding: '3px 8px', borderRadius: '4px', background: 'rgba(245,158,11,0.15)', color: '#f59e0b', letterSpacing: '0.5px', whiteSpace: 'nowrap' }}
+    >
+      UNCONFIRMED · {publishers.length}/{required} OUTLETS
+    </span>
+  );
+}
+
+// ==================== POLL HISTORY ====================
+// Dated poll observations, rendered as dependency-free SVG trend lines
+
+const POLL_TOPIC_LABELS = { overall: 'Overall', immigration: 'Immigration', economy: 'Economy' };
+
+// Seed observations from INITIAL_DATA plus everything the cron has recorded, oldest first
+function mergePollHistory(seed, stored) {
+  const byId = new Map();
+  [...(seed?.observations || []), ...(stored?.observations || [])].forEach(o => byId.set(o.id, o));
+  return {
+    ...seed,
+    ...stored,
+    observations: [...byId.values()].sort((a, b) => a.fieldEnd.localeCompare(b.fieldEnd)),
+  };
+}
+
+// Average all observations that closed on the same day into one point per line
+function dailyPollAverages(observations) {
+  const byDay = {};
+  for (const o of observations) {
+    const day = byDay[o.fieldEnd] || (byDay[o.fieldEnd] = { date: o.fieldEnd, approve: [], disapprove: [] });
+    if (o.approve !== null) day.approve.push(o.approve);
+    if (o.disapprove !== null) day.disapprove.push(o.disapprove);
+  }
+  const avg = (vals) => vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+  return Object.values(byDay)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(d => ({ date: d.date, approve: avg(d.approve), disapprove: avg(d.disapprove) }));
+}
+
+function PollTrendChart({ observations }) {
+  const width = 600;
+  const height = 180;
+  const pad = { top: 12, right: 12, bottom: 24, left: 32 };
+
+  const days = dailyPollAverages(observations);
+  const values = observations.flatMap(o => [o.approve, o.disapprove]).filter(v => v !== null);
+  if (days.length === 0 || values.length === 0) return null;
+
+  const times = days.map(d => new Date(d.date).getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minVal = Math.max(0, Math.floor((Math.min(...values) - 5) / 5) * 5);
+  const maxVal = Math.min(100, Math.ceil((Math.max(...values) + 5) / 5) * 5);
+
+  const x = (date) => {
+    if (maxTime === minTime) return pad.left + (width - pad.left - pad.right) / 2;
+    return pad.left + ((new Date(date).getTime() - minTime) / (maxTime - minTime)) * (width - pad.left - pad.right);
+  };
+  const y = (val) => pad.top + ((maxVal - val) / (maxVal - minVal)) * (height - pad.top - pad.bottom);
+  const line = (key) => days.filter(d => d[key] !== null).map(d => `${x(d.date)},${y(d[key])}`).join(' ');
+
+  const gridLines = [];
+  for (let v = minVal; v <= maxVal; v += 5) gridLines.push(v);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img" aria-label="Approval and disapproval over time">
+      {gridLines.map(v => (
+        <g key={v}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke="#1e1e28" strokeWidth="1" />
+          {v % 10 === 0 && <text x={pad.left - 6} y={y(v) + 3} fill="#4a4a5a" fontSize="10" textAnchor="end">{v}%</text>}
+        </g>
+      ))}
+      <polyline points={line('approve')} fill="none" stroke="#22c55e" strokeWidth="2" />
+      <polyline points={line('disapprove')} fill="none" stroke="#ef4444" strokeWidth="2" />
+      {observations.map(o => (
+        <g key={o.id}>
+          {o.approve !== null && <circle cx={x(o.fieldEnd)} cy={y(o.approve)} r="3" fill="#22c55e"><title>{`${o.pollster} ${o.fieldEnd}: ${o.approve}% approve`}</title></circle>}
+          {o.disapprove !== null && <circle cx={x(o.fieldEnd)} cy={y(o.disapprove)} r="3" fill="#ef4444"><title>{`${o.pollster} ${o.fieldEnd}: ${o.disapprove}% disapprove`}</title></circle>}
+        </g>
+      ))}
+      <text x={pad.left} y={height - 6} fill="#4a4a5a" fontSize="10">{formatDateShort(days[0].date + 'T00:00:00')}</text>
+      {days.length > 1 && <text x={width - pad.right} y={height - 6} fill="#4a4a5a" fontSize="10" textAnchor="end">{formatDateShort(days[days.length - 1].date + 'T00:00:00')}</text>}
+    </svg>
+  );
+}
+
+// ==================== DEGRADED RECORDS ====================
+// Records that fail schema validation are shown as placeholders instead of crashing the page
+
+function describeRejectedRecord(record) {
+  if (!record || typeof record !== 'object') return String(record ?? 'Empty record');
+  const label = [record.title, record.name, record.headline, record.promise, record.id]
+    .find(v => typeof v === 'string' && v.trim());
+  return label || 'Untitled record';
+}
+
+function DegradedRecords({ records, label }) {
+  if (!records || records.length === 0) return null;
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      {records.map((record, i) => (
+        <div key={i} style={{ padding: '14px 16px', marginBottom: '10px', background: '#0f0f14', borderRadius: '12px', border: '1px dashed #3a3a4a', opacity: 0.8 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+            <span style={{ fontSize: '9px', fontWeight: '700', padding: '3px 8px', borderRadius: '4px', background: '#1a1a22', color: '#6b6b7b', letterSpacing: '0.5px' }}>UNVERIFIED DATA</span>
+            <span style={{ fontSize: '11px', color: '#6b6b7b' }}>{label}</span>
+          </div>
+          <div style={{ fontSize: '13px', color: '#a8a8b8', fontWeight: '600' }}>{describeRejectedRecord(record)}</div>
+          <div style={{ fontSize: '11px', color: '#4a4a5a', marginTop: '4px' }}>This record failed validation and is hidden until it is corrected.</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ==================== TRACKER TABLES ====================
+// Each list has its own table (src/trackerTables.js); the app reads and subscribes per table
+
+const LIST_TABLES = Object.values(TRACKER_TABLES).map(config => config.table);
+const TRACKED_TABLES = [...LIST_TABLES, STATS_TABLE];
+
+async function fetchTable(table) {
+  const { data: rows, error } = await supabase
+    .from(table)
+    .select(table === STATS_TABLE ? 'key, value, updated_at' : 'id, position, record');
+  if (error) throw error;
+  return rows || [];
+}
+
+// Merge Supabase data with baseline - curated brokenPromises & constitutionalConcerns
+// from INITIAL_DATA override their stored copies, AI-reported entries are kept
+function mergeWithBaseline(supabaseData) {
+  return {
+    ...supabaseData,
+    brokenPromises: mergeWithCurated(INITIAL_DATA.brokenPromises, supabaseData.brokenPromises),
+    constitutionalConcerns: mergeWithCurated(INITIAL_DATA.constitutionalConcerns, supabaseData.constitutionalConcerns),
+    // Keep dynamic data from Supabase
+    iceVictims: supabaseData.iceVictims || INITIAL_DATA.iceVictims,
+    lawsuits: supabaseData.lawsuits || INITIAL_DATA.lawsuits || [],
+    polls: mergePollHistory(INITIAL_DATA.polls, supabaseData.polls),
+    epsteinFiles: supabaseData.epsteinFiles || INITIAL_DATA.epsteinFiles,
+    // Breaking news - use Supabase if available, fallback to initial
+    breakingNews: supabaseData.breakingNews || INITIAL_DATA.breakingNews || [],
+  };
+}
+
+// ==================== ARCHIVE ====================
+// Records past a list's retention window live in tracker_archive (see api/_lib/retention.js)
+// and are paged in on demand with "Load older"
+
+const ARCHIVE_PAGE_SIZE = 20;
+
+function useArchive(section, validate) {
+  const [records, setRecords] = useState([]);
+  // Last row loaded; the next page starts after it, so rows archived meanwhile don't shift it
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function loadOlder() {
+    setLoading(true);
+    setError(null);
+    try {
+      let query = supabase
+        .from('tracker_archive')
+        .select('id, archived_at, record')
+        .eq('section', section);
+      if (cursor) {
+        query = query.or(`archived_at.lt."${cursor.archived_at}",and(archived_at.eq."${cursor.archived_at}",id.lt.${cursor.id})`);
+      }
+      const { data: rows, error } = await query
+        .order('archived_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(ARCHIVE_PAGE_SIZE);
+      if (error) throw error;
+      // Archived rows are held to the same schema as the live tables
+      const older = (rows || []).map(row => validate(row.record)).filter(Boolean);
+      setRecords(prev => [...prev, ...older]);
+      if (rows?.length) setCursor(rows[rows.length - 1]);
+      setHasMore((rows || []).length === ARCHIVE_PAGE_SIZE);
+    } catch (err) {
+      console.error(`Error loading archived ${section}:`, err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return { records, hasMore, loading, error, loadOlder };
+}
+
+// Live records first, then archived ones not already in the live table
+function withArchived(live, archived) {
+  const ids = new Set(live.map(r => r.id).filter(Boolean));
+  return [...live, ...archived.filter(r => !r.id || !ids.has(r.id))];
+}
+
+function LoadOlderButton({ archive, onClick, label = 'Load older' }) {
+  if (!archive.hasMore && !archive.error) return null;
+  return (
+    <div style={{ textAlign: 'center', margin: '12px 0' }}>
+      <button
+        type="button"
+        onClick={onClick || archive.loadOlder}
+        disabled={archive.loading}
+        style={{ padding: '8px 16px', background: 'transparent', border: '1px solid #2a2a35', borderRadius: '8px', color: '#a8a8b8', fontSize: '12px', fontWeight: '600', cursor: archive.loading ? 'wait' : 'pointer', fontFamily: 'inherit' }}
+      >
+        {archive.loading ? 'Loading…' : label}
+      </button>
+      {archive.error && <div style={{ fontSize: '11px', color: '#ef4444', marginTop: '6px' }}>Could not load older records: {archive.error}</div>}
+    </div>
+  );
+}
+
 // ==================== ERROR BOUNDARY (Priority Action #3) ====================
 // Catches JavaScript errors anywhere in child component tree and displays fallback UI
 
@@ -350,61 +659,40 @@ function App() {
   const [error, setError] = useState(null);
   const [lastSync, setLastSync] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
-
-  useEffect(() => {
-    fetchData();
-    const channel = supabase.channel('tracker-updates')
-      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'tracker_data' },
-        (payload) => { 
-          if (payload.new?.data) { 
-            // Merge with baseline data to ensure promises/constitutional are always up to date
-            const merged = mergeWithBaseline(payload.new.data);
-            setData(merged); 
-            setLastSync(new Date().toISOString()); 
-          } 
-        })
-      .subscribe();
-    return () => supabase.removeChannel(channel);
+  const [lawsuitFilters, setLawsuitFilters] = useState({ category: 'all', status: 'all', court: 'all' });
+  const [lawsuitSort, setLawsuitSort] = useState('newest');
+  const [rejected, setRejected] = useState({});
+  const [revelationLimit, setRevelationLimit] = useState(10);
+  const iceArchive = useArchive('iceVictims', validateIceIncident);
+  const lawsuitArchive = useArchive('lawsuits', validateLawsuit);
+  const concernArchive = useArchive('constitutionalConcerns', validateConstitutionalViolation);
+  const revelationArchive = useArchive('epsteinRevelations', validateEpsteinRevelation);
+
+  // Latest rows per table, so a realtime change to one table only refetches that table
+  const rowsRef = useRef({ tables: {}, stats: [] });
+
+  // Rebuild the tracker data from the latest rows of every table
+  const publishRows = useCallback(() => {
+    const { tables, stats } = rowsRef.current;
+    const assembled = assembleTrackerData({ tables, stats });
+    if (Object.keys(assembled).length === 0) return;
+    // Validate against the shared schema, then merge with the curated baseline
+    const { data: checked, rejected: invalid } = validateTrackerData(assembled);
+    setData(mergeWithBaseline(checked));
+    setRejected(invalid);
+    setLastSync(stats.map(s => s.updated_at).filter(Boolean).sort().pop() || null);
   }, []);
 
-  // Merge Supabase data with baseline - ensures brokenPromises & constitutionalConcerns
-  // always use the latest hardcoded baseline from INITIAL_DATA
-  function mergeWithBaseline(supabaseData) {
-    return {
-      ...supabaseData,
-      // Always use baseline data for promises and constitutional (these are manually curated)
-      brokenPromises: INITIAL_DATA.brokenPromises,
-      constitutionalConcerns: INITIAL_DATA.constitutionalConcerns,
-      // Keep dynamic data from Supabase
-      iceVictims: supabaseData.iceVictims || INITIAL_DATA.iceVictims,
-      lawsuits: supabaseData.lawsuits || INITIAL_DATA.lawsuits || [],
-      polls: supabaseData.polls || INITIAL_DATA.polls,
-      epsteinFiles: supabaseData.epsteinFiles || INITIAL_DATA.epsteinFiles,
-      // Breaking news - use Supabase if available, fallback to initial
-      breakingNews: supabaseData.breakingNews || INITIAL_DATA.breakingNews || [],
-    };
-  }
-
-  async function fetchData() {
+  const fetchData = useCallback(async () => {
     setError(null);
     try {
       // Use retry logic for fetching
-      const result = await fetchWithRetry(async () => {
-        const { data: result, error } = await supabase
-          .from('tracker_data')
-          .select('data, updated_at')
-          .eq('id', 'main')
-          .single();
-        if (error) throw error;
-        return result;
+      const rows = await fetchWithRetry(async () => {
+        const [stats, ...lists] = await Promise.all([fetchTable(STATS_TABLE), ...LIST_TABLES.map(fetchTable)]);
+        return { stats, tables: Object.fromEntries(LIST_TABLES.map((table, i) => [table, lists[i]])) };
       });
-      
-      if (result?.data && Object.keys(result.data).length > 0) {
-        // Merge with baseline to ensure promises/constitutional are current
-        const mergedData = mergeWithBaseline(result.data);
-        setData(mergedData);
-        setLastSync(result.updated_at);
-      }
+      rowsRef.current = rows;
+      publishRows();
     } catch (err) {
       console.error('Error fetching data after retries:', err);
       setError(err.message);
@@ -412,7 +700,37 @@ function App() {
     } finally {
       setLoading(false);
     }
-  }
+  }, [publishRows]);
+
+  const refreshTable = useCallback(async table => {
+    try {
+      const rows = await fetchTable(table);
+      rowsRef.current = table === STATS_TABLE
+        ? { ...rowsRef.current, stats: rows }
+        : { ...rowsRef.current, tables: { ...rowsRef.current.tables, [table]: rows } };
+      publishRows();
+    } catch (err) {
+      console.error(`Error refreshing ${table}:`, err);
+    }
+  }, [publishRows]);
+
+  useEffect(() => {
+    fetchData();
+    const refreshTimers = {};
+    const channel = supabase.channel('tracker-updates');
+    for (const table of TRACKED_TABLES) {
+      channel.on('postgres_changes', { event: '*', schema: 'public', table }, () => {
+        // A run writes many rows at once - refetch the table once they have landed
+        clearTimeout(refreshTimers[table]);
+        refreshTimers[table] = setTimeout(() => refreshTable(table), 500);
+      });
+    }
+    channel.subscribe();
+    return () => {
+      Object.values(refreshTimers).forEach(clearTimeout);
+      supabase.removeChannel(channel);
+    };
+  }, [fetchData, refreshTable]);
 
   // These values are used outside the live counters (for static displays)
   const staticDebt = useMemo(() => {
@@ -439,11 +757,15 @@ function App() {
   };
   const pad = (n) => String(n).padStart(2, '0');
 
-  const iceVictims = data.iceVictims || [];
+  const iceVictims = withArchived(data.iceVictims || [], iceArchive.records);
   const iceStats = data.iceStats || {};
   const brokenPromises = data.brokenPromises || [];
-  const lawsuits = data.lawsuits || [];
-  const constitutionalConcerns = data.constitutionalConcerns || [];
+  const lawsuits = withArchived(data.lawsuits || [], lawsuitArchive.records);
+  const constitutionalConcerns = withArchived(data.constitutionalConcerns || [], concernArchive.records);
+  // Newest first; past the blob's window the list continues from the archive
+  const revelations = withArchived([...(data.epsteinFiles?.revelations || [])].reverse(), revelationArchive.records);
+  const pollObservations = data.polls?.observations || [];
+  const pollAverage = computePollingAverage(pollObservations, { topic: 'overall' });
   const wealth = data.wealth || {};
 
   const handleTabClick = (tabId) => {
@@ -539,6 +861,26 @@ function App() {
     >{children}</button>
   );
 
+  // Toggle chip used by list filters - highlighted in its color when active
+  const FilterChip = ({ active, onClick, children, color = '#a855f7' }) => (
+    <button
+      type="button"
+      onClick={onClick}
+      style={{
+        padding: '5px 10px',
+        background: active ? `${color}25` : '#0a0a0f',
+        border: `1px solid ${active ? `${color}60` : '#1e1e28'}`,
+        borderRadius: '14px',
+        color: active ? color : '#6b6b7b',
+        fontSize: '11px',
+        fontWeight: '600',
+        cursor: 'pointer',
+        fontFamily: 'inherit',
+        touchAction: 'manipulation',
+      }}
+    >{children}</button>
+  );
+
   return (
     <div style={{ minHeight: '100vh', background: '#0a0a0f', fontFamily: 'Inter, -apple-system, sans-serif', color: '#e8e8ed', lineHeight: 1.6 }}>
       
@@ -707,11 +1049,11 @@ function App() {
               <span style={{ fontSize: '13px', color: '#fca5a5', fontWeight: '600' }}>U.S. Citizens Killed by Federal Agents</span>
             </div>
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '16px' }}>
-              {iceVictims.slice(0, 2).map(v => (
+              {iceVictims.filter(v => !isUnconfirmed(v)).slice(0, 2).map(v => (
                 <div key={v.id} style={{ background: 'rgba(220,38,38,0.08)', borderRadius: '10px', padding: '14px', border: '1px solid rgba(220,38,38,0.2)' }}>
                   <div style={{ fontSize: '15px', fontWeight: '600', color: '#fff', marginBottom: '4px' }}>{v.name}</div>
                   <div style={{ fontSize: '11px', color: '#fca5a5' }}>Age {v.age} • {v.agency}</div>
-                  <div style={{ fontSize: '10px', color: '#6b6b7b', marginTop: '4px' }}>{v.date}</div>
+                  <div style={{ fontSize: '10px', color: '#6b6b7b', marginTop: '4px' }}>{formatDateFull(v.date, v.datePrecision)}</div>
                 </div>
               ))}
             </div>
@@ -866,7 +1208,10 @@ function App() {
             <Card key={p.id} style={{ marginBottom: '16px', borderLeft: `3px solid ${p.statusColor || '#ef4444'}` }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '12px' }}>
                 <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#fff', margin: 0, flex: 1 }}>{p.title || p.promise}</h3>
-                <span style={{ fontSize: '10px', fontWeight: '600', padding: '4px 10px', borderRadius: '4px', background: `${p.statusColor || '#ef4444'}20`, color: p.statusColor || '#ef4444', marginLeft: '12px' }}>{p.status}</span>
+                <div style={{ display: 'flex', gap: '6px', marginLeft: '12px', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                  {isReportedEntry(p) && <span style={{ fontSize: '10px', fontWeight: '700', padding: '4px 10px', borderRadius: '4px', background: 'rgba(59,130,246,0.15)', color: '#3b82f6' }}>NEWLY REPORTED</span>}
+                  <span style={{ fontSize: '10px', fontWeight: '600', padding: '4px 10px', borderRadius: '4px', background: `${p.statusColor || '#ef4444'}20`, color: p.statusColor || '#ef4444' }}>{p.status}</span>
+                </div>
               </div>
               <div style={{ padding: '12px 14px', background: '#0a0a0f', borderRadius: '8px', borderLeft: '2px solid #3a3a4a', marginBottom: '12px' }}>
                 <div style={{ fontSize: '12px', color: '#6b6b7b', marginBottom: '6px' }}>THE PROMISE</div>
@@ -886,6 +1231,7 @@ function App() {
               <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '12px' }}>Sources: {renderSourceLinks(p.sources)}</div>
             </Card>
           ))}
+          <DegradedRecords records={rejected.brokenPromises} label="Broken promise" />
         </>}
 
         {/* CONSTITUTION */}
@@ -911,6 +1257,7 @@ function App() {
                   <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
                     <span style={{ fontSize: '10px', fontWeight: '600', padding: '4px 10px', borderRadius: '4px', background: `${concern.statusColor || color}20`, color: concern.statusColor || color }}>{concern.amendment}</span>
                     {concern.status && <span style={{ fontSize: '9px', padding: '3px 8px', borderRadius: '4px', background: '#1a1a22', color: '#6b6b7b' }}>{concern.status}</span>}
+                    {isReportedEntry(concern) && <span style={{ fontSize: '9px', fontWeight: '700', padding: '3px 8px', borderRadius: '4px', background: 'rgba(59,130,246,0.15)', color: '#3b82f6' }}>NEWLY REPORTED{concern.date ? ` • ${formatDateFull(concern.date, concern.datePrecision)}` : ''}</span>}
                   </div>
                   <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#fff', margin: '0 0 12px 0' }}>{concern.title}</h3>
                   <div style={{ padding: '12px 14px', background: '#0a0a0f', borderRadius: '8px', marginBottom: '12px' }}>
@@ -921,6 +1268,12 @@ function App() {
                       </ul>
                     )}
                   </div>
+                  {concern.courtRuling && (
+                    <div style={{ padding: '12px 14px', background: `${concern.statusColor || color}10`, borderRadius: '8px', borderLeft: `2px solid ${concern.statusColor || color}`, marginBottom: concern.quote ? '12px' : 0 }}>
+                      <div style={{ fontSize: '12px', color: concern.statusColor || color, marginBottom: '6px' }}>COURT RULING</div>
+                      <p style={{ fontSize: '13px', color: '#d4d4dc', margin: 0, lineHeight: 1.6 }}>{concern.courtRuling}</p>
+                    </div>
+                  )}
                   {concern.quote && (
                     <div style={{ padding: '12px 14px', background: `${concern.statusColor || color}10`, borderRadius: '8px', borderLeft: `2px solid ${concern.statusColor || color}` }}>
                       <p style={{ fontSize: '13px', color: '#d4d4dc', margin: 0, lineHeight: 1.6, fontStyle: 'italic' }}>
@@ -930,6 +1283,7 @@ function App() {
                     </div>
                   )}
                   <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '12px' }}>Sources: {renderSourceLinks(concern.sources)}</div>
+                  <ProvenancePanel record={concern} />
                 </Card>
               );
             })
@@ -1041,6 +1395,8 @@ function App() {
               </Card>
             </>
           )}
+          <LoadOlderButton archive={concernArchive} label="Load older concerns" />
+          <DegradedRecords records={rejected.constitutionalConcerns} label="Constitutional concern" />
         </>}
 
         {/* LAWSUITS */}
@@ -1091,6 +1447,100 @@ function App() {
             <a href="https://www.scotusblog.com/2026/01/looking-back-at-2025-the-supreme-court-and-the-trump-administration/" target="_blank" rel="noopener noreferrer" style={{ display: 'block', marginTop: '10px', fontSize: '10px', color: '#4a4a5a', textDecoration: 'underline' }}>Source: SCOTUSblog →</a>
           </Card>
 
+          {/* Tracked Cases - DYNAMIC from data.lawsuits */}
+          {(() => {
+            const courts = [...new Set(lawsuits.map(l => l.court).filter(Boolean))].sort();
+            const setFilter = (key, value) => setLawsuitFilters(f => ({ ...f, [key]: f[key] === value ? 'all' : value }));
+
+            const visible = lawsuits
+              .filter(l => lawsuitFilters.category === 'all' || l.category === lawsuitFilters.category)
+              .filter(l => lawsuitFilters.status === 'all' || l.status === lawsuitFilters.status)
+              .filter(l => lawsuitFilters.court === 'all' || l.court === lawsuitFilters.court)
+              .sort((a, b) => {
+                const ta = lawsuitFiledTime(a);
+                const tb = lawsuitFiledTime(b);
+                if (ta === null) return tb === null ? 0 : 1;
+                if (tb === null) return -1;
+                return lawsuitSort === 'newest' ? tb - ta : ta - tb;
+              });
+
+            return (
+              <Card style={{ marginBottom: '16px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                  <div style={{ fontSize: '14px', color: '#a855f7', fontWeight: '600' }}>Tracked Cases</div>
+                  <span style={{ fontSize: '11px', color: '#6b6b7b' }}>{visible.length} of {lawsuits.length} shown</span>
+                </div>
+
+                {/* Filters */}
+                <div style={{ display: 'grid', gap: '8px', marginBottom: '16px' }}>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                    {LAWSUIT_CATEGORIES.map(c => (
+                      <FilterChip key={c.id} active={lawsuitFilters.category === c.id} onClick={() => setFilter('category', c.id)} color={c.color}>{c.label}</FilterChip>
+                    ))}
+                  </div>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                    {Object.entries(LAWSUIT_STATUS_COLORS).map(([status, color]) => (
+                      <FilterChip key={status} active={lawsuitFilters.status === status} onClick={() => setFilter('status', status)} color={color}>{status}</FilterChip>
+                    ))}
+                  </div>
+                  {courts.length > 0 && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                      {courts.map(court => (
+                        <FilterChip key={court} active={lawsuitFilters.court === court} onClick={() => setFilter('court', court)} color="#3b82f6">{court}</FilterChip>
+                      ))}
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                    <span style={{ fontSize: '10px', color: '#4a4a5a', marginRight: '4px' }}>FILED</span>
+                    <FilterChip active={lawsuitSort === 'newest'} onClick={() => setLawsuitSort('newest')} color="#6b6b7b">Newest first</FilterChip>
+                    <FilterChip active={lawsuitSort === 'oldest'} onClick={() => setLawsuitSort('oldest')} color="#6b6b7b">Oldest first</FilterChip>
+                  </div>
+                </div>
+
+                {visible.length === 0 ? (
+                  <p style={{ fontSize: '12px', color: '#6b6b7b', textAlign: 'center', margin: '16px 0' }}>
+                    {lawsuits.length === 0 ? 'No cases recorded yet.' : 'No cases match these filters.'}
+                  </p>
+                ) : visible.map(l => {
+                  const color = LAWSUIT_STATUS_COLORS[l.status] || '#6b6b7b';
+                  const category = LAWSUIT_CATEGORIES.find(c => c.id === l.category);
+                  return (
+                    <div key={l.id} style={{ padding: '14px', background: '#0a0a0f', borderRadius: '8px', marginBottom: '10px', borderLeft: `3px solid ${color}` }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '12px', marginBottom: '6px' }}>
+                        <span style={{ fontSize: '14px', color: '#fff', fontWeight: '600' }}>{l.title}</span>
+                        <span style={{ fontSize: '10px', fontWeight: '600', padding: '3px 8px', borderRadius: '4px', background: `${color}20`, color, flexShrink: 0 }}>{l.status}</span>
+                      </div>
+                      <div style={{ fontSize: '11px', color: '#6b6b7b', marginBottom: '8px' }}>
+                        {category && <span style={{ color: category.color }}>{category.label}</span>}
+                        {l.court && <> • {l.court}</>}
+                        {l.filed && <> • Filed {formatDateFull(l.filed, l.filedPrecision)}</>}
+                        {l.amount && <> • <span style={{ color: '#eab308' }}>{l.amount}</span></>}
+                      </div>
+                      {(l.plaintiff || l.defendant) && (
+                        <div style={{ fontSize: '11px', color: '#a8a8b8', marginBottom: '6px' }}>
+                          {l.plaintiff || 'Unknown'} <span style={{ color: '#4a4a5a' }}>v.</span> {l.defendant || 'Unknown'}
+                        </div>
+                      )}
+                      {l.summary && <p style={{ fontSize: '12px', color: '#a8a8b8', margin: '0 0 8px 0', lineHeight: 1.5 }}>{l.summary}</p>}
+                      {l.ruling && (
+                        <div style={{ fontSize: '12px', color: '#d4d4dc', padding: '8px 10px', background: `${color}10`, borderRadius: '6px', marginBottom: '8px' }}>
+                          <strong style={{ color }}>Ruling:</strong> {l.ruling}
+                        </div>
+                      )}
+                      <LawsuitTimeline lawsuit={l} />
+                      {l.sources && l.sources.length > 0 && (
+                        <div style={{ fontSize: '10px', color: '#4a4a5a' }}>Sources: {renderSourceLinks(l.sources)}</div>
+                      )}
+                      <ProvenancePanel record={l} />
+                    </div>
+                  );
+                })}
+                <LoadOlderButton archive={lawsuitArchive} label="Load older cases" />
+                <DegradedRecords records={rejected.lawsuits} label="Lawsuit" />
+              </Card>
+            );
+          })()}
+
           <Card style={{ marginBottom: '16px' }}>
             <div style={{ fontSize: '14px', color: '#a855f7', fontWeight: '600', marginBottom: '8px' }}>Major Areas of Litigation</div>
             <div style={{ fontSize: '11px', color: '#6b6b7b', marginBottom: '16px' }}>
@@ -1371,6 +1821,9 @@ function App() {
         {activeTab === 'ice' && (() => {
           // Filter out invalid entries (no name or empty name)
           const validVictims = iceVictims.filter(v => v.name && v.name.trim() && v.name.trim() !== '');
+          // Corroborated incidents first; unconfirmed ones are badged at the end
+          const confirmedVictims = validVictims.filter(v => !isUnconfirmed(v));
+          const unconfirmedVictims = validVictims.filter(isUnconfirmed);
           const shootingVictims = validVictims.filter(v => v.details?.toLowerCase().includes('shot') || v.details?.toLowerCase().includes('shooting'));
           const usCitizenVictims = validVictims.filter(v => v.citizenship === 'US Citizen');
           
@@ -1435,17 +1888,21 @@ function App() {
 
             {/* Section header for individual incidents */}
             <div style={{ fontSize: '12px', color: '#6b6b7b', marginBottom: '16px', paddingBottom: '8px', borderBottom: '1px solid #1e1e28' }}>
-              <span style={{ color: '#fff', fontWeight: '600' }}>Documented Shooting Incidents</span> • {validVictims.length} on record
+              <span style={{ color: '#fff', fontWeight: '600' }}>Documented Shooting Incidents</span> • {confirmedVictims.length} on record
+              {unconfirmedVictims.length > 0 && <> • {unconfirmedVictims.length} awaiting corroboration</>}
             </div>
 
             {/* Individual Victim Cards */}
-            {validVictims.map(v => (
-              <Card key={v.id} style={{ marginBottom: '16px', borderLeft: `3px solid ${v.citizenship === 'US Citizen' ? '#dc2626' : '#f97316'}` }}>
+            {[...confirmedVictims, ...unconfirmedVictims].map(v => (
+              <Card key={v.id} style={{ marginBottom: '16px', borderLeft: `3px solid ${v.citizenship === 'US Citizen' ? '#dc2626' : '#f97316'}`, ...(isUnconfirmed(v) ? { opacity: 0.75 } : {}) }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '8px' }}>
                   <h3 style={{ fontSize: '18px', fontWeight: '700', color: '#fff', margin: 0 }}>{v.name}</h3>
-                  {v.citizenship === 'US Citizen' && (
-                    <span style={{ fontSize: '9px', fontWeight: '600', padding: '4px 8px', borderRadius: '4px', background: 'rgba(220,38,38,0.2)', color: '#fca5a5' }}>US CITIZEN</span>
-                  )}
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <UnconfirmedBadge record={v} />
+                    {v.citizenship === 'US Citizen' && (
+                      <span style={{ fontSize: '9px', fontWeight: '600', padding: '4px 8px', borderRadius: '4px', background: 'rgba(220,38,38,0.2)', color: '#fca5a5' }}>US CITIZEN</span>
+                    )}
+                  </div>
                 </div>
                 <div style={{ fontSize: '12px', color: '#a8a8b8', marginBottom: '4px' }}>
                   {formatAge(v.age) !== 'Unknown' && <>Age {formatAge(v.age)} • </>}
@@ -1453,7 +1910,7 @@ function App() {
                   {v.agency}
                 </div>
                 <div style={{ fontSize: '11px', color: '#6b6b7b', marginBottom: '12px' }}>
-                  {v.date}{v.location && <> • {v.location}</>}
+                  {formatDateFull(v.date, v.datePrecision)}{v.location && <> • {v.location}</>}
                 </div>
                 {v.details && (
                   <div style={{ padding: '14px', background: '#0a0a0f', borderRadius: '10px', marginBottom: '12px', fontSize: '13px', color: '#d4d4dc', lineHeight: 1.6 }}>{v.details}</div>
@@ -1477,8 +1934,12 @@ function App() {
                 {v.sources && v.sources.length > 0 && (
                   <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '12px' }}>Sources: {renderSourceLinks(v.sources)}</div>
                 )}
+                <ProvenancePanel record={v} />
               </Card>
             ))}
+            <LoadOlderButton archive={iceArchive} label="Load older incidents" />
+            <DegradedRecords records={rejected.iceVictims} label="ICE incident" />
+            <DegradedRecords records={rejected.iceStats} label="ICE statistics" />
 
             {/* Data source */}
             <div style={{ fontSize: '10px', color: '#4a4a5a', textAlign: 'center', marginTop: '24px' }}>
@@ -1611,70 +2072,117 @@ function App() {
         {/* POLLS */}
         {activeTab === 'polls' && <>
           <PageHeader title="Approval Ratings" subtitle="Public opinion tracking from major pollsters" />
+          <DegradedRecords records={rejected.polls} label="Poll data" />
+          <DegradedRecords records={rejected.pollObservations} label="Poll observation" />
           
-          {/* Current Approval - with proportional vertical bars */}
+          {/* Current Approval - computed rolling average, with proportional vertical bars */}
           <Card glow="#ef4444" style={{ marginBottom: '24px' }}>
-            <div style={{ fontSize: '10px', letterSpacing: '2px', color: '#4a4a5a', marginBottom: '16px', fontWeight: '600', textAlign: 'center' }}>CURRENT APPROVAL (JAN 2026)</div>
+            <div style={{ fontSize: '10px', letterSpacing: '2px', color: '#4a4a5a', marginBottom: '16px', fontWeight: '600', textAlign: 'center' }}>
+              POLLING AVERAGE{pollAverage ? ` (AS OF ${formatDateShort(pollAverage.asOf + 'T00:00:00').toUpperCase()})` : ''}
+            </div>
             
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px', marginBottom: '20px' }}>
-              {/* Approve - GREEN */}
-              <div style={{ textAlign: 'center', padding: '20px', background: 'rgba(34,197,94,0.08)', borderRadius: '12px', border: '1px solid rgba(34,197,94,0.2)' }}>
-                <div style={{ fontSize: '48px', fontWeight: '800', color: '#22c55e', lineHeight: 1 }}>39%</div>
-                <div style={{ fontSize: '12px', color: '#6b6b7b', marginTop: '8px' }}>Overall Approval</div>
-                {/* Proportional vertical bar */}
-                <div style={{ marginTop: '12px', height: '100px', background: '#1a1a22', borderRadius: '8px', display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', overflow: 'hidden' }}>
-                  <div style={{ height: '39%', background: 'linear-gradient(180deg, #22c55e 0%, #16a34a 100%)', borderRadius: '8px 8px 0 0' }} />
-                </div>
-                <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '8px' }}>CNN/SSRS Jan 2026</div>
+            {pollAverage ? <>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px', marginBottom: '20px' }}>
+                {/* Approve - GREEN */}
+                <a href="#poll-average-inputs" style={{ textDecoration: 'none', textAlign: 'center', padding: '20px', background: 'rgba(34,197,94,0.08)', borderRadius: '12px', border: '1px solid rgba(34,197,94,0.2)' }}>
+                  <div style={{ fontSize: '48px', fontWeight: '800', color: '#22c55e', lineHeight: 1 }}>{pollAverage.approve ?? '—'}%</div>
+                  <div style={{ fontSize: '12px', color: '#6b6b7b', marginTop: '8px' }}>Overall Approval</div>
+                  {/* Proportional vertical bar */}
+                  <div style={{ marginTop: '12px', height: '100px', background: '#1a1a22', borderRadius: '8px', display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', overflow: 'hidden' }}>
+                    <div style={{ height: `${pollAverage.approve || 0}%`, background: 'linear-gradient(180deg, #22c55e 0%, #16a34a 100%)', borderRadius: '8px 8px 0 0' }} />
+                  </div>
+                  <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '8px' }}>{pollAverage.polls.filter(p => p.approve !== null).length} polls • view inputs ↓</div>
+                </a>
+                {/* Disapprove - RED */}
+                <a href="#poll-average-inputs" style={{ textDecoration: 'none', textAlign: 'center', padding: '20px', background: 'rgba(239,68,68,0.08)', borderRadius: '12px', border: '1px solid rgba(239,68,68,0.2)' }}>
+                  <div style={{ fontSize: '48px', fontWeight: '800', color: '#ef4444', lineHeight: 1 }}>{pollAverage.disapprove ?? '—'}%</div>
+                  <div style={{ fontSize: '12px', color: '#6b6b7b', marginTop: '8px' }}>Disapproval</div>
+                  {/* Proportional vertical bar */}
+                  <div style={{ marginTop: '12px', height: '100px', background: '#1a1a22', borderRadius: '8px', display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', overflow: 'hidden' }}>
+                    <div style={{ height: `${pollAverage.disapprove || 0}%`, background: 'linear-gradient(180deg, #ef4444 0%, #dc2626 100%)', borderRadius: '8px 8px 0 0' }} />
+                  </div>
+                  <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '8px' }}>{pollAverage.polls.filter(p => p.disapprove !== null).length} polls • view inputs ↓</div>
+                </a>
               </div>
-              {/* Disapprove - RED */}
-              <div style={{ textAlign: 'center', padding: '20px', background: 'rgba(239,68,68,0.08)', borderRadius: '12px', border: '1px solid rgba(239,68,68,0.2)' }}>
-                <div style={{ fontSize: '48px', fontWeight: '800', color: '#ef4444', lineHeight: 1 }}>56%</div>
-                <div style={{ fontSize: '12px', color: '#6b6b7b', marginTop: '8px' }}>Disapproval</div>
-                {/* Proportional vertical bar */}
-                <div style={{ marginTop: '12px', height: '100px', background: '#1a1a22', borderRadius: '8px', display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', overflow: 'hidden' }}>
-                  <div style={{ height: '56%', background: 'linear-gradient(180deg, #ef4444 0%, #dc2626 100%)', borderRadius: '8px 8px 0 0' }} />
-                </div>
-                <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '8px' }}>Civiqs Jan 28, 2026</div>
+
+              <div style={{ padding: '14px 16px', background: '#0a0a0f', borderRadius: '10px', marginBottom: '16px' }}>
+                <div style={{ fontSize: '12px', color: '#888', marginBottom: '8px' }}>NET APPROVAL</div>
+                <a href="#poll-average-inputs" style={{ textDecoration: 'none', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                  <div style={{ fontSize: '28px', fontWeight: '700', color: pollAverage.net !== null && pollAverage.net >= 0 ? '#22c55e' : '#ef4444' }}>
+                    {pollAverage.net === null ? '—' : `${pollAverage.net > 0 ? '+' : ''}${pollAverage.net}`}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#6b6b7b' }}>
+                    Tracker average of {pollAverage.polls.length} pollster{pollAverage.polls.length === 1 ? '' : 's'}<br/>
+                    <span style={{ color: '#4a4a5a' }}>{pollAverage.windowDays}-day window • weight halves every {pollAverage.halfLifeDays} days</span>
+                  </div>
+                </a>
               </div>
-            </div>
 
-            <div style={{ padding: '14px 16px', background: '#0a0a0f', borderRadius: '10px', marginBottom: '16px' }}>
-              <div style={{ fontSize: '12px', color: '#888', marginBottom: '8px' }}>NET APPROVAL TREND</div>
-              <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-                <div style={{ fontSize: '28px', fontWeight: '700', color: '#ef4444' }}>-12.9</div>
-                <div style={{ fontSize: '12px', color: '#6b6b7b' }}>
-                  Silver Bulletin average<br/>
-                  <span style={{ color: '#ef4444' }}>↓ Down from -12.0 last week</span>
-                </div>
+              {/* Inputs - one row per pollster, linking to the poll it came from */}
+              <div id="poll-average-inputs">
+                <div style={{ fontSize: '10px', letterSpacing: '1px', color: '#4a4a5a', marginBottom: '8px', fontWeight: '600' }}>BUILT FROM</div>
+                {pollAverage.polls.map(poll => (
+                  <a key={poll.id} href={`#poll-${poll.id}`} style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', padding: '6px 0', borderBottom: '1px solid #1e1e28', fontSize: '11px', textDecoration: 'none' }}>
+                    <span style={{ color: '#a8a8b8' }}>{poll.pollster} <span style={{ color: '#4a4a5a' }}>• {formatDateShort(poll.fieldEnd + 'T00:00:00')}</span></span>
+                    <span style={{ color: '#6b6b7b' }}>
+                      <span style={{ color: '#22c55e' }}>{poll.approve ?? '—'}</span> / <span style={{ color: '#ef4444' }}>{poll.disapprove ?? '—'}</span>
+                      {(poll.adjustedApprove !== poll.approve || poll.adjustedDisapprove !== poll.disapprove) && <span style={{ color: '#4a4a5a' }}> (adj. {poll.adjustedApprove ?? '—'} / {poll.adjustedDisapprove ?? '—'})</span>}
+                      <span style={{ color: '#4a4a5a' }}> • weight {poll.weight}</span>
+                    </span>
+                  </a>
+                ))}
               </div>
+            </> : (
+              <p style={{ fontSize: '12px', color: '#6b6b7b', textAlign: 'center', margin: '16px 0' }}>No recent polls to average yet.</p>
+            )}
+          </Card>
+
+          {/* Approval Trends - DYNAMIC from polls.observations */}
+          <Card style={{ marginBottom: '24px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+              <span style={{ fontSize: '14px', color: '#fff', fontWeight: '600' }}>Approval Trends</span>
+              <span style={{ fontSize: '10px', color: '#6b6b7b' }}>
+                <span style={{ color: '#22c55e' }}>● Approve</span>{'  '}<span style={{ color: '#ef4444', marginLeft: '8px' }}>● Disapprove</span>
+              </span>
             </div>
-            
-            <a href="https://www.natesilver.net/p/trump-approval-ratings-nate-silver-bulletin" target="_blank" rel="noopener noreferrer" style={{ fontSize: '11px', color: '#4a4a5a', textDecoration: 'underline' }}>Source: Silver Bulletin →</a>
+            {Object.entries(POLL_TOPIC_LABELS).map(([topic, label]) => {
+              const topicObservations = pollObservations.filter(o => o.topic === topic);
+              if (topicObservations.length === 0) return null;
+              return (
+                <div key={topic} style={{ marginBottom: '16px' }}>
+                  <div style={{ fontSize: '11px', color: '#a8a8b8', fontWeight: '600', marginBottom: '6px' }}>
+                    {label} <span style={{ color: '#4a4a5a', fontWeight: '400' }}>• {topicObservations.length} poll{topicObservations.length === 1 ? '' : 's'}</span>
+                  </div>
+                  <PollTrendChart observations={topicObservations} />
+                </div>
+              );
+            })}
+            {pollObservations.length === 0 && (
+              <p style={{ fontSize: '12px', color: '#6b6b7b', textAlign: 'center', margin: '16px 0' }}>No poll history recorded yet.</p>
+            )}
           </Card>
 
-          {/* Poll Comparison */}
+          {/* Poll Comparison - latest overall reading per pollster */}
           <Card style={{ marginBottom: '24px' }}>
-            <div style={{ fontSize: '14px', color: '#fff', fontWeight: '600', marginBottom: '16px' }}>Recent Poll Results (Jan 2026)</div>
+            <div style={{ fontSize: '14px', color: '#fff', fontWeight: '600', marginBottom: '16px' }}>Recent Poll Results</div>
             
-            {[
-              { pollster: 'Fox News', approve: 44, disapprove: 56, date: 'Jan 23-26' },
-              { pollster: 'Emerson', approve: 41, disapprove: 50, date: 'Jan 2026' },
-              { pollster: 'CNN/SSRS', approve: 39, disapprove: 61, date: 'Jan 2026' },
-              { pollster: 'Marist', approve: 38, disapprove: 56, date: 'Jan 12-13' },
-              { pollster: 'Reuters/Ipsos', approve: 38, disapprove: 58, date: 'Jan 2026' },
-              { pollster: 'Civiqs', approve: 39, disapprove: 56, date: 'Jan 28' },
-            ].map((poll, i) => (
-              <div key={i} style={{ marginBottom: '12px' }}>
+            {[...new Map(
+              pollObservations.filter(o => o.topic === 'overall').map(o => [o.pollster, o])
+            ).values()].reverse().slice(0, 8).map(poll => (
+              <div key={poll.id} id={`poll-${poll.id}`} style={{ marginBottom: '12px' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
                   <span style={{ fontSize: '12px', color: '#a8a8b8', fontWeight: '500' }}>{poll.pollster}</span>
-                  <span style={{ fontSize: '10px', color: '#4a4a5a' }}>{poll.date}</span>
+                  <span style={{ fontSize: '10px', color: '#4a4a5a' }}>
+                    {poll.fieldStart !== poll.fieldEnd ? `${formatDateShort(poll.fieldStart + 'T00:00:00')}–` : ''}{formatDateShort(poll.fieldEnd + 'T00:00:00')}
+                    {poll.sampleSize ? ` • n=${poll.sampleSize.toLocaleString()}` : ''}
+                    {poll.population !== 'Unknown' ? ` • ${poll.population}` : ''}
+                  </span>
                 </div>
                 <div style={{ display: 'flex', height: '24px', borderRadius: '4px', overflow: 'hidden', background: '#0a0a0f' }}>
-                  <div style={{ width: `${poll.approve}%`, background: 'linear-gradient(90deg, #22c55e 0%, #16a34a 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                  <div style={{ width: `${poll.approve || 0}%`, background: 'linear-gradient(90deg, #22c55e 0%, #16a34a 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
                     <span style={{ fontSize: '10px', fontWeight: '600', color: '#fff' }}>{poll.approve}%</span>
                   </div>
-                  <div style={{ width: `${poll.disapprove}%`, background: 'linear-gradient(90deg, #ef4444 0%, #dc2626 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                  <div style={{ width: `${poll.disapprove || 0}%`, background: 'linear-gradient(90deg, #ef4444 0%, #dc2626 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
                     <span style={{ fontSize: '10px', fontWeight: '600', color: '#fff' }}>{poll.disapprove}%</span>
                   </div>
                 </div>
@@ -1792,6 +2300,9 @@ function App() {
               </Card>
             );
           })()}
+          <DegradedRecords records={rejected.epsteinRevelations} label="Epstein revelation" />
+          <DegradedRecords records={rejected.epsteinFiles} label="Epstein files summary" />
+          <DegradedRecords records={rejected.breakingNews} label="Breaking news item" />
 
           {/* Key Stats */}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '12px', marginBottom: '24px' }}>
@@ -1813,6 +2324,36 @@ function App() {
             </div>
           </div>
 
+          {/* Revelations reported by the update pipeline, newest first */}
+          {revelations.length > 0 && (
+            <Card style={{ marginBottom: '16px' }}>
+              <div style={{ fontSize: '11px', letterSpacing: '1px', color: '#6b6b7b', fontWeight: '600', marginBottom: '12px' }}>LATEST REVELATIONS</div>
+              {revelations.slice(0, revelationLimit).map((r, i) => (
+                <div key={r.id || i} style={{ padding: '10px 0', borderTop: i > 0 ? '1px solid #1e1e28' : 'none' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
+                    <div style={{ fontSize: '13px', color: '#fff', fontWeight: '600' }}>{r.headline}</div>
+                    <UnconfirmedBadge record={r} />
+                  </div>
+                  {r.details && <div style={{ fontSize: '12px', color: '#a8a8b8', marginTop: '4px', lineHeight: 1.6 }}>{r.details}</div>}
+                  <div style={{ fontSize: '10px', color: '#4a4a5a', marginTop: '6px' }}>
+                    {[r.involvedPerson, formatDateFull(r.date, r.datePrecision)].filter(Boolean).join(' • ')}
+                    {r.sources?.length > 0 && <> {r.involvedPerson || r.date ? '• ' : ''}Sources: {renderSourceLinks(r.sources)}</>}
+                  </div>
+                  <ProvenancePanel record={r} />
+                </div>
+              ))}
+              {/* Show the rest of the live list before paging into the archive */}
+              <LoadOlderButton
+                archive={{ ...revelationArchive, hasMore: revelationArchive.hasMore || revelationLimit < revelations.length }}
+                onClick={() => {
+                  if (revelationLimit >= revelations.length) revelationArchive.loadOlder();
+                  setRevelationLimit(limit => limit + ARCHIVE_PAGE_SIZE);
+                }}
+                label="Load older revelations"
+              />
+            </Card>
+          )}
+
           {/* Flight Log Details */}
           <Card style={{ marginBottom: '16px', borderLeft: '3px solid #f59e0b' }}>
             <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
@@ -0,0 +1,109 @@
+/**
+ * Trump Accountability Tracker - Polling Average
+ *
+ * Rolling approval average computed from the stored poll observations
+ * (polls.observations), shared by the cron and the React app so the number
+ * on the Polls tab is ours rather than a headline figure from the news.
+ *
+ * Method:
+ * - Only polls whose field period ended inside the window are used
+ * - Repeated releases from the same pollster collapse to the most recent one
+ * - Optional house effects are subtracted from each pollster's numbers
+ * - Each poll is weighted by recency: weight halves every halfLifeDays
+ *
+ * Plain JS only (no JSX) so the serverless function can import it as-is.
+ */
+
+import { pollsterSlug } from './schema.js';
+
+// ==================== CONFIG ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const POLL_AVERAGE_CONFIG = {
+  windowDays: 30,
+  halfLifeDays: 10,
+  // Keyed by pollster slug: how far the pollster typically leans, in points.
+  // e.g. 'rasmussen-reports': { approve: 3, disapprove: -3 }
+  houseEffects: {},
+};
+
+// ==================== HELPERS ====================
+
+function roundTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function weightedMean(values) {
+  const usable = values.filter(v => v.value !== null);
+  const totalWeight = usable.reduce((sum, v) => sum + v.weight, 0);
+  if (totalWeight === 0) return null;
+  return roundTenth(usable.reduce((sum, v) => sum + v.value * v.weight, 0) / totalWeight);
+}
+
+function adjust(value, effect) {
+  if (value === null || value === undefined) return null;
+  return Math.min(100, Math.max(0, value - (effect || 0)));
+}
+
+// ==================== AVERAGE ====================
+
+/**
+ * Compute the rolling average for one topic.
+ * Returns null when no poll falls inside the window.
+ *
+ * asOf defaults to the newest field end date for the topic, so a stale
+ * history still produces an average (labelled with the date it is as of).
+ */
+export function computePollingAverage(observations, { topic = 'overall', asOf, ...options } = {}) {
+  const config = { ...POLL_AVERAGE_CONFIG, ...options };
+  const topicPolls = (observations || []).filter(o => o && o.topic === topic && o.fieldEnd);
+  if (topicPolls.length === 0) return null;
+
+  const asOfDate = asOf || topicPolls.reduce((latest, o) => (o.fieldEnd > latest ? o.fieldEnd : latest), '');
+  const asOfTime = new Date(asOfDate).getTime();
+  const windowStart = asOfTime - config.windowDays * DAY_MS;
+
+  // Newest release per pollster inside the window
+  const latestByPollster = new Map();
+  for (const poll of topicPolls) {
+    const fieldEndTime = new Date(poll.fieldEnd).getTime();
+    if (fieldEndTime > asOfTime || fieldEndTime < windowStart) continue;
+
+    const key = pollsterSlug(poll.pollster);
+    const current = latestByPollster.get(key);
+    if (!current || poll.fieldEnd > current.fieldEnd) {
+      latestByPollster.set(key, poll);
+    }
+  }
+  if (latestByPollster.size === 0) return null;
+
+  const polls = [...latestByPollster.entries()].map(([key, poll]) => {
+    const ageDays = (asOfTime - new Date(poll.fieldEnd).getTime()) / DAY_MS;
+    const effect = config.houseEffects[key] || {};
+    return {
+      id: poll.id,
+      pollster: poll.pollster,
+      fieldEnd: poll.fieldEnd,
+      approve: poll.approve,
+      disapprove: poll.disapprove,
+      adjustedApprove: adjust(poll.approve, effect.approve),
+      adjustedDisapprove: adjust(poll.disapprove, effect.disapprove),
+      weight: Math.round(Math.pow(0.5, ageDays / config.halfLifeDays) * 1000) / 1000,
+    };
+  }).sort((a, b) => b.fieldEnd.localeCompare(a.fieldEnd));
+
+  const approve = weightedMean(polls.map(p => ({ value: p.adjustedApprove, weight: p.weight })));
+  const disapprove = weightedMean(polls.map(p => ({ value: p.adjustedDisapprove, weight: p.weight })));
+
+  return {
+    topic,
+    approve,
+    disapprove,
+    net: approve !== null && disapprove !== null ? roundTenth(approve - disapprove) : null,
+    asOf: asOfDate,
+    windowDays: config.windowDays,
+    halfLifeDays: config.halfLifeDays,
+    polls,
+  };
+}
@@ -0,0 +1,713 @@
+/**
+ * Trump Accountability Tracker - Shared Data Schema
+ *
+ * Single definition of every tracker entity, imported by both the cron
+ * (api/update.js) and the React app. Each validator sanitizes a raw object
+ * and returns the normalized record, or null when it cannot be salvaged.
+ *
+ * Entities:
+ * - ICE incident, lawsuit, broken promise, constitutional violation
+ * - Epstein revelation / files summary, breaking-news item
+ * - Poll observations / polls summary, ICE stats
+ *
+ * Plain JS only (no JSX) so the serverless function can import it as-is.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const MAX_STRING_LENGTH = 1000;
+export const MAX_ARRAY_LENGTH = 100;
+export const VALID_STATUSES = ['Pending', 'Ruling', 'Dismissed', 'Appealed', 'Blocked', 'Ongoing', 'Mixed'];
+export const VALID_LAWSUIT_CATEGORIES = ['against-admin', 'by-trump', 'against-trump-personal'];
+export const VALID_CITIZENSHIP = ['US Citizen', 'Legal Resident', 'Undocumented', 'Unknown'];
+export const VALID_AGENCIES = ['ICE', 'Border Patrol', 'CBP', 'DHS', 'Unknown'];
+export const VALID_VIOLATION_STATUSES = ['RULED UNCONSTITUTIONAL', 'ONGOING', 'IN COURTS', 'CONTEMPT', 'DEFIED', 'BLOCKED', 'PENDING'];
+export const VALID_BREAKING_CATEGORIES = ['epstein', 'ice', 'lawsuit', 'constitutional', 'poll', 'promise'];
+export const VALID_POLL_TOPICS = ['overall', 'immigration', 'economy'];
+export const VALID_POLL_POPULATIONS = ['Adults', 'Registered Voters', 'Likely Voters', 'Unknown'];
+export const MAX_POLL_HISTORY = 500;
+// Who or what put a record in the tracker (see sanitizeProvenance)
+export const VALID_PROVENANCE_ORIGINS = ['curated', 'pipeline', 'review', 'manual-edit', 'unknown'];
+export const MAX_PROVENANCE_CHANGES = 20;
+export const VALID_CORROBORATION_STATUSES = ['confirmed', 'unconfirmed'];
+export const MAX_STATUS_HISTORY = 30;
+// How much of a normalized date is known: '2026-01-07' (day), '2026-01' (month), '2026' (year)
+export const VALID_DATE_PRECISIONS = ['day', 'month', 'year', 'unknown'];
+
+// ==================== PRIMITIVES ====================
+
+/**
+ * Sanitize a string: trim, limit length, remove potentially dangerous characters
+ */
+export function sanitizeString(str, maxLength = MAX_STRING_LENGTH) {
+  if (typeof str !== 'string') return '';
+  return str
+    .trim()
+    .slice(0, maxLength)
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags
+    .replace(/javascript:/gi, '') // Remove javascript: URLs
+    .replace(/on\w+=/gi, ''); // Remove event handlers
+}
+
+/**
+ * Sanitize a number within bounds
+ */
+export function sanitizeNumber(num, min = 0, max = 1000000) {
+  if (num === null || num === undefined || num === '') return null;
+  const parsed = Number(num);
+  if (isNaN(parsed)) return null;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+/**
+ * Sanitize a date to YYYY-MM-DD, or '' when it cannot be parsed
+ */
+export function sanitizeIsoDate(str) {
+  if (typeof str !== 'string' || !str.trim()) return '';
+  const trimmed = str.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
+  const parsed = new Date(trimmed);
+  if (isNaN(parsed.getTime())) return '';
+  // Free-text dates parse as local midnight - read them back in local time
+  const pad = n => String(n).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// 1-12 for a month name or abbreviation ("Jan", "Sept.", "January"), else 0
+function monthNumber(word) {
+  const lower = word.toLowerCase().replace(/\.$/, '');
+  const index = MONTHS.indexOf(lower.slice(0, 3));
+  return index >= 0 && lower.length >= 3 ? index + 1 : 0;
+}
+
+function isoDay(year, month, day) {
+  const pad = n => String(n).padStart(2, '0');
+  const parsed = new Date(Date.UTC(Number(year), month - 1, Number(day)));
+  if (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== Number(day)) return null;
+  return { date: `${year}-${pad(month)}-${pad(day)}`, precision: 'day' };
+}
+
+/**
+ * Normalize a free-text date to an ISO date at the precision the text gives:
+ * "January 7, 2026" -> { date: '2026-01-07', precision: 'day' }
+ * "Jan 2026"        -> { date: '2026-01', precision: 'month' }
+ * "2025"            -> { date: '2025', precision: 'year' }
+ * Anything else ("Ongoing", "Jan - Mar 2025") is kept as written with precision 'unknown'.
+ * Already-normalized dates come back unchanged.
+ */
+export function normalizeDate(value) {
+  const text = sanitizeString(value, 50);
+  if (!text) return { date: '', precision: 'unknown' };
+  let m;
+
+  if ((m = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:T.*)?$/))) {
+    return isoDay(m[1], Number(m[2]), m[3]) || { date: text, precision: 'unknown' };
+  }
+  if ((m = text.match(/^(\d{4})-(\d{2})$/)) && Number(m[2]) >= 1 && Number(m[2]) <= 12) {
+    return { date: text, precision: 'month' };
+  }
+  // "2025", "early 2025", "summer 2025"
+  if ((m = text.match(/^(?:(?:early|mid|late|spring|summer|fall|autumn|winter)[\s-]+)?(\d{4})$/i))) {
+    return { date: m[1], precision: 'year' };
+  }
+  // "Jan 2026", "January, 2026"
+  if ((m = text.match(/^([a-z]+\.?),?\s+(\d{4})$/i)) && monthNumber(m[1])) {
+    return { date: `${m[2]}-${String(monthNumber(m[1])).padStart(2, '0')}`, precision: 'month' };
+  }
+  // "January 7, 2026", "Jan. 7th 2026"
+  if ((m = text.match(/^([a-z]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i)) && monthNumber(m[1])) {
+    return isoDay(m[3], monthNumber(m[1]), m[2]) || { date: text, precision: 'unknown' };
+  }
+  // "7 January 2026"
+  if ((m = text.match(/^(\d{1,2})\s+([a-z]+\.?),?\s+(\d{4})$/i)) && monthNumber(m[2])) {
+    return isoDay(m[3], monthNumber(m[2]), m[1]) || { date: text, precision: 'unknown' };
+  }
+  // US numeric "1/7/2026"
+  if ((m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return isoDay(m[3], Number(m[1]), m[2]) || { date: text, precision: 'unknown' };
+  }
+  return { date: text, precision: 'unknown' };
+}
+
+/**
+ * Normalized ISO date at whatever precision is known, or '' when the text is not a date
+ */
+export function knownDate(value) {
+  const { date, precision } = normalizeDate(value);
+  return precision === 'unknown' ? '' : date;
+}
+
+/**
+ * { [field], [field]Precision } to spread into a validated record
+ */
+function normalizedDateFields(value, field = 'date') {
+  const { date, precision } = normalizeDate(value);
+  return { [field]: date, [`${field}Precision`]: precision };
+}
+
+// Headline IDs the update pipeline hands to the LLM ("n-" + 8 hex chars of the RSS GUID hash)
+export const HEADLINE_ID_PATTERN = /^n-[0-9a-f]{8}$/;
+
+/**
+ * Sanitize a source list - bare outlet names stay strings, { name, url } objects are kept.
+ * `citations` (Map of headline ID -> { name, url }) turns cited headline IDs into
+ * links to the article; IDs that are not in it were made up and are dropped.
+ */
+export function sanitizeSources(sources, max = 10, citations = null) {
+  if (!Array.isArray(sources)) return [];
+  const seen = new Set();
+  return sources.slice(0, max).map(s => {
+    if (typeof s === 'string' && HEADLINE_ID_PATTERN.test(s.trim())) {
+      s = citations?.get(s.trim()) || null;
+    }
+    if (typeof s === 'string') return sanitizeString(s, 200) || null;
+    if (s && typeof s === 'object' && s.name) {
+      return { name: sanitizeString(s.name, 200), url: sanitizeString(s.url, 500) };
+    }
+    return null;
+  }).filter(s => {
+    if (!s) return false;
+    const key = typeof s === 'string' ? s : s.url || s.name;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Sanitize a record's provenance trail:
+ * { origin, runId, headlines: [{ id, title, url, pubDate, publisher }], firstSeen, lastUpdated,
+ *   changes: [{ at, runId, origin, fields }] }
+ * Returns null when the record has none.
+ */
+export function sanitizeProvenance(provenance) {
+  if (!provenance || typeof provenance !== 'object') return null;
+  const origin = VALID_PROVENANCE_ORIGINS.includes(provenance.origin) ? provenance.origin : 'unknown';
+
+  return {
+    origin,
+    runId: sanitizeString(provenance.runId, 100) || null,
+    headlines: (Array.isArray(provenance.headlines) ? provenance.headlines : []).slice(0, 10)
+      .filter(h => h && typeof h === 'object' && h.title)
+      .map(h => ({
+        id: sanitizeString(h.id, 20),
+        title: sanitizeString(h.title, 500),
+        url: sanitizeString(h.url, 500),
+        pubDate: sanitizeString(h.pubDate, 50),
+        publisher: sanitizeString(h.publisher, 200),
+      })),
+    firstSeen: sanitizeString(provenance.firstSeen, 50) || null,
+    lastUpdated: sanitizeString(provenance.lastUpdated, 50) || null,
+    changes: (Array.isArray(provenance.changes) ? provenance.changes : []).slice(-MAX_PROVENANCE_CHANGES)
+      .filter(c => c && typeof c === 'object')
+      .map(c => ({
+        at: sanitizeString(c.at, 50) || null,
+        runId: sanitizeString(c.runId, 100) || null,
+        origin: VALID_PROVENANCE_ORIGINS.includes(c.origin) ? c.origin : 'unknown',
+        fields: sanitizeStringList(c.fields, 30, 50),
+      })),
+  };
+}
+
+/**
+ * { provenance } to spread into a validated record, or nothing when it has none
+ */
+function provenanceOf(record) {
+  const provenance = sanitizeProvenance(record.provenance);
+  return provenance ? { provenance } : {};
+}
+
+/**
+ * { corroboration } to spread into a validated record, or nothing when it has none.
+ * Shape: { status: 'confirmed' | 'unconfirmed', publishers: [domain], required, confirmedAt }
+ * Records without it predate the corroboration policy and count as confirmed.
+ */
+function corroborationOf(record) {
+  const c = record.corroboration;
+  if (!c || typeof c !== 'object') return {};
+  return {
+    corroboration: {
+      status: VALID_CORROBORATION_STATUSES.includes(c.status) ? c.status : 'unconfirmed',
+      publishers: sanitizeStringList(c.publishers, 20, 200),
+      required: sanitizeNumber(c.required, 1, 20) || 1,
+      confirmedAt: sanitizeString(c.confirmedAt, 50) || null,
+    },
+  };
+}
+
+/**
+ * { statusHistory } to spread into a validated lawsuit, or nothing when it has none.
+ * Procedural events, oldest first: [{ status, date (normalized ISO or ''), court, ruling, source }]
+ */
+function statusHistoryOf(record) {
+  if (!Array.isArray(record.statusHistory)) return {};
+  const statusHistory = record.statusHistory.slice(-MAX_STATUS_HISTORY)
+    .filter(e => e && typeof e === 'object' && VALID_STATUSES.includes(e.status))
+    .map(e => ({
+      status: e.status,
+      date: knownDate(e.date),
+      court: sanitizeString(e.court, 200),
+      ruling: sanitizeString(e.ruling, 1000),
+      source: sanitizeSources(e.source ? [e.source] : [], 1)[0] || null,
+    }));
+  return statusHistory.length > 0 ? { statusHistory } : {};
+}
+
+/**
+ * Whether a record is still waiting for enough independent coverage
+ */
+export function isUnconfirmed(record) {
+  return record?.corroboration?.status === 'unconfirmed';
+}
+
+/**
+ * Sanitize a list of short strings (examples, reality bullets)
+ */
+function sanitizeStringList(list, max = 10, maxLength = 500) {
+  if (typeof list === 'string') list = [list];
+  if (!Array.isArray(list)) return [];
+  return list.slice(0, max).map(s => sanitizeString(s, maxLength)).filter(Boolean);
+}
+
+/**
+ * Check whether an entry was added by the update pipeline rather than curated.
+ * Raw violations stored before addedAt existed are recognised by their validator shape.
+ */
+export function isReportedEntry(entry) {
+  if (!entry || typeof entry !== 'object') return false;
+  if ('addedAt' in entry) return Boolean(entry.addedAt);
+  return 'courtRuling' in entry && 'date' in entry && Array.isArray(entry.sources);
+}
+
+/**
+ * Curated entries (keyed by id) win over their stored copies; stored entries that are
+ * neither curated nor reported (stale copies of an old baseline) are dropped
+ */
+export function mergeWithCurated(curated, stored) {
+  const curatedIds = new Set(curated.map(e => e.id));
+  const reported = (Array.isArray(stored) ? stored : [])
+    .filter(e => !curatedIds.has(e?.id) && isReportedEntry(e));
+  return [...curated, ...reported];
+}
+
+// ==================== ENTITY VALIDATORS ====================
+
+/**
+ * Validate and sanitize an ICE incident.
+ * Entity validators take { citations } to resolve headline IDs in sources (see sanitizeSources).
+ */
+export function validateIceIncident(incident, { citations } = {}) {
+  if (!incident || typeof incident !== 'object') return null;
+
+  const name = sanitizeString(incident.name, 200);
+  const { date, precision: datePrecision } = normalizeDate(incident.date);
+  const location = sanitizeString(incident.location, 200);
+
+  // Must have name AND (date OR location)
+  if (!name || (!date && !location)) return null;
+
+  // Validate citizenship
+  let citizenship = sanitizeString(incident.citizenship, 50);
+  if (!VALID_CITIZENSHIP.includes(citizenship)) {
+    citizenship = 'Unknown';
+  }
+
+  // Validate agency
+  let agency = sanitizeString(incident.agency, 50);
+  if (!VALID_AGENCIES.includes(agency)) {
+    agency = 'Unknown';
+  }
+
+  return {
+    id: sanitizeString(incident.id, 100) || `${name.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}`,
+    name,
+    age: sanitizeNumber(incident.age, 0, 150) || 0,
+    citizenship,
+    date,
+    datePrecision,
+    location,
+    agency,
+    details: sanitizeString(incident.details, 2000),
+    officialResponse: sanitizeString(incident.officialResponse, 1000),
+    witnessAccount: sanitizeString(incident.witnessAccount, 1000),
+    sources: sanitizeSources(incident.sources, 10, citations),
+    ...provenanceOf(incident),
+    ...corroborationOf(incident),
+  };
+}
+
+/**
+ * Validate and sanitize a lawsuit
+ */
+export function validateLawsuit(lawsuit, { citations } = {}) {
+  if (!lawsuit || typeof lawsuit !== 'object') return null;
+
+  const title = sanitizeString(lawsuit.title, 300);
+  if (!title) return null;
+
+  // Validate status
+  let status = sanitizeString(lawsuit.status, 50);
+  if (!VALID_STATUSES.includes(status)) {
+    status = 'Pending';
+  }
+
+  return {
+    id: sanitizeString(lawsuit.id, 100) || `lawsuit-${Date.now()}`,
+    title,
+    plaintiff: sanitizeString(lawsuit.plaintiff, 300),
+    defendant: sanitizeString(lawsuit.defendant, 300),
+    court: sanitizeString(lawsuit.court, 200),
+    ...normalizedDateFields(lawsuit.filed, 'filed'),
+    status,
+    summary: sanitizeString(lawsuit.summary, 2000),
+    ruling: sanitizeString(lawsuit.ruling, 1000),
+    amount: sanitizeString(lawsuit.amount, 50),
+    category: sanitizeString(lawsuit.category, 100),
+    sources: sanitizeSources(lawsuit.sources, 10, citations),
+    ...statusHistoryOf(lawsuit),
+    ...provenanceOf(lawsuit),
+  };
+}
+
+/**
+ * Validate and sanitize a broken promise.
+ * Accepts the legacy cron shape (reality as a string, date instead of datePromised).
+ */
+export function validatePromise(promise, { curated = false } = {}) {
+  if (!promise || typeof promise !== 'object') return null;
+
+  const promiseText = sanitizeString(promise.promise, 300);
+  const title = sanitizeString(promise.title, 200) || promiseText;
+  const status = sanitizeString(promise.status, 50).toUpperCase();
+  if (!title || !status) return null;
+
+  return {
+    id: sanitizeString(promise.id, 100) || `promise-${Date.now()}`,
+    title,
+    promise: promiseText || title,
+    quote: sanitizeString(promise.quote, 500),
+    category: sanitizeString(promise.category, 100),
+    datePromised: sanitizeString(promise.datePromised || promise.date, 100),
+    location: sanitizeString(promise.location, 200),
+    deadline: sanitizeString(promise.deadline, 100) || null,
+    status,
+    statusColor: sanitizeString(promise.statusColor, 20) || '#ff3333',
+    progress: sanitizeNumber(promise.progress, 0, 100) || 0,
+    reality: sanitizeStringList(promise.reality, 10, 1000),
+    sources: sanitizeSources(promise.sources),
+    addedAt: curated ? null : (sanitizeString(promise.addedAt, 50) || new Date().toISOString()),
+  };
+}
+
+/**
+ * Validate a single constitutional violation.
+ * Curated entries keep their free-form status label; reported ones are held to VALID_VIOLATION_STATUSES.
+ */
+export function validateConstitutionalViolation(violation, { curated = false, citations } = {}) {
+  if (!violation || typeof violation !== 'object') return null;
+
+  const title = sanitizeString(violation.title, 300);
+  if (!title) return null;
+
+  const upperStatus = typeof violation.status === 'string' ? violation.status.toUpperCase() : '';
+  const status = curated
+    ? (sanitizeString(upperStatus, 100) || 'ONGOING')
+    : (VALID_VIOLATION_STATUSES.includes(upperStatus) ? upperStatus : 'ONGOING');
+
+  const computedColor = status === 'RULED UNCONSTITUTIONAL' ? '#ef4444' :
+                        status === 'CONTEMPT' ? '#ef4444' :
+                        status === 'DEFIED' ? '#f59e0b' :
+                        status === 'IN COURTS' ? '#3b82f6' : '#6b6b7b';
+
+  return {
+    id: sanitizeString(violation.id, 100) || `const-${Date.now()}`,
+    amendment: sanitizeString(violation.amendment, 100),
+    title,
+    description: sanitizeString(violation.description, 2000),
+    examples: sanitizeStringList(violation.examples),
+    quote: sanitizeString(violation.quote, 1000),
+    quoteSource: sanitizeString(violation.quoteSource, 200),
+    courtRuling: sanitizeString(violation.courtRuling, 500),
+    status,
+    statusColor: curated ? (sanitizeString(violation.statusColor, 20) || computedColor) : computedColor,
+    ...normalizedDateFields(violation.date || violation.dateAdded),
+    sources: sanitizeSources(violation.sources, 10, citations),
+    addedAt: curated ? null : (sanitizeString(violation.addedAt, 50) || new Date().toISOString()),
+    ...provenanceOf(violation),
+  };
+}
+
+/**
+ * Validate and sanitize Epstein revelation
+ */
+export function validateEpsteinRevelation(revelation, { citations } = {}) {
+  if (!revelation || typeof revelation !== 'object') return null;
+
+  const headline = sanitizeString(revelation.headline, 300);
+  if (!headline) return null;
+
+  return {
+    id: sanitizeString(revelation.id, 100) || `epstein-${Date.now()}`,
+    headline,
+    details: sanitizeString(revelation.details, 2000),
+    involvedPerson: sanitizeString(revelation.involvedPerson, 100),
+    ...normalizedDateFields(revelation.date),
+    sources: sanitizeSources(revelation.sources, 10, citations),
+    ...provenanceOf(revelation),
+    ...corroborationOf(revelation),
+  };
+}
+
+/**
+ * Validate a single breaking news item
+ */
+export function validateBreakingNewsItem(item, { citations } = {}) {
+  if (!item || typeof item !== 'object') return null;
+  if (!item.headline || !item.category || !item.date) return null;
+
+  // Validate category
+  const category = String(item.category).toLowerCase();
+  if (!VALID_BREAKING_CATEGORIES.includes(category)) return null;
+
+  // Validate date format (YYYY-MM-DD)
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(item.date)) return null;
+
+  // Breaking news always links sources as { name, url }
+  const validSources = sanitizeSources(item.sources, 5, citations)
+    .map(s => typeof s === 'string' ? { name: s, url: '' } : s);
+
+  return {
+    id: sanitizeString(item.id || `${category}-${Date.now()}`, 100),
+    category: category,
+    date: item.date,
+    headline: sanitizeString(item.headline, 100),
+    summary: sanitizeString(item.summary, 500),
+    sources: validSources,
+    isBreaking: Boolean(item.isBreaking),
+    addedAt: sanitizeString(item.addedAt, 50) || new Date().toISOString(),
+  };
+}
+
+/**
+ * Stable key for a pollster name ("Reuters/Ipsos" -> "reuters-ipsos")
+ */
+export function pollsterSlug(pollster) {
+  return String(pollster || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Validate a single poll observation (one pollster, one topic, one field period)
+ */
+export function validatePollObservation(observation) {
+  if (!observation || typeof observation !== 'object') return null;
+
+  const pollster = sanitizeString(observation.pollster, 100);
+  const topic = sanitizeString(observation.topic, 20).toLowerCase();
+  const approve = sanitizeNumber(observation.approve, 0, 100);
+  const disapprove = sanitizeNumber(observation.disapprove, 0, 100);
+  const fieldStart = sanitizeIsoDate(observation.fieldStart);
+  const fieldEnd = sanitizeIsoDate(observation.fieldEnd) || fieldStart;
+
+  // An undated or number-less reading is useless for a time series
+  if (!pollster || !VALID_POLL_TOPICS.includes(topic) || !fieldEnd) return null;
+  if (approve === null && disapprove === null) return null;
+
+  let population = sanitizeString(observation.population, 50);
+  if (!VALID_POLL_POPULATIONS.includes(population)) {
+    population = 'Unknown';
+  }
+
+  return {
+    id: sanitizeString(observation.id, 100) || `${pollsterSlug(pollster)}-${topic}-${fieldEnd}`,
+    pollster,
+    topic,
+    approve,
+    disapprove,
+    fieldStart: fieldStart || fieldEnd,
+    fieldEnd,
+    sampleSize: sanitizeNumber(observation.sampleSize, 0, 1000000),
+    population,
+    source: sanitizeString(observation.source, 200),
+    recordedAt: sanitizeString(observation.recordedAt, 50) || new Date().toISOString(),
+  };
+}
+
+// ==================== SECTION VALIDATORS ====================
+
+function validatePollReading(reading) {
+  return {
+    approve: sanitizeNumber(reading?.approve, 0, 100),
+    disapprove: sanitizeNumber(reading?.disapprove, 0, 100),
+    source: sanitizeString(reading?.source, 200),
+    date: sanitizeString(reading?.date, 50),
+  };
+}
+
+/**
+ * Validate and sanitize poll data.
+ * observations is the dated history; overall/immigration/economy hold the latest reading per topic.
+ */
+export function validatePollData(polls) {
+  if (!polls || typeof polls !== 'object') return null;
+
+  return {
+    overall: validatePollReading(polls.overall),
+    immigration: validatePollReading(polls.immigration),
+    economy: validatePollReading(polls.economy),
+    observations: validateCollection(polls.observations, validatePollObservation).valid
+      .slice(-MAX_POLL_HISTORY),
+    netApproval: sanitizeNumber(polls.netApproval, -100, 100),
+    lastUpdated: sanitizeString(polls.lastUpdated, 50) || new Date().toISOString(),
+  };
+}
+
+/**
+ * Validate ICE stats
+ */
+export function validateIceStats(stats) {
+  if (!stats || typeof stats !== 'object') return null;
+
+  return {
+    totalShootings: sanitizeNumber(stats.totalShootings, 0, 10000),
+    shootingDeaths: sanitizeNumber(stats.shootingDeaths, 0, 10000),
+    usCitizensKilled: sanitizeNumber(stats.usCitizensKilled, 0, 10000),
+    usCitizensShot: sanitizeNumber(stats.usCitizensShot, 0, 10000),
+    detentionDeaths2025: sanitizeNumber(stats.detentionDeaths2025, 0, 10000),
+    detentionDeaths2026: sanitizeNumber(stats.detentionDeaths2026, 0, 10000),
+    note: sanitizeString(stats.note, 500),
+    source: sanitizeString(stats.source, 200),
+    sourceUrl: sanitizeString(stats.sourceUrl, 500),
+  };
+}
+
+/**
+ * Validate Epstein updates object (as extracted by the AI)
+ */
+export function validateEpsteinUpdates(updates, { citations } = {}) {
+  if (!updates || typeof updates !== 'object') return null;
+
+  const validRevelations = Array.isArray(updates.newRevelations)
+    ? updates.newRevelations.map(r => validateEpsteinRevelation(r, { citations })).filter(Boolean)
+    : [];
+
+  return {
+    newRevelations: validRevelations,
+    pagesReleased: sanitizeNumber(updates.pagesReleased, 0, 100000000),
+    pagesWithheld: sanitizeNumber(updates.pagesWithheld, 0, 100000000),
+    newFlightInfo: sanitizeString(updates.newFlightInfo, 1000),
+    dojActions: sanitizeString(updates.dojActions, 1000),
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Validate the stored Epstein files section (revelations are checked separately)
+ */
+export function validateEpsteinFiles(files) {
+  if (!files || typeof files !== 'object') return null;
+
+  return {
+    revelations: Array.isArray(files.revelations) ? files.revelations : [],
+    pagesReleased: sanitizeNumber(files.pagesReleased, 0, 100000000),
+    pagesWithheld: sanitizeNumber(files.pagesWithheld, 0, 100000000),
+    latestFlightInfo: sanitizeString(files.latestFlightInfo, 1000),
+    latestDojAction: sanitizeString(files.latestDojAction, 1000),
+    lastUpdated: sanitizeString(files.lastUpdated, 50),
+  };
+}
+
+/**
+ * Validate constitutional updates object (as extracted by the AI)
+ */
+export function validateConstitutionalUpdates(updates, { citations } = {}) {
+  if (!updates || typeof updates !== 'object') return null;
+
+  const validViolations = Array.isArray(updates.newViolations)
+    ? updates.newViolations.map(v => validateConstitutionalViolation(v, { citations })).filter(Boolean)
+    : [];
+
+  return {
+    newViolations: validViolations,
+    courtDefianceCount: sanitizeNumber(updates.courtDefianceCount, 0, 10000),
+    contemptProceedings: sanitizeString(updates.contemptProceedings, 1000),
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+// ==================== FULL PAYLOAD ====================
+
+/**
+ * Split a list into validated records and the raw entries that failed validation
+ */
+export function validateCollection(items, validator) {
+  const valid = [];
+  const invalid = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    const result = validator(item);
+    if (result) valid.push(result);
+    else invalid.push(item);
+  }
+  return { valid, invalid };
+}
+
+// Reported entries are held to the strict schema; everything else is treated as curated
+const validateStoredPromise = p => validatePromise(p, { curated: !isReportedEntry(p) });
+const validateStoredViolation = v => validateConstitutionalViolation(v, { curated: !isReportedEntry(v) });
+
+const COLLECTIONS = {
+  iceVictims: validateIceIncident,
+  lawsuits: validateLawsuit,
+  brokenPromises: validateStoredPromise,
+  constitutionalConcerns: validateStoredViolation,
+  breakingNews: validateBreakingNewsItem,
+};
+
+/**
+ * Validate a full tracker_data payload.
+ * Returns the sanitized data plus the raw records rejected per section, so the
+ * UI can show them as degraded instead of crashing. Missing sections stay missing.
+ */
+export function validateTrackerData(raw) {
+  const data = { ...(raw && typeof raw === 'object' ? raw : {}) };
+  const rejected = {};
+
+  for (const [key, validator] of Object.entries(COLLECTIONS)) {
+    if (data[key] === undefined) continue;
+    const { valid, invalid } = validateCollection(data[key], validator);
+    data[key] = valid;
+    if (invalid.length > 0) rejected[key] = invalid;
+  }
+
+  if (data.epsteinFiles !== undefined) {
+    const files = validateEpsteinFiles(data.epsteinFiles);
+    if (files) {
+      const { valid, invalid } = validateCollection(files.revelations, validateEpsteinRevelation);
+      data.epsteinFiles = { ...files, revelations: valid };
+      if (invalid.length > 0) rejected.epsteinRevelations = invalid;
+    } else {
+      rejected.epsteinFiles = [data.epsteinFiles];
+      delete data.epsteinFiles;
+    }
+  }
+
+  if (data.polls && typeof data.polls === 'object') {
+    const { invalid } = validateCollection(data.polls.observations, validatePollObservation);
+    if (invalid.length > 0) rejected.pollObservations = invalid;
+  }
+
+  for (const [key, validator] of [['polls', validatePollData], ['iceStats', validateIceStats]]) {
+    if (data[key] === undefined) continue;
+    const result = validator(data[key]);
+    if (result) {
+      data[key] = result;
+    } else {
+      rejected[key] = [data[key]];
+      delete data[key];
+    }
+  }
+
+  return { data, rejected };
+}
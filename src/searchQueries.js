@@ -0,0 +1,110 @@
+/**
+ * Trump Accountability Tracker - Search Queries
+ *
+ * The Google News searches the cron runs, grouped by the extraction pass
+ * their headlines feed. The live set is stored in Supabase (search_queries,
+ * edited on the admin screen); DEFAULT_SEARCH_QUERIES is the seed and the
+ * fallback while that table is empty or cannot be read.
+ *
+ * Queries are templates: {year} and {month} are filled in at run time, so
+ * "Trump approval rating poll {month} {year}" keeps following the calendar.
+ *
+ * Plain JS only (no JSX) so the serverless function can import it as-is.
+ */
+
+// Section id -> label. Ids match EXTRACTION_PASSES in api/_lib/passes.js.
+export const SEARCH_SECTIONS = {
+  ice: 'ICE / immigration enforcement',
+  lawsuits: 'Lawsuits',
+  polls: 'Polls',
+  epstein: 'Epstein files',
+  constitutional: 'Constitutional violations',
+};
+
+export const DEFAULT_MAX_ITEMS = 5;
+export const MAX_ITEMS_LIMIT = 20;
+export const MAX_QUERY_LENGTH = 200;
+
+export const DEFAULT_SEARCH_QUERIES = [
+  { section: 'ice', query: 'ICE shooting victim {year}' },
+  { section: 'ice', query: 'Border Patrol shooting {year}' },
+  { section: 'ice', query: 'ICE agent kills' },
+
+  { section: 'lawsuits', query: 'Trump lawsuit federal court {year}' },
+  { section: 'lawsuits', query: 'Trump administration sued {year}' },
+  { section: 'lawsuits', query: 'lawsuit against Trump' },
+  { section: 'lawsuits', query: 'Trump sues' },
+
+  { section: 'polls', query: 'Trump approval rating poll {month} {year}' },
+  { section: 'polls', query: 'Trump poll numbers' },
+
+  { section: 'epstein', query: 'Epstein files Trump' },
+  { section: 'epstein', query: 'Epstein files released {year}' },
+  { section: 'epstein', query: 'Epstein documents DOJ' },
+  { section: 'epstein', query: 'Trump Epstein flight logs' },
+  { section: 'epstein', query: 'Epstein files Elon Musk' },
+  { section: 'epstein', query: 'Epstein files Steve Bannon' },
+  { section: 'epstein', query: 'Epstein Maxwell Trump' },
+  { section: 'epstein', query: 'Todd Blanche Epstein' },
+
+  { section: 'constitutional', query: 'Trump defies court order {year}' },
+  { section: 'constitutional', query: 'Trump administration contempt court' },
+  { section: 'constitutional', query: 'Trump unconstitutional ruling' },
+  { section: 'constitutional', query: 'Trump executive order blocked' },
+  { section: 'constitutional', query: 'federal judge rules Trump unconstitutional' },
+  { section: 'constitutional', query: 'DOGE illegal firings ruling' },
+  { section: 'constitutional', query: 'Trump emoluments violation' },
+];
+
+// ==================== PLACEHOLDERS ====================
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Placeholder -> its value on a given date (UTC, like every other date the cron writes)
+export const QUERY_PLACEHOLDERS = {
+  year: date => String(date.getUTCFullYear()),
+  month: date => MONTHS[date.getUTCMonth()],
+};
+
+/**
+ * Fill in {year} / {month}. Unknown placeholders are left as typed.
+ */
+export function expandQuery(template, date = new Date()) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+    QUERY_PLACEHOLDERS[name] ? QUERY_PLACEHOLDERS[name](date) : match
+  );
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check an edited query and return the columns to store.
+ * Throws with a message meant for the admin when something is off.
+ */
+export function validateSearchQuery({ section, query, enabled = true, max_items = DEFAULT_MAX_ITEMS } = {}) {
+  if (!SEARCH_SECTIONS[section]) {
+    throw new Error(`Unknown section "${section}"`);
+  }
+
+  const text = typeof query === 'string' ? query.replace(/\s+/g, ' ').trim() : '';
+  if (!text) {
+    throw new Error('Query must not be empty');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  const unknown = [...text.matchAll(/\{(\w*)\}/g)].map(m => m[1]).filter(name => !QUERY_PLACEHOLDERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder(s): ${unknown.map(name => `{${name}}`).join(', ')} - use ${Object.keys(QUERY_PLACEHOLDERS).map(name => `{${name}}`).join(' or ')}`);
+  }
+
+  const maxItems = Number(max_items);
+  if (!Number.isInteger(maxItems) || maxItems < 1 || maxItems > MAX_ITEMS_LIMIT) {
+    throw new Error(`Item limit must be a whole number from 1 to ${MAX_ITEMS_LIMIT}`);
+  }
+
+  return { section, query: text, enabled: enabled !== false, max_items: maxItems };
+}
@@ -0,0 +1,166 @@
+/**
+ * Trump Accountability Tracker - Source Registry
+ *
+ * Every outlet the tracker cites or ingests, with its canonical name,
+ * aliases, homepage, domain, outlet type and reliability tier. Shared by the
+ * cron (which down-ranks or drops headlines from unknown domains) and the
+ * React app (which normalizes source names and shows the outlet type).
+ *
+ * Tiers:
+ * 1 - primary records, wire services and established pollsters
+ * 2 - established newsrooms and watchdogs
+ * 3 - opinion-heavy, advocacy or reference sources; cite alongside a tier 1/2 source
+ *
+ * Plain JS only (no JSX) so the serverless function can import it as-is.
+ */
+
+export const OUTLET_TYPES = [
+  'wire', 'newspaper', 'broadcast', 'magazine', 'digital',
+  'government', 'court', 'watchdog', 'pollster', 'research', 'reference',
+];
+
+export const RELIABILITY_TIERS = {
+  1: 'Primary / wire',
+  2: 'Established outlet',
+  3: 'Needs corroboration',
+};
+
+// ==================== REGISTRY ====================
+
+export const SOURCE_REGISTRY = [
+  // Wire services
+  { name: 'Associated Press', aliases: ['AP', 'AP News'], homepage: 'https://apnews.com', domain: 'apnews.com', type: 'wire', tier: 1 },
+  { name: 'Reuters', aliases: [], homepage: 'https://www.reuters.com', domain: 'reuters.com', type: 'wire', tier: 1 },
+  { name: 'Bloomberg', aliases: ['Bloomberg News'], homepage: 'https://www.bloomberg.com', domain: 'bloomberg.com', type: 'wire', tier: 1 },
+
+  // Newspapers
+  { name: 'New York Times', aliases: ['NYT', 'The New York Times'], homepage: 'https://www.nytimes.com', domain: 'nytimes.com', type: 'newspaper', tier: 2 },
+  { name: 'Washington Post', aliases: ['The Washington Post', 'WaPo'], homepage: 'https://www.washingtonpost.com', domain: 'washingtonpost.com', type: 'newspaper', tier: 2 },
+  { name: 'Wall Street Journal', aliases: ['WSJ', 'The Wall Street Journal'], homepage: 'https://www.wsj.com', domain: 'wsj.com', type: 'newspaper', tier: 2 },
+  { name: 'Financial Times', aliases: ['FT'], homepage: 'https://www.ft.com', domain: 'ft.com', type: 'newspaper', tier: 2 },
+  { name: 'Los Angeles Times', aliases: ['LA Times'], homepage: 'https://www.latimes.com', domain: 'latimes.com', type: 'newspaper', tier: 2 },
+  { name: 'USA Today', aliases: [], homepage: 'https://www.usatoday.com', domain: 'usatoday.com', type: 'newspaper', tier: 2 },
+  { name: 'The Guardian', aliases: ['Guardian'], homepage: 'https://www.theguardian.com', domain: 'theguardian.com', type: 'newspaper', tier: 2 },
+  { name: 'Star Tribune', aliases: ['Minneapolis Star Tribune'], homepage: 'https://www.startribune.com', domain: 'startribune.com', type: 'newspaper', tier: 2 },
+
+  // Broadcast
+  { name: 'NPR', aliases: ['National Public Radio'], homepage: 'https://www.npr.org', domain: 'npr.org', type: 'broadcast', tier: 2 },
+  { name: 'PBS', aliases: ['PBS News', 'PBS NewsHour'], homepage: 'https://www.pbs.org', domain: 'pbs.org', type: 'broadcast', tier: 2 },
+  { name: 'CNN', aliases: [], homepage: 'https://www.cnn.com', domain: 'cnn.com', type: 'broadcast', tier: 2 },
+  { name: 'CBS News', aliases: ['CBS'], homepage: 'https://www.cbsnews.com', domain: 'cbsnews.com', type: 'broadcast', tier: 2 },
+  { name: 'NBC News', aliases: ['NBC'], homepage: 'https://www.nbcnews.com', domain: 'nbcnews.com', type: 'broadcast', tier: 2 },
+  { name: 'ABC News', aliases: ['ABC'], homepage: 'https://abcnews.go.com', domain: 'abcnews.go.com', type: 'broadcast', tier: 2 },
+  { name: 'Fox News', aliases: ['Fox'], homepage: 'https://www.foxnews.com', domain: 'foxnews.com', type: 'broadcast', tier: 2 },
+  { name: 'CNBC', aliases: [], homepage: 'https://www.cnbc.com', domain: 'cnbc.com', type: 'broadcast', tier: 2 },
+  { name: 'BBC', aliases: ['BBC News'], homepage: 'https://www.bbc.com', domain: 'bbc.com', type: 'broadcast', tier: 2 },
+  { name: 'Al Jazeera', aliases: [], homepage: 'https://www.aljazeera.com', domain: 'aljazeera.com', type: 'broadcast', tier: 2 },
+  { name: 'CBC', aliases: ['CBC News'], homepage: 'https://www.cbc.ca', domain: 'cbc.ca', type: 'broadcast', tier: 2 },
+
+  // Digital and magazines
+  { name: 'Axios', aliases: [], homepage: 'https://www.axios.com', domain: 'axios.com', type: 'digital', tier: 2 },
+  { name: 'Politico', aliases: [], homepage: 'https://www.politico.com', domain: 'politico.com', type: 'digital', tier: 2 },
+  { name: 'The Hill', aliases: ['Hill'], homepage: 'https://thehill.com', domain: 'thehill.com', type: 'digital', tier: 2 },
+  { name: 'Government Executive', aliases: ['GovExec'], homepage: 'https://www.govexec.com', domain: 'govexec.com', type: 'digital', tier: 2 },
+  { name: 'SCOTUSblog', aliases: [], homepage: 'https://www.scotusblog.com', domain: 'scotusblog.com', type: 'digital', tier: 2 },
+  { name: 'HuffPost', aliases: ['Huffington Post'], homepage: 'https://www.huffpost.com', domain: 'huffpost.com', type: 'digital', tier: 3 },
+  { name: 'Daily Beast', aliases: ['The Daily Beast'], homepage: 'https://www.thedailybeast.com', domain: 'thedailybeast.com', type: 'digital', tier: 3 },
+  { name: 'Forbes', aliases: [], homepage: 'https://www.forbes.com', domain: 'forbes.com', type: 'magazine', tier: 2 },
+  { name: 'Fortune', aliases: [], homepage: 'https://fortune.com', domain: 'fortune.com', type: 'magazine', tier: 2 },
+  { name: 'MarketWatch', aliases: [], homepage: 'https://www.marketwatch.com', domain: 'marketwatch.com', type: 'magazine', tier: 2 },
+  { name: 'Time', aliases: ['Time Magazine', 'TIME'], homepage: 'https://time.com', domain: 'time.com', type: 'magazine', tier: 2 },
+  { name: 'Newsweek', aliases: [], homepage: 'https://www.newsweek.com', domain: 'newsweek.com', type: 'magazine', tier: 3 },
+
+  // Government
+  { name: 'U.S. Treasury', aliases: ['Treasury Dept', 'Treasury', 'Treasury Department'], homepage: 'https://fiscaldata.treasury.gov', domain: 'treasury.gov', type: 'government', tier: 1 },
+  { name: 'BLS', aliases: ['Bureau of Labor Statistics'], homepage: 'https://www.bls.gov', domain: 'bls.gov', type: 'government', tier: 1 },
+  { name: 'EIA', aliases: ['Energy Information Administration'], homepage: 'https://www.eia.gov', domain: 'eia.gov', type: 'government', tier: 1 },
+  { name: 'Federal Reserve', aliases: ['The Fed'], homepage: 'https://www.federalreserve.gov', domain: 'federalreserve.gov', type: 'government', tier: 1 },
+  { name: 'GAO', aliases: ['Government Accountability Office'], homepage: 'https://www.gao.gov', domain: 'gao.gov', type: 'government', tier: 1 },
+  { name: 'DOJ', aliases: ['DOJ Records', 'Justice Department', 'Department of Justice'], homepage: 'https://www.justice.gov', domain: 'justice.gov', type: 'government', tier: 1 },
+  { name: 'DHS', aliases: ['Department of Homeland Security'], homepage: 'https://www.dhs.gov', domain: 'dhs.gov', type: 'government', tier: 1 },
+  { name: 'House Oversight', aliases: ['House Oversight Committee'], homepage: 'https://oversight.house.gov', domain: 'oversight.house.gov', type: 'government', tier: 1 },
+  { name: 'Senate Banking Committee', aliases: [], homepage: 'https://www.banking.senate.gov', domain: 'banking.senate.gov', type: 'government', tier: 1 },
+
+  // Courts
+  { name: 'Supreme Court', aliases: ['U.S. Supreme Court', 'SCOTUS'], homepage: 'https://www.supremecourt.gov', domain: 'supremecourt.gov', type: 'court', tier: 1 },
+  { name: 'Federal Court Records', aliases: ['Court Records', 'U.S. Courts', 'PACER'], homepage: 'https://www.uscourts.gov', domain: 'uscourts.gov', type: 'court', tier: 1 },
+  { name: 'CourtListener', aliases: [], homepage: 'https://www.courtlistener.com', domain: 'courtlistener.com', type: 'court', tier: 1 },
+
+  // Watchdogs and advocacy
+  { name: 'ACLU', aliases: ['American Civil Liberties Union'], homepage: 'https://www.aclu.org', domain: 'aclu.org', type: 'watchdog', tier: 2 },
+  { name: 'CREW', aliases: ['Citizens for Ethics', 'Citizens for Responsibility and Ethics in Washington'], homepage: 'https://www.citizensforethics.org', domain: 'citizensforethics.org', type: 'watchdog', tier: 2 },
+  { name: 'Just Security', aliases: [], homepage: 'https://www.justsecurity.org', domain: 'justsecurity.org', type: 'watchdog', tier: 2 },
+  { name: 'Brennan Center', aliases: ['Brennan Center for Justice'], homepage: 'https://www.brennancenter.org', domain: 'brennancenter.org', type: 'watchdog', tier: 2 },
+  { name: 'Vera Institute', aliases: ['Vera Institute of Justice'], homepage: 'https://www.vera.org', domain: 'vera.org', type: 'watchdog', tier: 2 },
+  { name: 'American Oversight', aliases: [], homepage: 'https://www.americanoversight.org', domain: 'americanoversight.org', type: 'watchdog', tier: 2 },
+  { name: 'Committee to Protect Journalists', aliases: ['CPJ'], homepage: 'https://cpj.org', domain: 'cpj.org', type: 'watchdog', tier: 2 },
+  { name: 'PEN America', aliases: [], homepage: 'https://pen.org', domain: 'pen.org', type: 'watchdog', tier: 2 },
+  { name: 'PolitiFact', aliases: [], homepage: 'https://www.politifact.com', domain: 'politifact.com', type: 'watchdog', tier: 2 },
+  { name: 'Center for American Progress', aliases: ['CAP'], homepage: 'https://www.americanprogress.org', domain: 'americanprogress.org', type: 'watchdog', tier: 3 },
+  { name: 'EDF', aliases: ['Environmental Defense Fund'], homepage: 'https://www.edf.org', domain: 'edf.org', type: 'watchdog', tier: 3 },
+
+  // Pollsters
+  { name: 'Gallup', aliases: [], homepage: 'https://news.gallup.com', domain: 'gallup.com', type: 'pollster', tier: 1 },
+  { name: 'Pew Research Center', aliases: ['Pew'], homepage: 'https://www.pewresearch.org', domain: 'pewresearch.org', type: 'pollster', tier: 1 },
+  { name: 'Marist', aliases: ['Marist Poll', 'NPR/PBS News/Marist'], homepage: 'https://maristpoll.marist.edu', domain: 'marist.edu', type: 'pollster', tier: 1 },
+  { name: 'Quinnipiac', aliases: ['Quinnipiac University Poll'], homepage: 'https://poll.qu.edu', domain: 'qu.edu', type: 'pollster', tier: 1 },
+  { name: 'Ipsos', aliases: ['Reuters/Ipsos'], homepage: 'https://www.ipsos.com', domain: 'ipsos.com', type: 'pollster', tier: 1 },
+  { name: 'YouGov', aliases: ['Economist/YouGov'], homepage: 'https://today.yougov.com', domain: 'yougov.com', type: 'pollster', tier: 1 },
+  { name: 'Civiqs', aliases: [], homepage: 'https://civiqs.com', domain: 'civiqs.com', type: 'pollster', tier: 2 },
+
+  // Research and reference
+  { name: 'Goldman Sachs', aliases: [], homepage: 'https://www.goldmansachs.com', domain: 'goldmansachs.com', type: 'research', tier: 2 },
+  { name: 'Deloitte', aliases: [], homepage: 'https://www.deloitte.com', domain: 'deloitte.com', type: 'research', tier: 2 },
+  { name: 'NAM', aliases: ['National Association of Manufacturers'], homepage: 'https://www.nam.org', domain: 'nam.org', type: 'research', tier: 3 },
+  { name: 'Rutgers Law', aliases: [], homepage: 'https://law.rutgers.edu', domain: 'law.rutgers.edu', type: 'research', tier: 2 },
+  { name: 'Ballotpedia', aliases: [], homepage: 'https://ballotpedia.org', domain: 'ballotpedia.org', type: 'reference', tier: 2 },
+  { name: 'Wikipedia', aliases: [], homepage: 'https://en.wikipedia.org', domain: 'wikipedia.org', type: 'reference', tier: 3 },
+];
+
+// ==================== LOOKUP ====================
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9/]+/g, ' ').trim();
+}
+
+const BY_NAME = new Map();
+const BY_DOMAIN = new Map();
+for (const entry of SOURCE_REGISTRY) {
+  for (const name of [entry.name, ...entry.aliases]) BY_NAME.set(normalizeName(name), entry);
+  BY_DOMAIN.set(entry.domain, entry);
+}
+
+/**
+ * Hostname of a URL or bare domain, without "www." ('' when it cannot be parsed)
+ */
+export function domainOf(urlOrDomain) {
+  const value = String(urlOrDomain || '').trim();
+  if (!value) return '';
+  try {
+    return new URL(value.includes('://') ? value : `https://${value}`).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Registry entry for a domain or URL, matching subdomains (fiscaldata.treasury.gov -> treasury.gov)
+ */
+export function lookupSourceByDomain(urlOrDomain) {
+  const parts = domainOf(urlOrDomain).split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const entry = BY_DOMAIN.get(parts.slice(i).join('.'));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Registry entry for a cited source: a bare outlet name or { name, url }.
+ * Names win over URLs, which are often news.google.com redirects.
+ */
+export function lookupSource(source) {
+  if (!source) return null;
+  if (typeof source === 'string') return BY_NAME.get(normalizeName(source)) || null;
+  return BY_NAME.get(normalizeName(source.name)) || lookupSourceByDomain(source.url);
+}
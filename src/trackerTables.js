@@ -0,0 +1,158 @@
+/**
+ * Trump Accountability Tracker - Table Layout
+ *
+ * Where each part of the tracker lives in Supabase (see
+ * supabase/migrations/20261019060000_entity_tables.sql). Every list has its
+ * own table with one row per record; everything else (debt, wealth, golf,
+ * ICE stats, the polls and Epstein summaries, lastUpdated...) is a row in
+ * tracker_stats keyed by its field name.
+ *
+ * The cron, the review queue and the app still work on the familiar
+ * tracker_data shape - splitTrackerData turns it into rows for writing and
+ * assembleTrackerData turns rows read back into it.
+ *
+ * Plain JS only (no JSX) so the serverless function can import it as-is.
+ */
+
+// List sections, named as in countSections / diffTrackerData.
+// parent/field: lists nested inside a summary object.
+export const TRACKER_TABLES = {
+  iceVictims: { table: 'ice_incidents' },
+  lawsuits: { table: 'lawsuits' },
+  brokenPromises: { table: 'broken_promises' },
+  constitutionalConcerns: { table: 'constitutional_violations' },
+  breakingNews: { table: 'breaking_news' },
+  epsteinRevelations: { table: 'epstein_revelations', parent: 'epsteinFiles', field: 'revelations' },
+  pollObservations: { table: 'poll_observations', parent: 'polls', field: 'observations' },
+};
+
+export const STATS_TABLE = 'tracker_stats';
+
+// ==================== SPLIT ====================
+
+function listOf(data, config, section) {
+  const list = config.parent ? data?.[config.parent]?.[config.field] : data?.[section];
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Positions that keep `rows` in order while moving as few stored rows as possible.
+ * The longest run of rows still in their stored order keeps its positions; the
+ * rest are placed between their neighbours, so adding a record in front of the
+ * list or dropping the oldest leaves every other row as it was. Falls back to
+ * 0..n-1 when the gap between two neighbours has run out of precision.
+ */
+function stablePositions(rows, storedRows = []) {
+  const storedAt = new Map(storedRows.map(row => [row.id, Number(row.position)]));
+  const previous = rows.map(row => storedAt.get(row.id));
+
+  // Longest strictly increasing subsequence of the stored positions
+  const length = previous.map(() => 0);
+  const before = previous.map(() => -1);
+  let end = -1;
+  previous.forEach((position, i) => {
+    if (!Number.isFinite(position)) return;
+    length[i] = 1;
+    for (let j = 0; j < i; j++) {
+      if (length[j] > 0 && previous[j] < position && length[j] + 1 > length[i]) {
+        length[i] = length[j] + 1;
+        before[i] = j;
+      }
+    }
+    if (end < 0 || length[i] > length[end]) end = i;
+  });
+
+  const positions = rows.map(() => undefined);
+  for (let i = end; i >= 0; i = before[i]) positions[i] = previous[i];
+
+  for (let start = 0; start < rows.length;) {
+    if (positions[start] !== undefined) { start++; continue; }
+    let stop = start;
+    while (stop < rows.length && positions[stop] === undefined) stop++;
+    const low = positions[start - 1];
+    const high = positions[stop];
+    const count = stop - start;
+    for (let k = 0; k < count; k++) {
+      if (low === undefined && high === undefined) positions[start + k] = k;
+      else if (low === undefined) positions[start + k] = high - count + k;
+      else if (high === undefined) positions[start + k] = low + 1 + k;
+      else positions[start + k] = low + ((high - low) * (k + 1)) / (count + 1);
+    }
+    start = stop;
+  }
+
+  const ordered = positions.every((position, i) => i === 0 || position > positions[i - 1]);
+  return ordered ? positions : rows.map((_, i) => i);
+}
+
+/**
+ * Rows for every table: { tables: { [table]: [{ id, position, record }] }, stats: [{ key, value }] }.
+ * position keeps list order. Given the rows already stored ({ tables } as read
+ * back), records keep their stored position wherever the order allows, so only
+ * records that were added, moved or changed come out different.
+ * Records without an id, or repeating one already used in the same list, get a
+ * positional id so each row has its own key.
+ */
+export function splitTrackerData(data, stored = {}) {
+  const tables = {};
+  const listed = new Set();
+  const nested = new Set();
+
+  for (const [section, config] of Object.entries(TRACKER_TABLES)) {
+    const seen = new Set();
+    const rows = listOf(data, config, section).map((record, index) => {
+      let id = typeof record?.id === 'string' && record.id ? record.id : `${section}-${index}`;
+      if (seen.has(id)) id = `${id}-${index}`;
+      seen.add(id);
+      return { id, record: record?.id === id ? record : { ...record, id } };
+    });
+    const positions = stablePositions(rows, stored.tables?.[config.table]);
+    tables[config.table] = rows.map((row, i) => ({ id: row.id, position: positions[i], record: row.record }));
+    if (config.parent) nested.add(config.parent);
+    else listed.add(section);
+  }
+
+  const stats = Object.entries(data || {})
+    .filter(([key, value]) => !listed.has(key) && value !== undefined)
+    .map(([key, value]) => {
+      if (!nested.has(key) || !value || typeof value !== 'object') return { key, value };
+      // Summary objects are stored without the list that has its own table
+      const summary = { ...value };
+      for (const config of Object.values(TRACKER_TABLES)) {
+        if (config.parent === key) delete summary[config.field];
+      }
+      return { key, value: summary };
+    });
+
+  return { tables, stats };
+}
+
+// ==================== ASSEMBLE ====================
+
+/**
+ * Rebuild the tracker_data shape from rows read back.
+ * tables: { [table]: [{ position, record }] } (any order); stats: [{ key, value }].
+ * Returns {} when nothing is stored yet, so callers keep their baseline.
+ */
+export function assembleTrackerData({ tables = {}, stats = [] } = {}) {
+  const hasRows = Object.values(tables).some(rows => Array.isArray(rows) && rows.length > 0);
+  if (stats.length === 0 && !hasRows) return {};
+
+  const data = {};
+  for (const { key, value } of stats) data[key] = value;
+
+  for (const [section, config] of Object.entries(TRACKER_TABLES)) {
+    const list = [...(tables[config.table] || [])]
+      .sort((a, b) => a.position - b.position)
+      .map(row => row.record);
+    if (!config.parent) {
+      data[section] = list;
+    } else if (data[config.parent] && typeof data[config.parent] === 'object') {
+      data[config.parent] = { ...data[config.parent], [config.field]: list };
+    } else if (list.length > 0) {
+      data[config.parent] = { [config.field]: list };
+    }
+  }
+
+  return data;
+}
@@ -0,0 +1,24 @@
+-- Review queue for AI-proposed changes (api/_lib/review.js, api/review.js).
+-- Written and read with the service key only; no public access.
+
+create table if not exists pending_changes (
+  id uuid primary key default gen_random_uuid(),
+  section text not null,              -- iceVictims, lawsuits, epsteinRevelations, epsteinSummary, constitutionalConcerns, breakingNews
+  change_type text not null check (change_type in ('add', 'update')),
+  entity_id text,
+  proposed jsonb not null,
+  previous jsonb,
+  headlines jsonb not null default '[]'::jsonb,  -- [{ title, pubDate }] that likely triggered the proposal
+  fingerprint text not null,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  created_at timestamptz not null default now(),
+  edited_by text,
+  edited_at timestamptz,
+  reviewed_by text,
+  reviewed_at timestamptz
+);
+
+create index if not exists pending_changes_status_idx on pending_changes (status, created_at);
+create index if not exists pending_changes_fingerprint_idx on pending_changes (fingerprint);
+
+alter table pending_changes enable row level security;
@@ -0,0 +1,22 @@
+-- Full copy of tracker_data.data for every write (api/_lib/supabase.js updateSupabase),
+-- restorable through /api/rollback?snapshot=<id>. Service key only; no public access.
+
+create table if not exists tracker_snapshots (
+  id bigint generated always as identity primary key,
+  run_id text,                        -- cron run uuid, review-<change id> or rollback-<snapshot id>
+  source text not null default 'cron' check (source in ('cron', 'review', 'rollback')),
+  created_by text,                    -- admin email for review/rollback writes
+  counts jsonb not null default '{}'::jsonb,  -- items per section, for the admin listing
+  data jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists tracker_snapshots_created_at_idx on tracker_snapshots (created_at desc);
+create index if not exists tracker_snapshots_run_id_idx on tracker_snapshots (run_id);
+
+alter table tracker_snapshots enable row level security;
+
+-- Runs can now be matched to their snapshot
+alter table update_logs add column if not exists run_id text;
+-- Written by the review queue since it was added
+alter table update_logs add column if not exists staged_changes integer;
@@ -0,0 +1,6 @@
+-- Rejected /api/update triggers are logged but must not count as runs
+-- for the minimum interval check (api/_lib/supabase.js getLastRunTime).
+
+alter table update_logs add column if not exists auth_failure boolean not null default false;
+
+create index if not exists update_logs_runs_idx on update_logs (auth_failure, timestamp desc);
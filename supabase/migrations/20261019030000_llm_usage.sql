@@ -0,0 +1,6 @@
+-- Which LLM provider/model handled each run and how many tokens it used (api/_lib/llm.js)
+
+alter table update_logs add column if not exists llm_provider text;
+alter table update_logs add column if not exists llm_model text;
+alter table update_logs add column if not exists prompt_tokens integer;
+alter table update_logs add column if not exists completion_tokens integer;
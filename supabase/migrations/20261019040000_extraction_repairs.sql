@@ -0,0 +1,5 @@
+-- Structured-output repairs and salvage per run (api/_lib/extraction.js)
+-- dropped_sections: { section: number of items dropped | 'section' }
+
+alter table update_logs add column if not exists repair_attempts integer default 0;
+alter table update_logs add column if not exists dropped_sections jsonb;
@@ -0,0 +1,24 @@
+-- Records that aged out of the public tracker_data blob (api/_lib/retention.js).
+-- The blob keeps a recent window per list; everything older lives here, one row
+-- per record, and the app pages through it with "Load older".
+-- Written with the service key; readable by everyone, like the blob itself.
+
+create table if not exists tracker_archive (
+  id bigint generated always as identity primary key,
+  section text not null check (section in ('iceVictims', 'lawsuits', 'epsteinRevelations', 'constitutionalConcerns', 'breakingNews')),
+  entity_id text not null,
+  record jsonb not null,
+  record_date text,                   -- normalized ISO date at any precision, for ordering
+  run_id text,                        -- run (or review-<change id>) that archived it
+  archived_at timestamptz not null default now(),
+  unique (section, entity_id)
+);
+
+create index if not exists tracker_archive_section_date_idx on tracker_archive (section, record_date desc nulls last);
+
+alter table tracker_archive enable row level security;
+
+create policy "Archived records are public" on tracker_archive
+  for select using (true);
+
+alter table update_logs add column if not exists archived_records integer not null default 0;
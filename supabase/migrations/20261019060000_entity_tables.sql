@@ -0,0 +1,123 @@
+-- One table per tracker list instead of the single tracker_data blob (src/trackerTables.js).
+-- Each row holds one validated record; the columns people filter on are generated from
+-- it so there is a single copy of every field. position keeps the list order the
+-- pipeline chose. Everything that is not a list lives in tracker_stats by field name.
+--
+-- Written with the service key (api/_lib/supabase.js updateSupabase upserts per row);
+-- readable by everyone, like the blob was. Existing data is copied over once with
+-- scripts/split-tracker-blob.mjs; tracker_data is left in place until that has run.
+
+create table if not exists ice_incidents (
+  id text primary key,
+  position integer not null,
+  record jsonb not null,
+  name text generated always as (record->>'name') stored,
+  date text generated always as (record->>'date') stored,
+  location text generated always as (record->>'location') stored,
+  citizenship text generated always as (record->>'citizenship') stored,
+  agency text generated always as (record->>'agency') stored,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists lawsuits (
+  id text primary key,
+  position integer not null,
+  record jsonb not null,
+  title text generated always as (record->>'title') stored,
+  status text generated always as (record->>'status') stored,
+  category text generated always as (record->>'category') stored,
+  court text generated always as (record->>'court') stored,
+  filed text generated always as (record->>'filed') stored,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists broken_promises (
+  id text primary key,
+  position integer not null,
+  record jsonb not null,
+  promise text generated always as (record->>'promise') stored,
+  category text generated always as (record->>'category') stored,
+  status text generated always as (record->>'status') stored,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists constitutional_violations (
+  id text primary key,
+  position integer not null,
+  record jsonb not null,
+  title text generated always as (record->>'title') stored,
+  amendment text generated always as (record->>'amendment') stored,
+  status text generated always as (record->>'status') stored,
+  date text generated always as (record->>'date') stored,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists breaking_news (
+  id text primary key,
+  position integer not null,
+  record jsonb not null,
+  headline text generated always as (record->>'headline') stored,
+  category text generated always as (record->>'category') stored,
+  date text generated always as (record->>'date') stored,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists epstein_revelations (
+  id text primary key,
+  position integer not null,
+  record jsonb not null,
+  headline text generated always as (record->>'headline') stored,
+  involved_person text generated always as (record->>'involvedPerson') stored,
+  date text generated always as (record->>'date') stored,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists poll_observations (
+  id text primary key,
+  position integer not null,
+  record jsonb not null,
+  pollster text generated always as (record->>'pollster') stored,
+  topic text generated always as (record->>'topic') stored,
+  field_end text generated always as (record->>'fieldEnd') stored,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+-- debt, wealth, golf, selfDealing, iceStats, polls and epsteinFiles summaries, lastUpdated...
+create table if not exists tracker_stats (
+  key text primary key,
+  value jsonb,
+  run_id text,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists lawsuits_status_idx on lawsuits (status);
+create index if not exists lawsuits_category_idx on lawsuits (category);
+create index if not exists breaking_news_category_date_idx on breaking_news (category, date desc);
+create index if not exists poll_observations_topic_idx on poll_observations (topic, field_end desc);
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'ice_incidents', 'lawsuits', 'broken_promises', 'constitutional_violations',
+    'breaking_news', 'epstein_revelations', 'poll_observations', 'tracker_stats'
+  ] loop
+    execute format('alter table %I enable row level security', t);
+    execute format('create policy "Tracker data is public" on %I for select using (true)', t);
+    -- The app subscribes per table instead of to the whole blob
+    execute format('alter publication supabase_realtime add table %I', t);
+  end loop;
+end $$;
+
+-- The one-off split writes through updateSupabase, which snapshots first
+alter table tracker_snapshots drop constraint if exists tracker_snapshots_source_check;
+alter table tracker_snapshots add constraint tracker_snapshots_source_check
+  check (source in ('cron', 'review', 'rollback', 'migration'));
@@ -0,0 +1,18 @@
+-- Optimistic concurrency for tracker writes (api/_lib/supabase.js updateSupabase).
+-- One row whose updated_at every write moves forward. A run reads it before the
+-- data, and its save only goes through if the value is still the one it read;
+-- otherwise it re-reads, re-applies its changes and tries again.
+-- Service key only; no public access.
+
+create table if not exists tracker_revision (
+  id text primary key default 'main' check (id = 'main'),
+  updated_at timestamptz not null default now(),
+  run_id text                         -- run (or review-/rollback- id) that wrote last
+);
+
+insert into tracker_revision (id) values ('main') on conflict (id) do nothing;
+
+alter table tracker_revision enable row level security;
+
+-- Saves that lost the race to another writer and were retried
+alter table update_logs add column if not exists write_conflicts integer not null default 0;
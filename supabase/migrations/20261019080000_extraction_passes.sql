@@ -0,0 +1,5 @@
+-- Per-pass extraction results (api/_lib/passes.js runExtractionPasses).
+-- { [pass id]: { headlines, ok, repairs, dropped?, error? } } - which sections the
+-- LLM covered in a run, and which failed and were left as stored.
+
+alter table update_logs add column if not exists extraction_passes jsonb;
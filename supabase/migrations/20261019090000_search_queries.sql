@@ -0,0 +1,51 @@
+-- Google News searches the cron runs (src/searchQueries.js, edited at /#admin).
+-- {year} and {month} in a query are filled in at run time. Disabled queries are
+-- kept for reference but not run; max_items caps the headlines taken per search.
+-- Service key only; no public access.
+
+create table if not exists search_queries (
+  id bigint generated always as identity primary key,
+  section text not null check (section in ('ice', 'lawsuits', 'polls', 'epstein', 'constitutional')),
+  query text not null check (length(query) between 1 and 200),
+  enabled boolean not null default true,
+  max_items integer not null default 5 check (max_items between 1 and 20),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  updated_by text,
+  unique (section, query)
+);
+
+alter table search_queries enable row level security;
+
+-- Seed with the queries that used to be hardcoded in api/update.js
+insert into search_queries (section, query) values
+  ('ice', 'ICE shooting victim {year}'),
+  ('ice', 'Border Patrol shooting {year}'),
+  ('ice', 'ICE agent kills'),
+  ('lawsuits', 'Trump lawsuit federal court {year}'),
+  ('lawsuits', 'Trump administration sued {year}'),
+  ('lawsuits', 'lawsuit against Trump'),
+  ('lawsuits', 'Trump sues'),
+  ('polls', 'Trump approval rating poll {month} {year}'),
+  ('polls', 'Trump poll numbers'),
+  ('epstein', 'Epstein files Trump'),
+  ('epstein', 'Epstein files released {year}'),
+  ('epstein', 'Epstein documents DOJ'),
+  ('epstein', 'Trump Epstein flight logs'),
+  ('epstein', 'Epstein files Elon Musk'),
+  ('epstein', 'Epstein files Steve Bannon'),
+  ('epstein', 'Epstein Maxwell Trump'),
+  ('epstein', 'Todd Blanche Epstein'),
+  ('constitutional', 'Trump defies court order {year}'),
+  ('constitutional', 'Trump administration contempt court'),
+  ('constitutional', 'Trump unconstitutional ruling'),
+  ('constitutional', 'Trump executive order blocked'),
+  ('constitutional', 'federal judge rules Trump unconstitutional'),
+  ('constitutional', 'DOGE illegal firings ruling'),
+  ('constitutional', 'Trump emoluments violation')
+on conflict (section, query) do nothing;
+
+-- Per-query yield of each run: [{ id, section, template, query, fetched, kept, cited }]
+-- fetched: headlines the search returned; kept: made it into the run after dedupe,
+-- the source policy and the item cap; cited: cited by something the LLM extracted
+alter table update_logs add column if not exists query_stats jsonb;
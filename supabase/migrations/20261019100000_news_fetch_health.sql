@@ -0,0 +1,5 @@
+-- News fetch timing (api/update.js fetchAllNews). query_stats entries now also
+-- carry each search's status (HTTP status, 'timeout', 'error' or 'skipped'), ms
+-- and error; /api/status reads them to flag feeds that keep failing.
+
+alter table update_logs add column if not exists news_fetch_ms integer;
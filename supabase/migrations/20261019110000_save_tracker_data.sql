@@ -0,0 +1,118 @@
+-- One transaction per tracker write (api/_lib/supabase.js updateSupabase).
+-- The revision check, the snapshot, every table's upserts and deletes and the
+-- revision bump either all commit or none do. Writers queue on an advisory
+-- lock, so a second writer checks the revision only after the first has
+-- committed and sees its rows - it cannot read the new revision over old rows,
+-- and a failed table write leaves the revision where it was.
+--
+-- p_changes: [{ table, upserts: [{ id, position, record } | { key, value }], keep: [id | key] }]
+--   rows the write adds or changes, and every key the table keeps - the rest is deleted
+-- p_snapshot: { source, created_by, counts, data } for tracker_snapshots
+-- p_check_revision: false writes unconditionally; true only if the revision is still
+--   p_expected_revision (null: only if there is no revision yet)
+--
+-- Returns { conflict: true, revision } without writing anything, or
+-- { conflict: false, revision, snapshot_id, written, removed }.
+-- Service key only; no public access.
+
+create or replace function save_tracker_data(
+  p_changes jsonb,
+  p_snapshot jsonb,
+  p_run_id text default null,
+  p_expected_revision timestamptz default null,
+  p_check_revision boolean default false
+) returns jsonb
+language plpgsql
+set search_path = public
+as $$
+declare
+  current_revision timestamptz;
+  new_revision timestamptz;
+  new_snapshot_id bigint;
+  change jsonb;
+  target text;
+  affected integer;
+  written integer := 0;
+  removed integer := 0;
+begin
+  perform pg_advisory_xact_lock(hashtext('save_tracker_data'));
+
+  select updated_at into current_revision from tracker_revision where id = 'main';
+  if p_check_revision and current_revision is distinct from p_expected_revision then
+    return jsonb_build_object('conflict', true, 'revision', current_revision);
+  end if;
+
+  insert into tracker_snapshots (run_id, source, created_by, counts, data)
+  values (
+    p_run_id,
+    coalesce(p_snapshot->>'source', 'cron'),
+    p_snapshot->>'created_by',
+    coalesce(p_snapshot->'counts', '{}'::jsonb),
+    p_snapshot->'data'
+  )
+  returning id into new_snapshot_id;
+
+  -- Later than the revision it replaces even if the clock stepped back
+  new_revision := greatest(clock_timestamp(), coalesce(current_revision + interval '1 microsecond', '-infinity'));
+
+  for change in select value from jsonb_array_elements(p_changes) loop
+    target := change->>'table';
+
+    if target = 'tracker_stats' then
+      insert into tracker_stats (key, value, run_id, updated_at)
+      select r->>'key', r->'value', p_run_id, new_revision
+      from jsonb_array_elements(change->'upserts') r
+      on conflict (key) do update
+        set value = excluded.value, run_id = excluded.run_id, updated_at = excluded.updated_at;
+      get diagnostics affected = row_count;
+      written := written + affected;
+
+      delete from tracker_stats
+      where key not in (select jsonb_array_elements_text(change->'keep'));
+      get diagnostics affected = row_count;
+      removed := removed + affected;
+
+    elsif target in (
+      'ice_incidents', 'lawsuits', 'broken_promises', 'constitutional_violations',
+      'breaking_news', 'epstein_revelations', 'poll_observations'
+    ) then
+      execute format(
+        'insert into %I (id, position, record, run_id, updated_at)
+         select r->>''id'', (r->>''position'')::integer, r->''record'', $1, $2
+         from jsonb_array_elements($3) r
+         on conflict (id) do update
+           set position = excluded.position, record = excluded.record,
+               run_id = excluded.run_id, updated_at = excluded.updated_at',
+        target
+      ) using p_run_id, new_revision, change->'upserts';
+      get diagnostics affected = row_count;
+      written := written + affected;
+
+      execute format(
+        'delete from %I where id not in (select jsonb_array_elements_text($1))',
+        target
+      ) using change->'keep';
+      get diagnostics affected = row_count;
+      removed := removed + affected;
+
+    else
+      raise exception 'save_tracker_data: unknown table %', target;
+    end if;
+  end loop;
+
+  insert into tracker_revision (id, updated_at, run_id)
+  values ('main', new_revision, p_run_id)
+  on conflict (id) do update set updated_at = excluded.updated_at, run_id = excluded.run_id;
+
+  return jsonb_build_object(
+    'conflict', false,
+    'revision', new_revision,
+    'snapshot_id', new_snapshot_id,
+    'written', written,
+    'removed', removed
+  );
+end;
+$$;
+
+revoke execute on function save_tracker_data(jsonb, jsonb, text, timestamptz, boolean) from public, anon, authenticated;
+grant execute on function save_tracker_data(jsonb, jsonb, text, timestamptz, boolean) to service_role;
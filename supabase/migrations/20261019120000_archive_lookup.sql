@@ -0,0 +1,24 @@
+-- Archived records stay findable and page stably.
+--
+-- match_key is the normalized name/title/headline dedupe matches on
+-- (api/_lib/review.js recordKey). The cron looks reported stories up by it and
+-- by entity_id, so a story reported again after it was archived updates the
+-- archived record instead of coming back as a new one.
+--
+-- The app pages with a keyset on (archived_at, id), newest first. archived_at
+-- is only set when a record is first archived, so rows never move between pages
+-- and newly archived ones only add to the front.
+
+alter table tracker_archive add column if not exists match_key text;
+
+-- Same normalization as recordKey: lowercase, punctuation dropped, whitespace collapsed
+update tracker_archive
+set match_key = nullif(trim(regexp_replace(regexp_replace(
+  lower(coalesce(record->>(case section when 'iceVictims' then 'name' when 'lawsuits' then 'title' when 'constitutionalConcerns' then 'title' else 'headline' end), '')),
+  '[^a-z0-9_\s]', '', 'g'), '\s+', ' ', 'g')), '')
+where match_key is null;
+
+create index if not exists tracker_archive_match_key_idx on tracker_archive (section, match_key);
+
+create index if not exists tracker_archive_page_idx on tracker_archive (section, archived_at desc, id desc);
+drop index if exists tracker_archive_section_date_idx;
@@ -0,0 +1,57 @@
+-- One row per /api/update run, written before the run does any work
+-- (api/_lib/supabase.js claimUpdateRun). The minimum interval is measured from
+-- when runs started, so a trigger arriving while a run is still going is turned
+-- away instead of fetching, extracting and saving a second time. Each signed
+-- token's timestamp is recorded too, so a token cannot be replayed within its
+-- validity window. Service key only; no public access.
+
+create table if not exists update_runs (
+  run_id text primary key,
+  started_at timestamptz not null default clock_timestamp(),
+  trigger text not null,              -- 'cron' or 'token'
+  token_ts bigint unique,             -- timestamp of the signed token that started it
+  dry_run boolean not null default false
+);
+
+create index if not exists update_runs_started_idx on update_runs (dry_run, started_at desc);
+
+alter table update_runs enable row level security;
+
+-- Returns { claimed: true }, or { claimed: false, reason: 'replayed' } for a spent
+-- token, or { claimed: false, reason: 'too_soon', next_allowed } when a run started
+-- within p_min_interval_minutes. Dry runs are held to the interval and spend their
+-- token, but do not hold back the runs after them.
+create or replace function claim_update_run(
+  p_run_id text,
+  p_trigger text,
+  p_token_ts bigint default null,
+  p_dry_run boolean default false,
+  p_min_interval_minutes integer default 15
+) returns jsonb
+language plpgsql
+set search_path = public
+as $$
+declare
+  last_start timestamptz;
+  next_allowed timestamptz;
+begin
+  perform pg_advisory_xact_lock(hashtext('claim_update_run'));
+
+  if p_token_ts is not null and exists (select 1 from update_runs where token_ts = p_token_ts) then
+    return jsonb_build_object('claimed', false, 'reason', 'replayed');
+  end if;
+
+  select max(started_at) into last_start from update_runs where not dry_run;
+  next_allowed := last_start + make_interval(mins => p_min_interval_minutes);
+  if next_allowed > clock_timestamp() then
+    return jsonb_build_object('claimed', false, 'reason', 'too_soon', 'next_allowed', next_allowed);
+  end if;
+
+  insert into update_runs (run_id, trigger, token_ts, dry_run)
+  values (p_run_id, p_trigger, p_token_ts, p_dry_run);
+  return jsonb_build_object('claimed', true);
+end;
+$$;
+
+revoke execute on function claim_update_run(text, text, bigint, boolean, integer) from public, anon, authenticated;
+grant execute on function claim_update_run(text, text, bigint, boolean, integer) to service_role;
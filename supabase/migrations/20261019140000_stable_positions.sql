@@ -0,0 +1,116 @@
+-- Stable list positions (src/trackerTables.js splitTrackerData). A record keeps
+-- its stored position while the list changes around it; records added or moved
+-- get one between their neighbours, so position becomes fractional. Adding a
+-- record in front of a newest-first list, or archiving the oldest, then writes
+-- that one row instead of renumbering every row after it.
+
+alter table ice_incidents alter column position type double precision;
+alter table lawsuits alter column position type double precision;
+alter table broken_promises alter column position type double precision;
+alter table constitutional_violations alter column position type double precision;
+alter table breaking_news alter column position type double precision;
+alter table epstein_revelations alter column position type double precision;
+alter table poll_observations alter column position type double precision;
+
+-- save_tracker_data as in 20261019110000_save_tracker_data.sql, reading position as a double
+create or replace function save_tracker_data(
+  p_changes jsonb,
+  p_snapshot jsonb,
+  p_run_id text default null,
+  p_expected_revision timestamptz default null,
+  p_check_revision boolean default false
+) returns jsonb
+language plpgsql
+set search_path = public
+as $$
+declare
+  current_revision timestamptz;
+  new_revision timestamptz;
+  new_snapshot_id bigint;
+  change jsonb;
+  target text;
+  affected integer;
+  written integer := 0;
+  removed integer := 0;
+begin
+  perform pg_advisory_xact_lock(hashtext('save_tracker_data'));
+
+  select updated_at into current_revision from tracker_revision where id = 'main';
+  if p_check_revision and current_revision is distinct from p_expected_revision then
+    return jsonb_build_object('conflict', true, 'revision', current_revision);
+  end if;
+
+  insert into tracker_snapshots (run_id, source, created_by, counts, data)
+  values (
+    p_run_id,
+    coalesce(p_snapshot->>'source', 'cron'),
+    p_snapshot->>'created_by',
+    coalesce(p_snapshot->'counts', '{}'::jsonb),
+    p_snapshot->'data'
+  )
+  returning id into new_snapshot_id;
+
+  -- Later than the revision it replaces even if the clock stepped back
+  new_revision := greatest(clock_timestamp(), coalesce(current_revision + interval '1 microsecond', '-infinity'));
+
+  for change in select value from jsonb_array_elements(p_changes) loop
+    target := change->>'table';
+
+    if target = 'tracker_stats' then
+      insert into tracker_stats (key, value, run_id, updated_at)
+      select r->>'key', r->'value', p_run_id, new_revision
+      from jsonb_array_elements(change->'upserts') r
+      on conflict (key) do update
+        set value = excluded.value, run_id = excluded.run_id, updated_at = excluded.updated_at;
+      get diagnostics affected = row_count;
+      written := written + affected;
+
+      delete from tracker_stats
+      where key not in (select jsonb_array_elements_text(change->'keep'));
+      get diagnostics affected = row_count;
+      removed := removed + affected;
+
+    elsif target in (
+      'ice_incidents', 'lawsuits', 'broken_promises', 'constitutional_violations',
+      'breaking_news', 'epstein_revelations', 'poll_observations'
+    ) then
+      execute format(
+        'insert into %I (id, position, record, run_id, updated_at)
+         select r->>''id'', (r->>''position'')::double precision, r->''record'', $1, $2
+         from jsonb_array_elements($3) r
+         on conflict (id) do update
+           set position = excluded.position, record = excluded.record,
+               run_id = excluded.run_id, updated_at = excluded.updated_at',
+        target
+      ) using p_run_id, new_revision, change->'upserts';
+      get diagnostics affected = row_count;
+      written := written + affected;
+
+      execute format(
+        'delete from %I where id not in (select jsonb_array_elements_text($1))',
+        target
+      ) using change->'keep';
+      get diagnostics affected = row_count;
+      removed := removed + affected;
+
+    else
+      raise exception 'save_tracker_data: unknown table %', target;
+    end if;
+  end loop;
+
+  insert into tracker_revision (id, updated_at, run_id)
+  values ('main', new_revision, p_run_id)
+  on conflict (id) do update set updated_at = excluded.updated_at, run_id = excluded.run_id;
+
+  return jsonb_build_object(
+    'conflict', false,
+    'revision', new_revision,
+    'snapshot_id', new_snapshot_id,
+    'written', written,
+    'removed', removed
+  );
+end;
+$$;
+
+revoke execute on function save_tracker_data(jsonb, jsonb, text, timestamptz, boolean) from public, anon, authenticated;
+grant execute on function save_tracker_data(jsonb, jsonb, text, timestamptz, boolean) to service_role;
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyExtraction } from '../api/_lib/merge.js';
+
+const run = { runId: 'run-1', at: '2026-01-29T12:00:00.000Z', news: [], citations: new Map() };
+
+const currentData = {
+  iceVictims: [],
+  lawsuits: [],
+  breakingNews: [],
+  epsteinFiles: { revelations: [], pagesReleased: 3000000 },
+  polls: { observations: [] },
+};
+
+const parsed = {
+  polls: { observations: [{ pollster: 'Gallup', topic: 'overall', approve: 40, disapprove: 56, fieldStart: '2026-01-20', fieldEnd: '2026-01-27' }] },
+  epsteinUpdates: { newRevelations: [], pagesWithheld: 2000 },
+  breakingNews: [{ id: 'poll-gallup-2026-01-28', category: 'poll', date: '2026-01-28', headline: 'Gallup: approval at 40%', sources: [], addedAt: '1999-01-01T00:00:00.000Z' }],
+  updateReason: 'Gallup poll',
+};
+
+test('everything the merge stamps is dated by the run, not the clock', () => {
+  const { updatedData } = applyExtraction(currentData, parsed, run);
+  assert.equal(updatedData.lastUpdated, run.at);
+  assert.equal(updatedData.polls.lastUpdated, run.at);
+  assert.equal(updatedData.polls.observations[0].recordedAt, run.at);
+  assert.equal(updatedData.epsteinFiles.lastUpdated, run.at);
+  assert.equal(updatedData.breakingNews[0].addedAt, run.at);
+});
+
+test('applying the same extraction again gives the same data', async () => {
+  const first = applyExtraction(currentData, parsed, run).updatedData;
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.deepEqual(applyExtraction(currentData, parsed, run).updatedData, first);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'test';
+const { applyExtraction, archiveLookups } = await import('../api/_lib/merge.js');
+const { applyRetention } = await import('../api/_lib/retention.js');
+const { findArchivedRecords } = await import('../api/_lib/supabase.js');
+
+const run = { runId: 'run-2', at: '2026-03-01T12:00:00.000Z', news: [], citations: new Map() };
+
+const archivedCase = {
+  id: 'lawsuit-aclu-tariffs',
+  title: 'ACLU v. Trump (tariff powers)',
+  plaintiff: 'ACLU',
+  court: 'Court of International Trade',
+  filed: '2025-04-02',
+  status: 'Pending',
+  sources: ['https://www.reuters.com/legal/aclu-tariffs'],
+  statusHistory: [{ status: 'Pending', date: '2025-04-02', court: 'Court of International Trade', ruling: '', source: null }],
+};
+
+const currentData = {
+  iceVictims: [],
+  lawsuits: [],
+  breakingNews: [],
+  epsteinFiles: { revelations: [] },
+  polls: { observations: [] },
+};
+
+const parsed = {
+  lawsuits: [{
+    title: 'ACLU v. Trump (Tariff Powers)',
+    plaintiff: 'ACLU',
+    court: 'Court of International Trade',
+    filed: '2025-04-02',
+    status: 'Blocked',
+    ruling: 'Tariffs enjoined',
+    statusDate: '2026-02-27',
+    sources: ['https://apnews.com/article/aclu-tariffs-ruling'],
+  }],
+};
+
+test('a case reported again after it was archived updates the archived record', () => {
+  const { updatedData } = applyExtraction(currentData, parsed, { ...run, archived: { lawsuits: [archivedCase] } });
+
+  assert.equal(updatedData.lawsuits.length, 1);
+  const [lawsuit] = updatedData.lawsuits;
+  assert.equal(lawsuit.id, archivedCase.id);
+  assert.equal(lawsuit.status, 'Blocked');
+  assert.deepEqual(lawsuit.statusHistory.map(e => e.status), ['Pending', 'Blocked']);
+  assert.equal(lawsuit.sources.length, 2);
+});
+
+test('without the archived record the same report is a new case', () => {
+  const { updatedData } = applyExtraction(currentData, parsed, run);
+  assert.equal(updatedData.lawsuits.length, 1);
+  assert.notEqual(updatedData.lawsuits[0].id, archivedCase.id);
+});
+
+test('reported records are looked up by id and normalized title', () => {
+  const lookups = archiveLookups({ ...parsed, breakingNews: [{ id: 'news-1', headline: 'Court blocks tariffs!' }, null] });
+  assert.deepEqual(lookups.lawsuits, { ids: [], keys: ['aclu v trump tariff powers'] });
+  assert.deepEqual(lookups.breakingNews, { ids: ['news-1'], keys: ['court blocks tariffs'] });
+  assert.deepEqual(lookups.iceVictims, { ids: [], keys: [] });
+});
+
+test('archived rows carry the key they are looked up by', () => {
+  const breakingNews = Array.from({ length: 21 }, (_, i) => ({ id: `news-${i}`, headline: `Story #${i}`, date: `2026-01-${String(i + 1).padStart(2, '0')}` }));
+  const { archived } = applyRetention({ breakingNews });
+  assert.deepEqual(archived.map(a => [a.entity_id, a.match_key]), [['news-0', 'story 0']]);
+});
+
+test('the archive is queried per section by entity_id or match_key', async () => {
+  const requests = [];
+  globalThis.fetch = async url => {
+    requests.push(new URL(url));
+    return Response.json([{ record: archivedCase }]);
+  };
+
+  const found = await findArchivedRecords({
+    lawsuits: { ids: ['lawsuit-aclu-tariffs'], keys: ['aclu v trump tariff powers'] },
+    iceVictims: { ids: [], keys: [] },
+  });
+
+  assert.deepEqual(found, { lawsuits: [archivedCase] });
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].searchParams.get('section'), 'eq.lawsuits');
+  assert.equal(requests[0].searchParams.get('or'), '(entity_id.in.("lawsuit-aclu-tariffs"),match_key.in.("aclu v trump tariff powers"))');
+});
+
+test('an unreadable archive fails the lookup rather than reading as empty', async () => {
+  globalThis.fetch = async () => new Response('', { status: 503 });
+  await assert.rejects(findArchivedRecords({ lawsuits: { ids: ['x'], keys: [] } }), /archived lawsuits: 503/);
+});
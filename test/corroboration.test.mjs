@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { corroborate } from '../api/_lib/merge.js';
+
+const run = { id: 'run-2', at: '2026-01-30T12:00:00.000Z' };
+
+function revelation(...headlines) {
+  return {
+    id: 'doj-batch-jan28',
+    headline: 'DOJ releases new batch of Epstein files',
+    provenance: { headlines: headlines.map(([url, publisher]) => ({ id: `n-${url.slice(-4)}`, url, publisher })) },
+  };
+}
+
+test('one publisher leaves a new record unconfirmed', () => {
+  const result = corroborate(revelation(['https://news.example/a001', 'npr.org']), null, run);
+  assert.deepEqual(result.corroboration, { status: 'unconfirmed', publishers: ['npr.org'], required: 2, confirmedAt: null });
+});
+
+test('two independent publishers confirm a new record', () => {
+  const result = corroborate(revelation(['https://news.example/a001', 'npr.org'], ['https://news.example/a002', 'apnews.com']), null, run);
+  assert.deepEqual(result.corroboration, { status: 'confirmed', publishers: ['npr.org', 'apnews.com'], required: 2, confirmedAt: run.at });
+});
+
+test('the same publisher reached through two URLs counts once', () => {
+  const result = corroborate(revelation(['https://news.example/a001', 'npr.org'], ['https://news.example/a002', 'npr.org']), null, run);
+  assert.equal(result.corroboration.status, 'unconfirmed');
+  assert.deepEqual(result.corroboration.publishers, ['npr.org']);
+});
+
+test('a later run adds its publishers to the stored ones', () => {
+  const previous = corroborate(revelation(['https://news.example/a001', 'npr.org']), null, { at: '2026-01-29T12:00:00.000Z' });
+  const again = corroborate(revelation(['https://news.example/a003', 'npr.org']), previous, run);
+  assert.equal(again.corroboration.status, 'unconfirmed');
+
+  const confirmed = corroborate(revelation(['https://news.example/a004', 'apnews.com']), previous, run);
+  assert.deepEqual(confirmed.corroboration, { status: 'confirmed', publishers: ['npr.org', 'apnews.com'], required: 2, confirmedAt: run.at });
+});
+
+test('records that were never held for corroboration pass through unchanged', () => {
+  const entity = revelation(['https://news.example/a001', 'npr.org']);
+  assert.equal(corroborate(entity, { id: entity.id }, run), entity);
+  const confirmed = { ...entity, corroboration: { status: 'confirmed', publishers: ['npr.org', 'apnews.com'], required: 2, confirmedAt: '2026-01-29T12:00:00.000Z' } };
+  assert.equal(corroborate(entity, confirmed, run), entity);
+});
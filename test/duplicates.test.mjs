@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeIceIncidents, mergeLawsuits } from '../api/_lib/merge.js';
+
+const run = { runId: 'run-1', at: '2026-01-13T12:00:00.000Z', news: [], citations: new Map() };
+
+function victim(fields) {
+  return { age: 0, citizenship: 'Unknown', agency: 'ICE', details: '', officialResponse: '', witnessAccount: '', sources: ['Chicago Tribune'], ...fields };
+}
+
+// ==================== ICE VICTIMS ====================
+
+test('a different named victim at the same place and time is a new incident', () => {
+  const stored = [victim({ id: 'john-smith', name: 'John Smith', date: '2026-01-10', location: 'Chicago, IL', details: 'Shot during a traffic stop.' })];
+  const result = mergeIceIncidents(stored, [
+    victim({ id: 'maria-lopez', name: 'Maria Lopez', date: '2026-01-12', location: 'Chicago, IL', details: 'Shot outside her home during an ICE raid.' }),
+  ], run);
+
+  assert.deepEqual(result.map(v => [v.id, v.name, v.date]), [['john-smith', 'John Smith', '2026-01-10'], ['maria-lopez', 'Maria Lopez', '2026-01-12']]);
+  assert.equal(result[0].details, 'Shot during a traffic stop.');
+});
+
+test('an unnamed victim is named by a later report of the same date and place', () => {
+  const stored = [victim({ id: '2026-01-07-minneapolis-unnamed', name: 'Unnamed victim', date: '2026-01-07', location: 'Minneapolis, MN' })];
+  const result = mergeIceIncidents(stored, [
+    victim({ id: 'renee-good', name: 'Renee Good', age: 37, date: '2026-01-07', location: 'Minneapolis, MN', sources: ['Star Tribune'] }),
+  ], run);
+
+  assert.equal(result.length, 1);
+  assert.deepEqual([result[0].name, result[0].age], ['Renee Good', 37]);
+  assert.deepEqual(result[0].sources, ['Chicago Tribune', 'Star Tribune']);
+});
+
+test('an unnamed report of a named victim\'s incident adds detail but keeps the name', () => {
+  const stored = [victim({ id: 'renee-good', name: 'Renee Good', date: '2026-01', location: 'Minneapolis, MN' })];
+  const result = mergeIceIncidents(stored, [
+    victim({ id: '2026-01-07-minneapolis-unnamed', name: 'Unidentified woman', date: '2026-01-07', location: 'Minneapolis, MN', details: 'Shot by an ICE agent during an enforcement operation.' }),
+  ], run);
+
+  assert.equal(result.length, 1);
+  assert.deepEqual([result[0].id, result[0].name], ['renee-good', 'Renee Good']);
+  assert.equal(result[0].details, 'Shot by an ICE agent during an enforcement operation.');
+  // The date only gets more precise
+  assert.deepEqual([result[0].date, result[0].datePrecision], ['2026-01-07', 'day']);
+});
+
+test('unnamed victims in different places stay separate', () => {
+  const stored = [victim({ id: '2026-01-07-minneapolis-unnamed', name: 'Unnamed victim', date: '2026-01-07', location: 'Minneapolis, MN' })];
+  const result = mergeIceIncidents(stored, [
+    victim({ id: '2026-01-07-portland-unnamed', name: 'Unnamed victim', date: '2026-01-07', location: 'Portland, OR' }),
+  ], run);
+  assert.equal(result.length, 2);
+});
+
+test('a re-reported victim keeps the stored identity fields', () => {
+  const stored = [victim({ id: 'john-smith', name: 'John Smith', date: '2026-01-10', location: 'Chicago, IL' })];
+  const result = mergeIceIncidents(stored, [
+    victim({ id: 'john-smith', name: 'john smith', date: '2026-01-10', location: 'Little Village, Chicago, IL', details: 'Shot during a traffic stop.' }),
+  ], run);
+
+  assert.equal(result.length, 1);
+  assert.deepEqual([result[0].name, result[0].location], ['John Smith', 'Chicago, IL']);
+  assert.equal(result[0].details, 'Shot during a traffic stop.');
+});
+
+// ==================== LAWSUITS ====================
+
+function lawsuit(fields) {
+  return { defendant: 'Trump administration', status: 'Pending', summary: '', ruling: '', amount: '', category: 'against-admin', sources: ['Reuters'], ...fields };
+}
+
+test('a different plaintiff in a different court is a separate case over the same order', () => {
+  const stored = [lawsuit({ id: 'aclu-birthright', title: 'ACLU v. Trump over birthright order', plaintiff: 'ACLU', court: 'D. Mass.', filed: 'January 21, 2025' })];
+  const result = mergeLawsuits(stored, [
+    lawsuit({ id: 'nj-birthright', title: 'New Jersey v. Trump over birthright order', plaintiff: 'New Jersey', court: 'D.N.J.', filed: 'January 21, 2025' }),
+  ], run);
+
+  assert.deepEqual(result.map(l => [l.id, l.plaintiff, l.court]), [['aclu-birthright', 'ACLU', 'D. Mass.'], ['nj-birthright', 'New Jersey', 'D.N.J.']]);
+});
+
+test('a rephrased title from the same plaintiff folds into the stored case', () => {
+  const stored = [lawsuit({ id: 'states-tariffs', title: 'States v. Trump (tariff authority)', plaintiff: '12 states', court: 'U.S. Court of International Trade', filed: 'January 27, 2026' })];
+  const result = mergeLawsuits(stored, [
+    lawsuit({ id: 'tariff-states-suit', title: 'States sue Trump over tariff authority', plaintiff: '12 states', court: 'Court of International Trade', filed: 'January 27, 2026', sources: ['AP News'] }),
+  ], run);
+
+  assert.equal(result.length, 1);
+  assert.equal(result[0].id, 'states-tariffs');
+  assert.deepEqual(result[0].sources, ['Reuters', 'AP News']);
+});
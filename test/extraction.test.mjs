@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXTRACTION_SCHEMA, checkSchema, salvage, extractStructured } from '../api/_lib/extraction.js';
+
+const lawsuit = { title: 'States v. Trump', category: 'against-admin', sources: ['n-0000aaaa'] };
+const revelation = { headline: 'DOJ releases new batch', sources: [] };
+
+// Replays the given responses in order and records the prompts it was sent
+function fakeLlm(responses) {
+  const prompts = [];
+  return {
+    prompts,
+    async complete(prompt) {
+      prompts.push(prompt);
+      const text = responses[prompts.length - 1];
+      if (text === undefined) throw new Error('No response left');
+      return { text: typeof text === 'string' ? text : JSON.stringify(text), usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+    },
+  };
+}
+
+// ==================== checkSchema ====================
+
+test('checkSchema accepts a valid extraction', () => {
+  const value = { lawsuits: [lawsuit], epsteinUpdates: { newRevelations: [revelation], pagesReleased: null }, updateReason: 'x' };
+  assert.deepEqual(checkSchema(value, EXTRACTION_SCHEMA), []);
+});
+
+test('checkSchema reports each problem with its path', () => {
+  const value = {
+    lawsuits: [lawsuit, { category: 'sideways' }],
+    breakingNews: [{ headline: 'h', category: 'ice', date: 'Jan 7' }],
+    iceStatsUpdate: 'none',
+  };
+  assert.deepEqual(checkSchema(value, EXTRACTION_SCHEMA), [
+    { path: ['lawsuits', 1, 'title'], message: 'is required' },
+    { path: ['lawsuits', 1, 'category'], message: `must be one of ${EXTRACTION_SCHEMA.properties.lawsuits.items.properties.category.enum.join(', ')}` },
+    { path: ['breakingNews', 0, 'date'], message: 'must match ^\\d{4}-\\d{2}-\\d{2}$' },
+    { path: ['iceStatsUpdate'], message: 'expected object or null, got string' },
+  ]);
+});
+
+test('checkSchema treats integers as numbers', () => {
+  assert.deepEqual(checkSchema({ iceStatsUpdate: { totalShootings: 16, shootingDeaths: 4.5 } }, EXTRACTION_SCHEMA), []);
+});
+
+// ==================== salvage ====================
+
+test('salvage drops invalid list items and keeps the rest of the section', () => {
+  const parsed = { lawsuits: [lawsuit, { category: 'sideways' }, lawsuit], updateReason: 'x' };
+  const { parsed: kept, dropped } = salvage(parsed, checkSchema(parsed, EXTRACTION_SCHEMA));
+  assert.deepEqual(kept, { lawsuits: [lawsuit, lawsuit], updateReason: 'x' });
+  assert.deepEqual(dropped, { lawsuits: 1 });
+});
+
+test('salvage drops invalid items from lists one level down', () => {
+  const parsed = { epsteinUpdates: { newRevelations: [{ details: 'no headline' }, revelation], pagesReleased: 5000 } };
+  const { parsed: kept, dropped } = salvage(parsed, checkSchema(parsed, EXTRACTION_SCHEMA));
+  assert.deepEqual(kept, { epsteinUpdates: { newRevelations: [revelation], pagesReleased: 5000 } });
+  assert.deepEqual(dropped, { epsteinUpdates: 1 });
+});
+
+test('salvage discards a section only when its own fields are wrong', () => {
+  const parsed = { lawsuits: [lawsuit], epsteinUpdates: { newRevelations: [revelation], pagesReleased: 'many' } };
+  const { parsed: kept, dropped } = salvage(parsed, checkSchema(parsed, EXTRACTION_SCHEMA));
+  assert.deepEqual(kept, { lawsuits: [lawsuit] });
+  assert.deepEqual(dropped, { epsteinUpdates: 'section' });
+});
+
+// ==================== extractStructured ====================
+
+test('extractStructured returns the first valid response without repairs', async () => {
+  const llm = fakeLlm([{ lawsuits: [lawsuit] }]);
+  const result = await extractStructured(llm, 'PROMPT');
+  assert.deepEqual(result.parsed, { lawsuits: [lawsuit] });
+  assert.equal(result.repairs, 0);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+});
+
+test('extractStructured sends the problems back and uses the repaired response', async () => {
+  const llm = fakeLlm(['```json\n{"lawsuits": [', { lawsuits: [{ category: 'sideways' }] }, { lawsuits: [lawsuit] }]);
+  const result = await extractStructured(llm, 'PROMPT');
+
+  assert.equal(result.repairs, 2);
+  assert.deepEqual(result.parsed, { lawsuits: [lawsuit] });
+  assert.deepEqual(result.dropped, {});
+  assert.equal(result.usage.totalTokens, 45);
+  assert.match(llm.prompts[1], /^PROMPT\n\nYOUR PREVIOUS RESPONSE:\n```json/);
+  assert.match(llm.prompts[1], /- Response is not valid JSON/);
+  assert.match(llm.prompts[2], /- lawsuits\[0\]\.title is required/);
+  assert.match(llm.prompts[2], /- lawsuits\[0\]\.category must be one of/);
+});
+
+test('extractStructured salvages the attempt with the fewest errors', async () => {
+  const closest = { lawsuits: [lawsuit, { title: 'Bad category', category: 'sideways' }] };
+  const worse = { lawsuits: [{ category: 'sideways' }, { category: 'sideways' }] };
+  const llm = fakeLlm([closest, worse, 'not json']);
+  const result = await extractStructured(llm, 'PROMPT');
+
+  assert.equal(llm.prompts.length, 3);
+  assert.deepEqual(result.parsed, { lawsuits: [lawsuit] });
+  assert.deepEqual(result.dropped, { lawsuits: 1 });
+  assert.equal(result.errors.length, 1);
+  assert.match(result.errors[0], /^lawsuits\[1\]\.category must be one of/);
+});
+
+test('extractStructured gives up with parsed null when no attempt is a JSON object', async () => {
+  const result = await extractStructured(fakeLlm(['nope', '[]', 'still nope']), 'PROMPT');
+  assert.equal(result.parsed, null);
+  assert.equal(result.repairs, 2);
+  assert.equal(result.raw, 'still nope');
+  assert.match(result.errors[0], /^Response is not valid JSON/);
+});
+
+test('extractStructured salvages the earlier attempt when a repair request fails', async () => {
+  const closest = { lawsuits: [lawsuit, { title: 'Bad category', category: 'sideways' }] };
+  const llm = fakeLlm([closest]);
+  const result = await extractStructured(llm, 'PROMPT');
+
+  assert.equal(llm.prompts.length, 2);
+  assert.deepEqual(result.parsed, { lawsuits: [lawsuit] });
+  assert.deepEqual(result.dropped, { lawsuits: 1 });
+});
+
+test('extractStructured rethrows a provider error when there is nothing to salvage', async () => {
+  await assert.rejects(extractStructured(fakeLlm(['nope']), 'PROMPT'), /No response left/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runExtractionPasses } from '../api/_lib/passes.js';
+
+const currentData = { iceVictims: [], lawsuits: [], epsteinFiles: { revelations: [] }, polls: { observations: [] } };
+
+function headline(id, groups) {
+  return { id, title: `Headline ${id}`, pubDate: 'Thu, 29 Jan 2026 16:00:00 GMT', source: { name: 'Reuters', tier: 1 }, groups };
+}
+
+const news = [headline('n-00000001', ['ice']), headline('n-00000002', ['lawsuits']), headline('n-00000003', ['epstein'])];
+
+const lawsuit = { title: 'States v. Trump (tariff authority)', category: 'against-admin', sources: ['n-00000002'] };
+const revelation = { headline: 'DOJ releases new batch of Epstein files', sources: ['n-00000003'] };
+
+// Answers each pass by the section its schema asks for; a function answer is called instead
+function fakeLlm(answers) {
+  const calls = [];
+  return {
+    calls,
+    async complete(prompt, { schema }) {
+      const section = Object.keys(schema.properties).find(key => answers[key] !== undefined);
+      calls.push(section);
+      const answer = answers[section];
+      const value = typeof answer === 'function' ? answer() : answer;
+      return { text: typeof value === 'string' ? value : JSON.stringify(value), usage: { promptTokens: 100, completionTokens: 10, totalTokens: 110 } };
+    },
+  };
+}
+
+test('a pass with no usable response is reported while the other passes still apply', async () => {
+  const llm = fakeLlm({
+    iceIncidents: 'The headlines report that the victim was identified.',
+    lawsuits: { lawsuits: [lawsuit], breakingNews: [{ headline: 'States sue over tariffs', category: 'lawsuit', date: '2026-01-29' }], updateReason: 'New tariff lawsuit' },
+    epsteinUpdates: { epsteinUpdates: { newRevelations: [revelation] }, breakingNews: [], updateReason: 'New Epstein release' },
+  });
+  const result = await runExtractionPasses(llm, news, currentData);
+
+  // The ice pass used all its repair attempts
+  assert.deepEqual(llm.calls, ['iceIncidents', 'iceIncidents', 'iceIncidents', 'lawsuits', 'epsteinUpdates']);
+  assert.deepEqual(result.passes, {
+    ice: { headlines: 1, ok: false, repairs: 2 },
+    lawsuits: { headlines: 1, ok: true, repairs: 0 },
+    epstein: { headlines: 1, ok: true, repairs: 0 },
+  });
+  assert.deepEqual(result.parsed, {
+    breakingNews: [{ headline: 'States sue over tariffs', category: 'lawsuit', date: '2026-01-29' }],
+    lawsuits: [lawsuit],
+    epsteinUpdates: { newRevelations: [revelation] },
+    updateReason: 'New tariff lawsuit; New Epstein release',
+  });
+  assert.equal(result.parsed.iceIncidents, undefined);
+  assert.match(result.raw, /^\[ice\] The headlines report/);
+  assert.equal(result.usage.totalTokens, 5 * 110);
+});
+
+test('a pass whose provider call throws is skipped and its error recorded', async () => {
+  const llm = fakeLlm({
+    iceIncidents: () => { throw new Error('Gemini API error: 503'); },
+    lawsuits: { lawsuits: [lawsuit], breakingNews: [], updateReason: 'New tariff lawsuit' },
+    epsteinUpdates: { epsteinUpdates: { newRevelations: [revelation] }, breakingNews: [], updateReason: 'New Epstein release' },
+  });
+  const result = await runExtractionPasses(llm, news, currentData);
+
+  assert.deepEqual(result.passes.ice, { headlines: 1, ok: false, error: 'Gemini API error: 503' });
+  assert.deepEqual(result.parsed.lawsuits, [lawsuit]);
+  assert.deepEqual(result.parsed.epsteinUpdates, { newRevelations: [revelation] });
+});
+
+test('passes without headlines are not run', async () => {
+  const llm = fakeLlm({ lawsuits: { lawsuits: [lawsuit], breakingNews: [], updateReason: 'New tariff lawsuit' } });
+  const result = await runExtractionPasses(llm, [news[1]], currentData);
+  assert.deepEqual(llm.calls, ['lawsuits']);
+  assert.deepEqual(Object.keys(result.passes), ['lawsuits']);
+});
+
+test('the run fails when every pass fails', async () => {
+  const llm = fakeLlm({
+    iceIncidents: () => { throw new Error('Gemini API error: 503'); },
+    lawsuits: () => { throw new Error('Gemini API error: 429'); },
+    epsteinUpdates: () => { throw new Error('Gemini API error: 500'); },
+  });
+  await assert.rejects(runExtractionPasses(llm, news, currentData), /Gemini API error: 503/);
+});
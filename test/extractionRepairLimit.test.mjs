@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Not a number: the default limit applies instead of no attempts at all
+process.env.LLM_MAX_REPAIRS = 'two';
+const { extractStructured } = await import('../api/_lib/extraction.js');
+
+test('an unusable LLM_MAX_REPAIRS falls back to two repairs', async () => {
+  const prompts = [];
+  const llm = {
+    async complete(prompt) {
+      prompts.push(prompt);
+      return { text: 'not json', usage: {} };
+    },
+  };
+  const result = await extractStructured(llm, 'PROMPT');
+
+  assert.equal(prompts.length, 3);
+  assert.equal(result.repairs, 2);
+  assert.equal(result.parsed, null);
+});
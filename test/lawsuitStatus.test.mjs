@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLawsuitEvent, mergeLawsuits } from '../api/_lib/merge.js';
+
+const run = { runId: 'run-1', at: '2026-02-05T12:00:00.000Z', news: [], citations: new Map() };
+
+const stored = {
+  id: 'afge-v-trump',
+  title: 'AFGE v. Trump',
+  plaintiff: 'AFGE',
+  defendant: 'Trump administration',
+  court: 'N.D. Cal.',
+  filed: 'February 2025',
+  status: 'Ruling',
+  summary: 'Mass federal layoffs.',
+  ruling: 'Layoffs blocked',
+  category: 'against-admin',
+  sources: ['Reuters'],
+  statusHistory: [
+    { status: 'Pending', date: '2025-02-14', court: 'N.D. Cal.', ruling: '', source: 'Reuters' },
+    { status: 'Ruling', date: '2025-05-09', court: 'N.D. Cal.', ruling: 'Layoffs blocked', source: 'Reuters' },
+  ],
+};
+
+test('a later event becomes the current status and is added to the history', () => {
+  const after = applyLawsuitEvent(stored, { status: 'Appealed', court: '9th Cir.', ruling: 'Administration appeals', sources: ['AP News'] }, '2026-02-03');
+  assert.equal(after.status, 'Appealed');
+  assert.equal(after.ruling, 'Administration appeals');
+  assert.equal(after.court, 'N.D. Cal.');
+  assert.deepEqual(after.sources, ['Reuters', 'AP News']);
+  assert.deepEqual(after.statusHistory.at(-1), { status: 'Appealed', date: '2026-02-03', court: '9th Cir.', ruling: 'Administration appeals', source: 'AP News' });
+});
+
+test('an event dated before the latest one is filed in the history without changing the status', () => {
+  const appealed = applyLawsuitEvent(stored, { status: 'Appealed', court: '9th Cir.', ruling: 'Administration appeals', sources: ['AP News'] }, '2026-02-03');
+  const after = applyLawsuitEvent(appealed, { status: 'Mixed', ruling: 'Layoffs blocked for career staff only', sources: ['Politico'] }, '2025-08-01');
+
+  assert.equal(after.status, 'Appealed');
+  assert.equal(after.ruling, 'Administration appeals');
+  assert.deepEqual(after.statusHistory.map(e => [e.status, e.date, e.court]), [
+    ['Pending', '2025-02-14', 'N.D. Cal.'],
+    ['Ruling', '2025-05-09', 'N.D. Cal.'],
+    ['Mixed', '2025-08-01', 'N.D. Cal.'],
+    ['Appealed', '2026-02-03', '9th Cir.'],
+  ]);
+});
+
+test('coverage repeating the current status only adds sources', () => {
+  const after = applyLawsuitEvent(stored, { status: 'Ruling', ruling: 'Layoffs blocked', sources: ['NPR'] }, '2026-02-03');
+  assert.deepEqual(after, { ...stored, sources: ['Reuters', 'NPR'] });
+});
+
+test('the validator\'s Pending fallback is not treated as an event', () => {
+  const after = applyLawsuitEvent(stored, { status: 'Pending', sources: [] }, '2026-02-03');
+  assert.equal(after.status, 'Ruling');
+  assert.equal(after.statusHistory, stored.statusHistory);
+});
+
+test('an event already in the history is not recorded twice', () => {
+  const reverted = { ...stored, status: 'Appealed', statusHistory: [...stored.statusHistory, { status: 'Appealed', date: '2025-06-01', court: '9th Cir.', ruling: 'Appeal filed', source: 'AP News' }] };
+  const after = applyLawsuitEvent(reverted, { status: 'Ruling', ruling: 'Layoffs blocked', sources: [] }, '2026-02-03');
+  assert.equal(after.status, 'Appealed');
+  assert.equal(after.statusHistory.length, 3);
+});
+
+test('cases stored before status history existed start from their current status', () => {
+  const { statusHistory, ...legacy } = stored;
+  const after = applyLawsuitEvent(legacy, { status: 'Dismissed', ruling: 'Case dismissed as moot', sources: [] }, '2026-02-03');
+  assert.equal(after.status, 'Dismissed');
+  assert.deepEqual(after.statusHistory.map(e => [e.status, e.date]), [['Ruling', ''], ['Dismissed', '2026-02-03']]);
+});
+
+test('mergeLawsuits dates the event by statusDate, not the run, and files late news in order', () => {
+  const result = mergeLawsuits([stored], [
+    { ...stored, statusHistory: undefined, status: 'Appealed', statusDate: '2026-02-03', court: '9th Cir.', ruling: 'Administration appeals', sources: ['AP News'] },
+    { ...stored, statusHistory: undefined, status: 'Mixed', statusDate: 'August 1, 2025', ruling: 'Layoffs blocked for career staff only', sources: ['Politico'] },
+  ], run);
+
+  assert.equal(result.length, 1);
+  const [lawsuit] = result;
+  assert.equal(lawsuit.status, 'Appealed');
+  assert.equal(lawsuit.statusDate, undefined);
+  assert.deepEqual(lawsuit.statusHistory.map(e => [e.status, e.date]), [
+    ['Pending', '2025-02-14'],
+    ['Ruling', '2025-05-09'],
+    ['Mixed', '2025-08-01'],
+    ['Appealed', '2026-02-03'],
+  ]);
+  assert.deepEqual(lawsuit.provenance.changes.map(c => c.fields), [['status', 'ruling', 'sources', 'statusHistory'], ['sources', 'statusHistory']]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePollingAverage } from '../src/pollAverage.js';
+
+function poll(pollster, fieldEnd, approve, disapprove, topic = 'overall') {
+  return { id: `${pollster}-${fieldEnd}`, pollster, topic, approve, disapprove, fieldEnd };
+}
+
+const observations = [
+  poll('Gallup', '2026-01-30', 40, 56),
+  poll('Civiqs', '2026-01-20', 46, 50),
+  // Superseded by Gallup's newer release
+  poll('Gallup', '2026-01-10', 30, 60),
+  // 41 days before the newest poll: outside the 30-day window
+  poll('YouGov', '2025-12-20', 60, 30),
+  poll('Gallup', '2026-01-30', 33, 60, 'economy'),
+];
+
+test('weights each pollster\'s latest release by recency', () => {
+  // Gallup is 0 days old (weight 1), Civiqs one half-life old (weight 0.5):
+  // approve (40*1 + 46*0.5) / 1.5 = 42, disapprove (56*1 + 50*0.5) / 1.5 = 54
+  const average = computePollingAverage(observations);
+  assert.equal(average.asOf, '2026-01-30');
+  assert.equal(average.approve, 42);
+  assert.equal(average.disapprove, 54);
+  assert.equal(average.net, -12);
+  assert.deepEqual(average.polls.map(p => [p.id, p.weight]), [['Gallup-2026-01-30', 1], ['Civiqs-2026-01-20', 0.5]]);
+});
+
+test('subtracts house effects before averaging', () => {
+  // Civiqs adjusted to 42 / 52: approve (40 + 21) / 1.5 = 40.67, disapprove (56 + 26) / 1.5 = 54.67
+  const average = computePollingAverage(observations, { houseEffects: { civiqs: { approve: 4, disapprove: -2 } } });
+  assert.equal(average.approve, 40.7);
+  assert.equal(average.disapprove, 54.7);
+  assert.equal(average.net, -14);
+  const civiqs = average.polls.find(p => p.pollster === 'Civiqs');
+  assert.deepEqual([civiqs.approve, civiqs.adjustedApprove, civiqs.disapprove, civiqs.adjustedDisapprove], [46, 42, 50, 52]);
+});
+
+test('averages as of an earlier date with the releases known then', () => {
+  // Gallup's Jan 30 poll is in the future; its Jan 10 release is 10 days old (weight 0.5)
+  // and Civiqs is current: approve (30*0.5 + 46) / 1.5 = 40.67, disapprove (60*0.5 + 50) / 1.5 = 53.33
+  const average = computePollingAverage(observations, { asOf: '2026-01-20' });
+  assert.equal(average.approve, 40.7);
+  assert.equal(average.disapprove, 53.3);
+  assert.equal(average.net, -12.6);
+  assert.deepEqual(average.polls.map(p => p.id), ['Civiqs-2026-01-20', 'Gallup-2026-01-10']);
+});
+
+test('averages each topic separately', () => {
+  const average = computePollingAverage(observations, { topic: 'economy' });
+  assert.deepEqual([average.approve, average.disapprove, average.polls.length], [33, 60, 1]);
+});
+
+test('returns null when no poll falls inside the window', () => {
+  assert.equal(computePollingAverage([]), null);
+  assert.equal(computePollingAverage(observations, { topic: 'immigration' }), null);
+  assert.equal(computePollingAverage(observations, { asOf: '2025-12-01' }), null);
+});
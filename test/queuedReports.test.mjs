@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.REVIEW_MODE;
+const { REVIEW_MODE } = await import('../api/_lib/review.js');
+const { foldIntoQueued } = await import('../api/_lib/merge.js');
+
+const run = { runId: 'run-2', at: '2026-02-02T12:00:00.000Z', news: [], citations: new Map() };
+
+const queued = {
+  id: 'c1',
+  status: 'pending',
+  proposed: {
+    id: 'ice-1',
+    name: 'Jane Doe',
+    sources: [{ name: 'Reuters', url: 'https://www.reuters.com/a' }],
+    provenance: { origin: 'pipeline', runId: 'run-1', headlines: [{ id: 'h1', publisher: 'reuters.com' }], firstSeen: '2026-02-01T12:00:00.000Z', changes: [] },
+    corroboration: { status: 'unconfirmed', publishers: ['reuters.com'], required: 2, confirmedAt: null },
+  },
+  headlines: [{ title: 'Reuters story', url: 'https://www.reuters.com/a' }],
+};
+
+const report = {
+  proposed: {
+    id: 'ice-99',
+    name: 'Jane Doe',
+    sources: [{ name: 'AP News', url: 'https://apnews.com/b' }],
+    provenance: { origin: 'pipeline', runId: 'run-2', headlines: [{ id: 'h2', publisher: 'apnews.com' }], firstSeen: run.at, changes: [] },
+    corroboration: { status: 'unconfirmed', publishers: ['apnews.com'], required: 2, confirmedAt: null },
+  },
+  headlines: [{ title: 'AP story', url: 'https://apnews.com/b' }],
+};
+
+test('proposals are published directly unless staging is asked for', () => {
+  assert.equal(REVIEW_MODE, 'direct');
+});
+
+test('a second outlet reporting a queued addition corroborates the queued proposal', () => {
+  const { proposed, headlines } = foldIntoQueued(queued, report, run);
+
+  assert.equal(proposed.id, 'ice-1');
+  assert.deepEqual(proposed.sources.map(s => s.url), ['https://www.reuters.com/a', 'https://apnews.com/b']);
+  assert.deepEqual(proposed.provenance.headlines.map(h => h.id), ['h1', 'h2']);
+  assert.deepEqual(proposed.corroboration, { status: 'confirmed', publishers: ['reuters.com', 'apnews.com'], required: 2, confirmedAt: run.at });
+  assert.deepEqual(headlines.map(h => h.url), ['https://www.reuters.com/a', 'https://apnews.com/b']);
+});
+
+test('a report adding nothing new leaves the queued proposal alone', () => {
+  const again = { proposed: { ...queued.proposed, id: 'ice-100' }, headlines: queued.headlines };
+  assert.equal(foldIntoQueued(queued, again, run), null);
+});
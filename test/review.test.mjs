@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'test';
+process.env.ADMIN_EMAILS = 'a@example.com,b@example.com';
+const { default: handler } = await import('../api/review.js');
+
+const proposed = { id: 'poll-gallup-2026-01-28', category: 'poll', date: '2026-01-28', headline: 'Gallup: approval at 40%', sources: [] };
+
+// pending_changes with one pending row; PATCHes honour the status=eq.pending filter
+function fakeSupabase({ saveStatus = 200 } = {}) {
+  const state = { change: { id: 'c1', section: 'breakingNews', change_type: 'add', entity_id: proposed.id, proposed, status: 'pending' }, saves: 0 };
+  globalThis.fetch = async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const method = options.method || 'GET';
+    if (pathname === '/auth/v1/user') {
+      return Response.json({ email: options.headers.Authorization.replace('Bearer ', '') });
+    }
+    if (pathname === '/rest/v1/pending_changes') {
+      if (method === 'GET') return Response.json([state.change]);
+      if (searchParams.get('status') === 'eq.pending' && state.change.status !== 'pending') return Response.json([]);
+      state.change = { ...state.change, ...JSON.parse(options.body) };
+      return Response.json([state.change]);
+    }
+    if (pathname === '/rest/v1/rpc/save_tracker_data') {
+      state.saves++;
+      if (saveStatus !== 200) return new Response('boom', { status: saveStatus });
+      return Response.json({ conflict: false, revision: 'r2', snapshot_id: 1, written: 1, removed: 0 });
+    }
+    if (pathname === '/rest/v1/tracker_revision') return Response.json([{ updated_at: 'r1' }]);
+    return Response.json([]);
+  };
+  return state;
+}
+
+async function approve(email) {
+  const res = {
+    statusCode: 0,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ method: 'POST', headers: { authorization: `Bearer ${email}` }, body: { id: 'c1', action: 'approve' } }, res);
+  return res;
+}
+
+test('two admins approving the same change at once apply it once', async () => {
+  const state = fakeSupabase();
+  const results = await Promise.all([approve('a@example.com'), approve('b@example.com')]);
+
+  assert.deepEqual(results.map(r => r.statusCode).sort(), [200, 409]);
+  assert.equal(state.saves, 1);
+  assert.equal(state.change.status, 'approved');
+  assert.equal(state.change.reviewed_by, results[0].statusCode === 200 ? 'a@example.com' : 'b@example.com');
+});
+
+test('a change whose save fails goes back to pending', async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const state = fakeSupabase({ saveStatus: 500 });
+    const res = await approve('a@example.com');
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual([state.change.status, state.change.reviewed_by], ['pending', null]);
+  } finally {
+    console.error = originalError;
+  }
+});
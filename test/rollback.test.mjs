@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'test';
+process.env.ADMIN_EMAILS = 'a@example.com';
+const { default: handler } = await import('../api/rollback.js');
+
+// 25 breaking news items: five more than the live list keeps
+const breakingNews = Array.from({ length: 25 }, (_, i) => ({ id: `news-${i}`, headline: `Story ${i}`, date: `2026-01-${String(i + 1).padStart(2, '0')}` }));
+const snapshot = { id: 7, run_id: 'run-7', data: { breakingNews } };
+
+// One snapshot, an empty tracker at revision r1; save_tracker_data answers with `answer`
+function fakeSupabase(answer) {
+  const state = { saves: [], archived: [] };
+  globalThis.fetch = async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/auth/v1/user') return Response.json({ email: 'a@example.com' });
+    if (pathname === '/rest/v1/tracker_snapshots') return Response.json([snapshot]);
+    if (pathname === '/rest/v1/tracker_revision') return Response.json([{ updated_at: 'r1' }]);
+    if (pathname === '/rest/v1/tracker_archive') {
+      state.archived.push(...JSON.parse(options.body));
+      return new Response(null, { status: 201 });
+    }
+    if (pathname === '/rest/v1/rpc/save_tracker_data') {
+      state.saves.push(JSON.parse(options.body));
+      return Response.json(answer);
+    }
+    return Response.json([]);
+  };
+  return state;
+}
+
+async function rollback() {
+  const res = {
+    statusCode: 0,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ method: 'POST', query: { snapshot: '7' }, headers: { authorization: 'Bearer token' } }, res);
+  return res;
+}
+
+test('a restore is conditional on the revision and archives past the retention window', async () => {
+  const state = fakeSupabase({ conflict: false, revision: 'r2', snapshot_id: 8, written: 20, removed: 0 });
+  const res = await rollback();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.archivedRecords, 5);
+  assert.equal(state.archived.length, 5);
+  assert.equal(state.saves.length, 1);
+  assert.deepEqual([state.saves[0].p_expected_revision, state.saves[0].p_check_revision], ['r1', true]);
+  assert.equal(state.saves[0].p_snapshot.data.breakingNews.length, 20);
+});
+
+test('a write landing during the restore is not overwritten', async () => {
+  const state = fakeSupabase({ conflict: true, revision: 'r9' });
+  const res = await rollback();
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(state.saves.length, 1);
+});
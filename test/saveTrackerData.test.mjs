@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'test';
+const { updateSupabase, saveWithRetry, WriteConflictError } = await import('../api/_lib/supabase.js');
+
+const stored = {
+  lawsuits: [{ id: 'keep', position: 0, record: { id: 'keep', title: 'Kept' } }, { id: 'gone', position: 1, record: { id: 'gone', title: 'Gone' } }],
+  tracker_stats: [{ key: 'lastUpdated', value: '2026-01-01' }],
+};
+
+// Answers table reads from `stored`, the revision from `revisions` in turn, and
+// save_tracker_data with `answer(body)`; records every save request
+function stubFetch(answer, revisions = ['r1']) {
+  const saves = [];
+  let reads = 0;
+  globalThis.fetch = async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const table = pathname.replace('/rest/v1/', '');
+    if (table === 'rpc/save_tracker_data') {
+      const body = JSON.parse(options.body);
+      saves.push(body);
+      return Response.json(answer(body, saves.length));
+    }
+    if (table === 'tracker_revision') return Response.json([{ updated_at: revisions[Math.min(reads++, revisions.length - 1)] }]);
+    return Response.json(stored[table] || []);
+  };
+  return saves;
+}
+
+const saved = { conflict: false, revision: 'r2', snapshot_id: 7, written: 1, removed: 1 };
+
+test('a save sends only changed rows, every kept key and the revision it expects, in one call', async () => {
+  const saves = stubFetch(() => saved);
+  const ok = await updateSupabase({ lawsuits: [{ id: 'keep', title: 'Kept' }, { id: 'new', title: 'New' }], lastUpdated: '2026-01-01' }, { runId: 'run-1', expectedRevision: 'r1' });
+
+  assert.equal(ok, true);
+  assert.equal(saves.length, 1);
+  const [body] = saves;
+  assert.deepEqual(body.p_changes.find(c => c.table === 'lawsuits'), {
+    table: 'lawsuits',
+    upserts: [{ id: 'new', position: 1, record: { id: 'new', title: 'New' } }],
+    keep: ['keep', 'new'],
+  });
+  assert.deepEqual(body.p_changes.find(c => c.table === 'tracker_stats'), { table: 'tracker_stats', upserts: [], keep: ['lastUpdated'] });
+  assert.deepEqual([body.p_run_id, body.p_expected_revision, body.p_check_revision], ['run-1', 'r1', true]);
+  assert.equal(body.p_snapshot.source, 'cron');
+  assert.equal(body.p_snapshot.counts.lawsuits, 2);
+});
+
+test('a save without an expected revision is unconditional', async () => {
+  const saves = stubFetch(() => saved);
+  await updateSupabase({ lawsuits: [] }, { source: 'rollback', actor: 'admin@example.com' });
+  assert.deepEqual([saves[0].p_expected_revision, saves[0].p_check_revision], [null, false]);
+  assert.deepEqual([saves[0].p_snapshot.source, saves[0].p_snapshot.created_by], ['rollback', 'admin@example.com']);
+});
+
+test('a conflicting save throws and a failed one returns false', async () => {
+  stubFetch(() => ({ conflict: true, revision: 'r9' }));
+  await assert.rejects(updateSupabase({ lawsuits: [] }, { expectedRevision: 'r1' }), WriteConflictError);
+
+  globalThis.fetch = async url => (String(url).includes('/rpc/') ? new Response('boom', { status: 500 }) : Response.json([]));
+  assert.equal(await updateSupabase({ lawsuits: [] }, { expectedRevision: 'r1' }), false);
+});
+
+test('saveWithRetry rebuilds on the fresh read after a conflict', async () => {
+  const saves = stubFetch((body, n) => (n === 1 ? { conflict: true, revision: 'r2' } : saved), ['r1', 'r2']);
+  const builds = [];
+  const { saved: ok, conflicts } = await saveWithRetry(current => {
+    builds.push(current.lawsuits.map(l => l.id));
+    return { data: current };
+  });
+
+  assert.equal(ok, true);
+  assert.equal(conflicts, 1);
+  assert.equal(builds.length, 2);
+  assert.deepEqual(saves.map(s => s.p_expected_revision), ['r1', 'r2']);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDate, isReportedEntry, mergeWithCurated, validateTrackerData } from '../src/schema.js';
+import { CURATED_CONSTITUTIONAL_CONCERNS } from '../src/curatedData.js';
+
+test('normalizeDate reads the formats sources write days in', () => {
+  for (const input of ['2026-01-07', '2026-01-07T10:00:00Z', 'January 7, 2026', 'Jan. 7th 2026', '7 January 2026', '1/7/2026']) {
+    assert.deepEqual(normalizeDate(input), { date: '2026-01-07', precision: 'day' }, input);
+  }
+});
+
+test('normalizeDate keeps month and year precision', () => {
+  assert.deepEqual(normalizeDate('2026-03'), { date: '2026-03', precision: 'month' });
+  assert.deepEqual(normalizeDate('Jan. 2026'), { date: '2026-01', precision: 'month' });
+  assert.deepEqual(normalizeDate('January, 2026'), { date: '2026-01', precision: 'month' });
+  assert.deepEqual(normalizeDate('2025'), { date: '2025', precision: 'year' });
+  assert.deepEqual(normalizeDate('summer 2025'), { date: '2025', precision: 'year' });
+});
+
+test('normalizeDate leaves impossible and unparseable dates as typed', () => {
+  assert.deepEqual(normalizeDate('2026-02-30'), { date: '2026-02-30', precision: 'unknown' });
+  assert.deepEqual(normalizeDate('2026-13'), { date: '2026-13', precision: 'unknown' });
+  assert.deepEqual(normalizeDate('13/1/2026'), { date: '13/1/2026', precision: 'unknown' });
+  assert.deepEqual(normalizeDate('last Tuesday'), { date: 'last Tuesday', precision: 'unknown' });
+  assert.deepEqual(normalizeDate(''), { date: '', precision: 'unknown' });
+  assert.deepEqual(normalizeDate(null), { date: '', precision: 'unknown' });
+});
+
+test('stored copies of curated entries are not reported entries once validated', () => {
+  const [curated] = CURATED_CONSTITUTIONAL_CONCERNS;
+  const reported = { id: 'tariff-emergency', title: 'Emergency tariffs without Congress', status: 'IN COURTS', sources: ['Reuters'], addedAt: '2026-01-29T12:00:00.000Z' };
+  // Violations stored before addedAt existed
+  const legacy = { id: 'ice-warrantless-entry', title: 'Warrantless home entries', courtRuling: '', date: '2025-11-02', sources: [] };
+  const { data } = validateTrackerData({ constitutionalConcerns: [{ ...curated, addedAt: null }, reported, legacy] });
+
+  assert.deepEqual(data.constitutionalConcerns.map(isReportedEntry), [false, true, true]);
+  assert.deepEqual(mergeWithCurated([curated], data.constitutionalConcerns).map(c => c.id), [curated.id, 'tariff-emergency', 'ice-warrantless-entry']);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'test';
+process.env.ADMIN_EMAILS = 'a@example.com';
+const { default: handler } = await import('../api/status.js');
+const { classifyError } = await import('../api/_lib/health.js');
+
+const providerError = 'Gemini error: 429 - {"error":{"message":"Quota exceeded for project 1234"}}';
+const feedError = 'getaddrinfo ENOTFOUND news.google.com';
+
+const runs = [
+  { run_id: 'r2', timestamp: new Date().toISOString(), success: false, news_count: 12, error: providerError, query_stats: [{ id: 1, section: 'ice', query: 'ICE shooting', status: 'error', error: feedError }] },
+  { run_id: 'r1', timestamp: new Date().toISOString(), success: true, news_count: 10, error: null, query_stats: [{ id: 1, section: 'ice', query: 'ICE shooting', status: 200 }] },
+];
+
+// update_logs answers with `runs`; the token is the signed-in user's email
+globalThis.fetch = async (url, options = {}) => {
+  const { pathname } = new URL(url);
+  if (pathname === '/auth/v1/user') {
+    return Response.json({ email: options.headers.Authorization.replace('Bearer ', '') });
+  }
+  if (pathname === '/rest/v1/update_logs') return Response.json(runs);
+  return Response.json([]);
+};
+
+async function getStatus(headers = {}) {
+  const res = {
+    statusCode: 0,
+    body: null,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ method: 'GET', headers }, res);
+  return res;
+}
+
+test('the public report gives the error category and status, not the messages', async () => {
+  const res = await getStatus();
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'degraded');
+  assert.equal(res.body.lastRun.errorCategory, 'llm');
+  assert.equal(res.body.lastRun.errorStatus, 429);
+  assert.equal(res.body.queries[0].lastStatus, 'error');
+  const body = JSON.stringify(res.body);
+  assert.ok(!body.includes('Quota exceeded'));
+  assert.ok(!body.includes('ENOTFOUND'));
+});
+
+test('an admin gets the full messages, uncached', async () => {
+  const res = await getStatus({ authorization: 'Bearer a@example.com' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.lastRun.error, providerError);
+  assert.equal(res.body.queries[0].lastError, feedError);
+  assert.equal(res.headers['Cache-Control'], 'private, no-store');
+});
+
+test('a token that is not an admin\'s is refused rather than treated as public', async () => {
+  const res = await getStatus({ authorization: 'Bearer someone@example.com' });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.lastRun, undefined);
+});
+
+test('logged errors are classified by what failed', () => {
+  assert.deepEqual(classifyError('Failed to read lawsuits: 503'), { category: 'database', status: 503 });
+  assert.deepEqual(classifyError('Tracker data changed since it was read (revision 2026-01-01T00:00:00.450Z)'), { category: 'database', status: null });
+  assert.deepEqual(classifyError('Could not parse AI response'), { category: 'extraction', status: null });
+  assert.deepEqual(classifyError('OpenAI-compatible error (https://api.example.com): 502 - Bad gateway'), { category: 'llm', status: 502 });
+  assert.deepEqual(classifyError('Cannot read properties of undefined'), { category: 'internal', status: null });
+  assert.equal(classifyError(null), null);
+});
+
+test('the report is down once a few half-hourly runs in a row have not succeeded', async () => {
+  const fourHoursAgo = new Date(Date.now() - 4 * 3600 * 1000).toISOString();
+  const saved = runs.map(run => ({ ...run }));
+  runs.forEach(run => { run.timestamp = fourHoursAgo; });
+  try {
+    const res = await getStatus();
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.status, 'down');
+  } finally {
+    runs.splice(0, runs.length, ...saved);
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitTrackerData, assembleTrackerData } from '../src/trackerTables.js';
+
+const news = n => Array.from({ length: n }, (_, i) => ({ id: `news-${i}`, headline: `Story ${i}` }));
+
+// The rows whose position differs from the stored one
+function moved(stored, next, table = 'breaking_news') {
+  const before = new Map(stored.tables[table].map(row => [row.id, row.position]));
+  return next.tables[table].filter(row => before.get(row.id) !== row.position).map(row => row.id);
+}
+
+test('a record added in front of the list is the only row that moves', () => {
+  const stored = splitTrackerData({ breakingNews: news(5) });
+  const next = splitTrackerData({ breakingNews: [{ id: 'news-new', headline: 'Newest' }, ...news(5)] }, stored);
+
+  assert.deepEqual(moved(stored, next), ['news-new']);
+  assert.deepEqual(assembleTrackerData(next).breakingNews.map(n => n.id), ['news-new', ...news(5).map(n => n.id)]);
+});
+
+test('dropping the oldest record leaves the rest where they were', () => {
+  const stored = splitTrackerData({ breakingNews: news(5) });
+  const next = splitTrackerData({ breakingNews: news(5).slice(1) }, stored);
+  assert.deepEqual(moved(stored, next), []);
+});
+
+test('a record inserted in the middle or moved gets a position between its neighbours', () => {
+  const stored = splitTrackerData({ breakingNews: news(4) });
+  const [a, b, c, d] = news(4);
+  const list = [a, c, { id: 'news-mid', headline: 'Middle' }, b, d];
+  const next = splitTrackerData({ breakingNews: list }, stored);
+
+  assert.equal(moved(stored, next).length, 2);
+  assert.deepEqual(assembleTrackerData(next).breakingNews.map(n => n.id), list.map(n => n.id));
+});
+
+test('positions are renumbered once a gap has no room left', () => {
+  let stored = splitTrackerData({ breakingNews: news(2) });
+  let list = news(2);
+  for (let i = 0; i < 80; i++) {
+    list = [list[0], { id: `wedge-${i}`, headline: `Wedge ${i}` }, ...list.slice(1)];
+    stored = splitTrackerData({ breakingNews: list }, stored);
+  }
+  assert.deepEqual(assembleTrackerData(stored).breakingNews.map(n => n.id), list.map(n => n.id));
+});
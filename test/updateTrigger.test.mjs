@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'test';
+process.env.UPDATE_TOKEN_SECRET = 'secret';
+const { authenticateUpdateTrigger } = await import('../api/_lib/auth.js');
+const { default: handler } = await import('../api/update.js');
+
+function signedToken(ts = Math.floor(Date.now() / 1000)) {
+  return `${ts}.${createHmac('sha256', 'secret').update(`update:${ts}`).digest('hex')}`;
+}
+
+// claim_update_run answers with `claim`; records every claim request
+function stubClaim(claim) {
+  const claims = [];
+  globalThis.fetch = async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/rest/v1/rpc/claim_update_run') {
+      claims.push(JSON.parse(options.body));
+      return Response.json(claim);
+    }
+    throw new Error(`unexpected request to ${pathname}`);
+  };
+  return claims;
+}
+
+async function trigger(token) {
+  const res = {
+    statusCode: 0,
+    body: null,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ method: 'POST', query: {}, headers: { authorization: `Bearer ${token}` } }, res);
+  return res;
+}
+
+test('a signed token is accepted with its timestamp, a bad one is not', () => {
+  const ts = Math.floor(Date.now() / 1000);
+  assert.deepEqual(authenticateUpdateTrigger({ headers: { authorization: `Bearer ${signedToken(ts)}` } }), { source: 'token', tokenTs: ts });
+  assert.equal(authenticateUpdateTrigger({ headers: { authorization: `Bearer ${ts}.deadbeef` } }), null);
+});
+
+test('the run is claimed with its token before any other work', async () => {
+  const ts = Math.floor(Date.now() / 1000);
+  const claims = stubClaim({ claimed: false, reason: 'replayed' });
+  const res = await trigger(signedToken(ts));
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(claims.length, 1);
+  assert.equal(claims[0].p_token_ts, ts);
+  assert.equal(claims[0].p_trigger, 'token');
+  assert.equal(claims[0].p_dry_run, false);
+});
+
+test('a trigger while a recent run holds the interval waits for it to pass', async () => {
+  stubClaim({ claimed: false, reason: 'too_soon', next_allowed: new Date(Date.now() + 600 * 1000).toISOString() });
+  const res = await trigger(signedToken());
+
+  assert.equal(res.statusCode, 429);
+  assert.ok(res.body.retryAfter > 590 && res.body.retryAfter <= 600);
+  assert.equal(res.headers['Retry-After'], String(res.body.retryAfter));
+});